@@ -1,6 +1,9 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, Menu, dialog, ipcMain } = require('electron');
+const fs = require('fs');
 const path = require('path');
 
+const SESSION_FILTERS = [{ name: 'Game of Life Session', extensions: ['json'] }];
+
 function createWindow() {
   const mainWindow = new BrowserWindow({
     width: 1400,
@@ -25,7 +28,97 @@ function createWindow() {
   }
 }
 
+// ===== Application Menu =====
+// File and undo commands are carried out by the renderer, which owns the scene state
+function sendMenuCommand(command) {
+  const window = BrowserWindow.getFocusedWindow() || BrowserWindow.getAllWindows()[0];
+  if (window) {
+    window.webContents.send('menu-command', command);
+  }
+}
+
+function createMenu() {
+  const isMac = process.platform === 'darwin';
+  const template = [
+    ...(isMac ? [{ role: 'appMenu' }] : []),
+    {
+      label: 'File',
+      submenu: [
+        { label: 'Open Session…', accelerator: 'CmdOrCtrl+O', click: () => sendMenuCommand('open-session') },
+        { label: 'Save Session…', accelerator: 'CmdOrCtrl+S', click: () => sendMenuCommand('save-session') },
+        { type: 'separator' },
+        {
+          label: 'Export Network',
+          submenu: [
+            { label: 'GraphML…', click: () => sendMenuCommand('export:graphml') },
+            { label: 'GEXF…', click: () => sendMenuCommand('export:gexf') },
+            { label: 'Dynamic GEXF Timeline…', click: () => sendMenuCommand('export:gexfDynamic') },
+            { label: 'Graphviz DOT…', click: () => sendMenuCommand('export:dot') }
+          ]
+        },
+        { type: 'separator' },
+        isMac ? { role: 'close' } : { role: 'quit' }
+      ]
+    },
+    {
+      label: 'Edit',
+      submenu: [
+        // Undo and redo go to the renderer: scene edits, or the focused text field
+        { label: 'Undo', accelerator: 'CmdOrCtrl+Z', click: () => sendMenuCommand('undo') },
+        { label: 'Redo', accelerator: 'Shift+CmdOrCtrl+Z', click: () => sendMenuCommand('redo') },
+        { type: 'separator' },
+        { role: 'cut' },
+        { role: 'copy' },
+        { role: 'paste' },
+        { role: 'selectAll' }
+      ]
+    },
+    { role: 'viewMenu' },
+    { role: 'windowMenu' }
+  ];
+  Menu.setApplicationMenu(Menu.buildFromTemplate(template));
+}
+
+// ===== Files =====
+// The renderer builds and parses file contents; this process only shows the
+// native dialogs and touches the file system
+async function saveTextFile(event, options, contents) {
+  const window = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePath } = await dialog.showSaveDialog(window, options);
+  if (canceled || !filePath) {
+    return { canceled: true };
+  }
+
+  await fs.promises.writeFile(filePath, contents, 'utf8');
+  return { canceled: false, filePath };
+}
+
+ipcMain.handle('session:save', (event, { contents, defaultName }) => {
+  return saveTextFile(event, { title: 'Save Session', defaultPath: defaultName, filters: SESSION_FILTERS }, contents);
+});
+
+ipcMain.handle('session:open', async (event) => {
+  const window = BrowserWindow.fromWebContents(event.sender);
+  const { canceled, filePaths } = await dialog.showOpenDialog(window, {
+    title: 'Open Session',
+    filters: SESSION_FILTERS,
+    properties: ['openFile']
+  });
+  if (canceled || filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  const contents = await fs.promises.readFile(filePaths[0], 'utf8');
+  return { canceled: false, filePath: filePaths[0], contents };
+});
+
+// Graph exports - the filter ({ name, extensions }) comes with the chosen format
+ipcMain.handle('network:export', (event, { contents, defaultName, filter }) => {
+  return saveTextFile(event, { title: 'Export Network', defaultPath: defaultName, filters: [filter] }, contents);
+});
+
 app.whenReady().then(() => {
+  createMenu();
   createWindow();
 
   app.on('activate', () => {
@@ -40,5 +133,3 @@ app.on('window-all-closed', () => {
     app.quit();
   }
 });
-
-
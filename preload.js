@@ -1,8 +1,19 @@
-const { contextBridge } = require('electron');
+const { contextBridge, ipcRenderer } = require('electron');
 
 // Expose any needed APIs to the renderer process
 contextBridge.exposeInMainWorld('electronAPI', {
-  platform: process.platform
-});
+  platform: process.platform,
+
+  // Session files - native dialogs in the main process.
+  // Both resolve with { canceled, filePath }; openSession adds the file's contents.
+  saveSession: (contents, defaultName) => ipcRenderer.invoke('session:save', { contents, defaultName }),
+  openSession: () => ipcRenderer.invoke('session:open'),
 
+  // Graph exports (GraphML, GEXF, DOT) - resolves with { canceled, filePath }
+  exportNetwork: (contents, defaultName, filter) => ipcRenderer.invoke('network:export', { contents, defaultName, filter }),
 
+  // Application menu commands ('open-session', 'save-session', 'export:<format>', 'undo', 'redo')
+  onMenuCommand: (callback) => {
+    ipcRenderer.on('menu-command', (event, command) => callback(command));
+  }
+});
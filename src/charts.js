@@ -0,0 +1,298 @@
+// ===== Generation Charts =====
+// Small multiples of per-generation series drawn on one canvas: living cells,
+// births, deaths, connections and average degree. Each point is measured from
+// the generation's changes ({ births, deaths, revivals }) and the alive subgraph.
+// - The window limits the chart to the most recent generations
+// - Hovering reads out every series at one generation
+// - After a timeline rewind the later points stay until a new branch replaces them
+// drawHistogram() draws the analytics panel's degree distribution and
+// drawSparkline() the node inspector's degree history in the same style.
+
+export const CHART_SERIES = [
+  { key: 'living', label: 'Living', color: '--accent-teal' },
+  { key: 'births', label: 'Births', color: '--accent-blue' },
+  { key: 'deaths', label: 'Deaths', color: '--accent-coral' },
+  { key: 'connections', label: 'Connections', color: '--accent-yellow' },
+  { key: 'averageDegree', label: 'Avg Degree', color: '--accent-pink', decimals: 2 }
+];
+
+const MAX_POINTS = 2000; // As many generations as the timeline keeps
+const ROW_HEIGHT = 36;
+const LABEL_HEIGHT = 13;
+
+// One chart point. Revivals count as births: a dead site born again is a Life birth.
+export function measureGeneration(graph, simulation, changes = null) {
+  let edges = 0;
+  simulation.aliveNodes.forEach(id => {
+    graph.getNeighbors(id).forEach(otherId => {
+      if (otherId > id && simulation.isAlive(otherId)) edges++;
+    });
+  });
+
+  const living = simulation.getAliveCount();
+  return {
+    generation: simulation.generation,
+    living,
+    births: changes ? changes.births.length + changes.revivals.length : 0,
+    deaths: changes ? changes.deaths.length : 0,
+    connections: edges,
+    averageDegree: living > 0 ? (2 * edges) / living : 0
+  };
+}
+
+export class GenerationCharts {
+  constructor(canvas, readout) {
+    this.canvas = canvas;
+    this.readout = readout;
+    this.points = []; // Ascending by generation
+    this.window = 100; // Generations shown; Infinity for all
+    this.current = 0; // Generation the scene shows (marked after a rewind)
+    this.hoverIndex = null; // Index into the visible points
+    this.drawPending = false;
+
+    canvas.addEventListener('mousemove', (event) => {
+      const visible = this.visiblePoints();
+      if (visible.length === 0) return;
+      const rect = canvas.getBoundingClientRect();
+      const t = (event.clientX - rect.left) / rect.width;
+      this.hoverIndex = Math.max(0, Math.min(visible.length - 1, Math.round(t * (visible.length - 1))));
+      this.scheduleDraw();
+    });
+    canvas.addEventListener('mouseleave', () => {
+      this.hoverIndex = null;
+      this.scheduleDraw();
+    });
+  }
+
+  // A new generation; points at or after it belong to a discarded branch
+  record(point) {
+    while (this.points.length > 0 && this.points[this.points.length - 1].generation >= point.generation) {
+      this.points.pop();
+    }
+    this.points.push(point);
+    if (this.points.length > MAX_POINTS) {
+      this.points.splice(0, this.points.length - MAX_POINTS);
+    }
+    this.current = point.generation;
+    this.scheduleDraw();
+  }
+
+  // The scene jumped to a generation (timeline or a new run); point is used
+  // when that generation has not been charted
+  showGeneration(point) {
+    if (!this.points.some(p => p.generation === point.generation)) {
+      this.record(point);
+      return;
+    }
+    this.current = point.generation;
+    this.scheduleDraw();
+  }
+
+  reset() {
+    this.points = [];
+    this.current = 0;
+    this.hoverIndex = null;
+    this.scheduleDraw();
+  }
+
+  setWindow(generations) {
+    this.window = generations > 0 ? generations : Infinity;
+    this.hoverIndex = null;
+    this.scheduleDraw();
+  }
+
+  visiblePoints() {
+    return this.window === Infinity ? this.points : this.points.slice(-this.window);
+  }
+
+  // Generations often arrive several per frame - draw once
+  scheduleDraw() {
+    if (this.drawPending) return;
+    this.drawPending = true;
+    requestAnimationFrame(() => {
+      this.drawPending = false;
+      this.draw();
+    });
+  }
+
+  draw() {
+    const height = CHART_SERIES.length * ROW_HEIGHT;
+    const { ctx, width, styles } = prepareCanvas(this.canvas, height);
+    const textColor = styles.getPropertyValue('--text-muted').trim();
+    const gridColor = styles.getPropertyValue('--border-light').trim();
+    const font = styles.getPropertyValue('--font-mono').trim();
+
+    // Values are read out at the hovered generation, else at the one shown
+    const visible = this.visiblePoints();
+    const currentIndex = visible.findIndex(point => point.generation === this.current);
+    const focusIndex = this.hoverIndex ?? (currentIndex >= 0 ? currentIndex : visible.length - 1);
+    const focus = visible[focusIndex];
+    const xAt = (i) => visible.length > 1 ? (i / (visible.length - 1)) * width : width / 2;
+
+    CHART_SERIES.forEach((series, row) => {
+      const top = row * ROW_HEIGHT;
+      const plotTop = top + LABEL_HEIGHT;
+      const plotHeight = ROW_HEIGHT - LABEL_HEIGHT - 4;
+      const max = Math.max(1, ...visible.map(point => point[series.key]));
+      const yAt = (value) => plotTop + plotHeight - (value / max) * plotHeight;
+
+      // Label and the value at the focused generation
+      ctx.font = `10px ${font}`;
+      ctx.fillStyle = textColor;
+      ctx.textBaseline = 'top';
+      ctx.textAlign = 'left';
+      ctx.fillText(series.label, 0, top);
+      if (focus) {
+        ctx.textAlign = 'right';
+        ctx.fillText(formatValue(focus[series.key], series), width, top);
+      }
+
+      ctx.strokeStyle = gridColor;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(0, plotTop + plotHeight + 0.5);
+      ctx.lineTo(width, plotTop + plotHeight + 0.5);
+      ctx.stroke();
+
+      if (visible.length === 0) return;
+      ctx.strokeStyle = styles.getPropertyValue(series.color).trim();
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      visible.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(xAt(i), yAt(point[series.key]));
+        else ctx.lineTo(xAt(i), yAt(point[series.key]));
+      });
+      ctx.stroke();
+    });
+
+    // Marker at the focused generation unless it is simply the latest
+    if (focus && focusIndex < visible.length - 1) {
+      const x = Math.round(xAt(focusIndex)) + 0.5;
+      ctx.strokeStyle = textColor;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    }
+
+    if (this.readout) {
+      if (!focus) {
+        this.readout.textContent = 'No generations yet';
+      } else if (focusIndex < visible.length - 1) {
+        this.readout.textContent = `Generation ${focus.generation}`;
+      } else {
+        this.readout.textContent = `Generations ${visible[0].generation}–${focus.generation}`;
+      }
+    }
+  }
+}
+
+// ===== Histogram =====
+// Bars for counts[0..n] (e.g. how many nodes have each degree), with the
+// index range along the bottom and the tallest count at the top
+const HISTOGRAM_HEIGHT = 64;
+
+export function drawHistogram(canvas, counts, color = '--accent-blue') {
+  const height = HISTOGRAM_HEIGHT;
+  const { ctx, width, styles } = prepareCanvas(canvas, height);
+  const textColor = styles.getPropertyValue('--text-muted').trim();
+  ctx.font = `10px ${styles.getPropertyValue('--font-mono').trim()}`;
+  ctx.fillStyle = textColor;
+  ctx.textBaseline = 'top';
+  if (counts.length === 0) {
+    ctx.textAlign = 'left';
+    ctx.fillText('No living cells', 0, 0);
+    return;
+  }
+
+  const max = Math.max(1, ...counts);
+  const plotTop = LABEL_HEIGHT;
+  const plotHeight = height - LABEL_HEIGHT * 2;
+  const barWidth = width / counts.length;
+
+  ctx.textAlign = 'right';
+  ctx.fillText(`max ${max}`, width, 0);
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';
+  ctx.fillText('0', 0, height);
+  ctx.textAlign = 'right';
+  ctx.fillText(String(counts.length - 1), width, height);
+
+  ctx.fillStyle = styles.getPropertyValue(color).trim();
+  counts.forEach((count, i) => {
+    const barHeight = (count / max) * plotHeight;
+    ctx.fillRect(i * barWidth + (barWidth > 3 ? 0.5 : 0), plotTop + plotHeight - barHeight, Math.max(1, barWidth - (barWidth > 3 ? 1 : 0)), barHeight);
+  });
+}
+
+// ===== Sparkline =====
+// One series over generations ([{ generation, value }], ascending) with the
+// generation range along the bottom and the peak at the top
+const SPARKLINE_HEIGHT = 56;
+
+export function drawSparkline(canvas, points, color = '--accent-blue') {
+  const height = SPARKLINE_HEIGHT;
+  const { ctx, width, styles } = prepareCanvas(canvas, height);
+  ctx.font = `10px ${styles.getPropertyValue('--font-mono').trim()}`;
+  ctx.fillStyle = styles.getPropertyValue('--text-muted').trim();
+  ctx.textBaseline = 'top';
+  if (points.length === 0) {
+    ctx.textAlign = 'left';
+    ctx.fillText('No history yet', 0, 0);
+    return;
+  }
+
+  const max = Math.max(1, ...points.map(point => point.value));
+  const plotTop = LABEL_HEIGHT;
+  const plotHeight = height - LABEL_HEIGHT * 2;
+  const first = points[0].generation;
+  const span = Math.max(1, points[points.length - 1].generation - first);
+  const xAt = (point) => points.length > 1 ? ((point.generation - first) / span) * width : width / 2;
+  const yAt = (point) => plotTop + plotHeight - (point.value / max) * plotHeight;
+
+  ctx.textAlign = 'right';
+  ctx.fillText(`max ${max}`, width, 0);
+  ctx.textBaseline = 'bottom';
+  ctx.textAlign = 'left';
+  ctx.fillText(`gen ${first}`, 0, height);
+  ctx.textAlign = 'right';
+  ctx.fillText(`gen ${points[points.length - 1].generation}`, width, height);
+
+  // A step line: the degree holds until the next generation
+  ctx.strokeStyle = styles.getPropertyValue(color).trim();
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  points.forEach((point, i) => {
+    if (i === 0) {
+      ctx.moveTo(xAt(point), yAt(point));
+    } else {
+      ctx.lineTo(xAt(point), yAt(points[i - 1]));
+      ctx.lineTo(xAt(point), yAt(point));
+    }
+  });
+  if (points.length === 1) ctx.lineTo(xAt(points[0]) + 1, yAt(points[0]));
+  ctx.stroke();
+}
+
+// Size the canvas backing store for the display's pixel ratio at its CSS width
+// and the given height, and clear it for drawing in CSS pixels
+function prepareCanvas(canvas, height) {
+  const width = canvas.clientWidth;
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.height = `${height}px`;
+  }
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  return { ctx, width, styles: getComputedStyle(document.documentElement) };
+}
+
+function formatValue(value, series) {
+  return series.decimals ? value.toFixed(series.decimals) : String(value);
+}
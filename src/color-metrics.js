@@ -0,0 +1,61 @@
+// ===== Colour Metrics =====
+// Per-node measures the Color By select can map onto the palette ramp:
+// - age: seconds since the node was born or last revived
+// - degree: connections to other alive nodes
+// - born: the generation the node was born in (0 for the seed network)
+// - betweenness: share of shortest paths through the node (see network-analytics.js)
+// - stability: generations since the node's alive neighbourhood last changed
+// measure(context) returns a Map of alive node id -> value, where context is
+// { graph, simulation, nodes (id -> visual node), now, neighborChanges (id -> generation) }.
+// Another metric is one more entry here; it appears in the select automatically.
+
+import { betweennessCentrality } from './network-analytics.js';
+
+export const COLOR_METRICS = {
+  age: { label: 'Age', unit: 's', measure: measureAge },
+  degree: { label: 'Live Degree', measure: measureDegree },
+  born: { label: 'Birth Generation', measure: measureBirthGeneration },
+  betweenness: { label: 'Betweenness', decimals: 3, measure: ({ graph, simulation }) => betweennessCentrality(graph, simulation) },
+  stability: { label: 'Unchanged Neighbours', unit: 'gen', measure: measureStability }
+};
+
+function measureAge({ simulation, nodes, now }) {
+  const values = new Map();
+  simulation.aliveNodes.forEach(id => {
+    const node = nodes.get(id);
+    if (node) values.set(id, Math.max(0, (now - (node.userData.birthTime ?? now)) / 1000));
+  });
+  return values;
+}
+
+function measureDegree({ graph, simulation }) {
+  const values = new Map();
+  simulation.aliveNodes.forEach(id => {
+    values.set(id, graph.getNeighbors(id).filter(otherId => simulation.isAlive(otherId)).length);
+  });
+  return values;
+}
+
+function measureBirthGeneration({ graph, simulation }) {
+  const values = new Map();
+  simulation.aliveNodes.forEach(id => {
+    values.set(id, graph.getNode(id)?.born ?? 0);
+  });
+  return values;
+}
+
+// Nodes with no recorded change count from their birth
+function measureStability({ graph, simulation, neighborChanges }) {
+  const values = new Map();
+  simulation.aliveNodes.forEach(id => {
+    const since = neighborChanges.get(id) ?? graph.getNode(id)?.born ?? 0;
+    values.set(id, Math.max(0, simulation.generation - since));
+  });
+  return values;
+}
+
+// Value formatted for the legend
+export function formatMetric(metric, value) {
+  const text = metric.decimals ? value.toFixed(metric.decimals) : String(Math.round(value));
+  return metric.unit ? `${text} ${metric.unit}` : text;
+}
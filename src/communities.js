@@ -0,0 +1,159 @@
+// ===== Community Detection =====
+// Louvain modularity optimisation on the alive subgraph:
+// - Local moves: each node joins the neighbouring community with the best
+//   modularity gain, until no node moves
+// - Aggregation: communities become nodes of a weighted graph and the moves repeat
+// Nodes are visited in id order, so a state always splits the same way.
+// colorCommunities() then gives each community one of a few colours, keeping
+// the colours communities had in the previous generation where it can.
+
+const MAX_PASSES = 20; // Local-move sweeps per level
+const MIN_GAIN = 1e-10;
+
+// Map of alive node id -> community index, 0 for the largest community
+export function detectCommunities(graph, simulation) {
+  const ids = Array.from(simulation.aliveNodes).sort((a, b) => a - b);
+  const index = new Map(ids.map((id, i) => [id, i]));
+
+  // Level 0: one node per alive node, unit edge weights
+  let adjacency = ids.map(id => {
+    const edges = new Map();
+    graph.getNeighbors(id).forEach(otherId => {
+      const j = index.get(otherId);
+      if (j !== undefined) edges.set(j, 1);
+    });
+    return edges;
+  });
+  let membership = ids.map((id, i) => i); // Original node -> current level node
+
+  while (true) {
+    const { communities, count } = moveNodes(adjacency);
+    if (count === adjacency.length) break; // Nothing merged
+
+    membership = membership.map(node => communities[node]);
+    adjacency = aggregate(adjacency, communities, count);
+  }
+
+  // Largest community first
+  const sizes = new Map();
+  membership.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+  const order = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const rank = new Map(order.map((c, i) => [c, i]));
+
+  const result = new Map();
+  ids.forEach((id, i) => result.set(id, rank.get(membership[i])));
+  return result;
+}
+
+// One level of local moves; returns each node's community, numbered from 0,
+// and how many communities there are
+function moveNodes(adjacency) {
+  const n = adjacency.length;
+  const community = Array.from({ length: n }, (_, i) => i);
+  const degree = adjacency.map(edges => {
+    let sum = 0;
+    edges.forEach(weight => { sum += weight; });
+    return sum;
+  });
+  const total = [...degree]; // Sum of degrees in each community
+  const twiceWeight = degree.reduce((a, b) => a + b, 0);
+  if (twiceWeight === 0) return { communities: community, count: n };
+
+  const links = new Map(); // Community -> weight from the node being moved
+  for (let pass = 0; pass < MAX_PASSES; pass++) {
+    let moved = false;
+
+    for (let i = 0; i < n; i++) {
+      const current = community[i];
+      links.clear();
+      links.set(current, 0);
+      adjacency[i].forEach((weight, j) => {
+        if (j !== i) links.set(community[j], (links.get(community[j]) || 0) + weight);
+      });
+
+      // Take the node out, then put it where the modularity gain is highest
+      total[current] -= degree[i];
+      let best = current;
+      let bestGain = links.get(current) - (total[current] * degree[i]) / twiceWeight;
+      links.forEach((weight, c) => {
+        const gain = weight - (total[c] * degree[i]) / twiceWeight;
+        if (gain > bestGain + MIN_GAIN) {
+          best = c;
+          bestGain = gain;
+        }
+      });
+      total[best] += degree[i];
+
+      if (best !== current) {
+        community[i] = best;
+        moved = true;
+      }
+    }
+
+    if (!moved) break;
+  }
+
+  // Renumber in order of first appearance
+  const numbers = new Map();
+  const communities = community.map(c => {
+    if (!numbers.has(c)) numbers.set(c, numbers.size);
+    return numbers.get(c);
+  });
+  return { communities, count: numbers.size };
+}
+
+// The weighted graph between communities; a community's internal weight
+// becomes a self-loop
+function aggregate(adjacency, communities, count) {
+  const result = Array.from({ length: count }, () => new Map());
+  adjacency.forEach((edges, i) => {
+    const a = communities[i];
+    edges.forEach((weight, j) => {
+      const b = communities[j];
+      result[a].set(b, (result[a].get(b) || 0) + weight);
+    });
+  });
+  return result;
+}
+
+// ===== Community Colours =====
+// Map of node id -> colour index in [0, colorCount). Largest communities choose
+// first: each keeps the colour most of its nodes had before (previous: id ->
+// colour index) unless a larger community already took it, otherwise it gets
+// the colour used by the fewest nodes so far. A merged community keeps its
+// majority colour, and the smaller part of a split takes a new one.
+export function colorCommunities(communities, previous, colorCount) {
+  const members = [];
+  communities.forEach((c, id) => {
+    (members[c] = members[c] || []).push(id);
+  });
+
+  const taken = new Set();
+  const usage = new Array(colorCount).fill(0);
+  const colorOf = [];
+
+  members.forEach((ids, c) => {
+    if (!ids) return;
+    const votes = new Array(colorCount).fill(0);
+    ids.forEach(id => {
+      const color = previous.get(id);
+      if (color !== undefined && color < colorCount) votes[color]++;
+    });
+
+    let color = -1;
+    votes.forEach((count, candidate) => {
+      if (count > 0 && !taken.has(candidate) && (color < 0 || count > votes[color])) color = candidate;
+    });
+    if (color < 0) {
+      color = usage.indexOf(Math.min(...usage));
+    }
+
+    taken.add(color);
+    usage[color] += ids.length;
+    colorOf[c] = color;
+  });
+
+  const result = new Map();
+  communities.forEach((c, id) => result.set(id, colorOf[c]));
+  return result;
+}
@@ -0,0 +1,164 @@
+// ===== Batched Connection Rendering =====
+// Every visible edge is a gently curved polyline inside one LineSegments buffer.
+// The edge list only changes with the topology; each frame the curves are
+// rewritten in place from the node positions, fading with their end nodes.
+// Other edge sets (e.g. the lineage overlay) are separate instances with their
+// own color and opacity. Edges to hidden nodes are skipped. pick() finds the
+// drawn edge under a ray.
+
+import * as THREE from 'three';
+
+const CURVE_SEGMENTS = 8; // Line segments per curved edge
+const STRAIGHT_EDGE_LIMIT = 20000; // Above this many edges, draw straight lines
+const CURVE_BEND = 0.08; // Bend as a fraction of the edge length
+const LINE_COLOR = new THREE.Color(0xC08070); // Red-tinted connection lines
+const LINE_OPACITY = 0.4;
+const segmentStart = new THREE.Vector3(); // Reused by pick()
+const segmentEnd = new THREE.Vector3();
+
+export class ConnectionLines {
+  constructor(capacity = 1024, { color = LINE_COLOR, opacity = LINE_OPACITY } = {}) {
+    this.color = new THREE.Color(color);
+    this.opacity = opacity;
+    this.startIds = new Int32Array(0);
+    this.endIds = new Int32Array(0);
+    this.drawnEdges = new Int32Array(0); // Edge index of each curve written by the last update()
+    this.drawnCount = 0;
+    this.edgeCount = 0;
+    this.segments = CURVE_SEGMENTS;
+    this.vertexCapacity = 0;
+
+    this.material = new THREE.LineBasicMaterial({
+      vertexColors: true, // RGBA - the alpha carries each edge's fade
+      transparent: true,
+      depthWrite: false
+    });
+
+    this.mesh = new THREE.LineSegments(new THREE.BufferGeometry(), this.material);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = 0;
+
+    this.allocate(capacity);
+  }
+
+  // Fresh geometry with room for vertexCapacity vertices (old GPU buffers are freed)
+  allocate(vertexCapacity) {
+    const geometry = new THREE.BufferGeometry();
+    const positions = new THREE.BufferAttribute(new Float32Array(vertexCapacity * 3), 3);
+    const colors = new THREE.BufferAttribute(new Float32Array(vertexCapacity * 4), 4);
+    positions.setUsage(THREE.DynamicDrawUsage);
+    colors.setUsage(THREE.DynamicDrawUsage);
+    geometry.setAttribute('position', positions);
+    geometry.setAttribute('color', colors);
+    geometry.setDrawRange(0, 0);
+
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = geometry;
+    this.vertexCapacity = vertexCapacity;
+  }
+
+  // Edges as [startId, endId] pairs of graph node ids
+  setEdges(edges) {
+    if (this.startIds.length < edges.length) {
+      this.startIds = new Int32Array(edges.length * 2);
+      this.endIds = new Int32Array(edges.length * 2);
+      this.drawnEdges = new Int32Array(edges.length * 2);
+    }
+    this.drawnCount = 0;
+    edges.forEach(([a, b], i) => {
+      this.startIds[i] = a;
+      this.endIds[i] = b;
+    });
+    this.edgeCount = edges.length;
+
+    this.segments = this.edgeCount > STRAIGHT_EDGE_LIMIT ? 1 : CURVE_SEGMENTS;
+    const needed = this.edgeCount * this.segments * 2;
+    if (needed > this.vertexCapacity) {
+      let capacity = this.vertexCapacity;
+      while (capacity < needed) capacity *= 2;
+      this.allocate(capacity);
+    }
+  }
+
+  // Rewrite every curve from the current visual node positions
+  update(nodes) {
+    const geometry = this.mesh.geometry;
+    const positions = geometry.getAttribute('position').array;
+    const colors = geometry.getAttribute('color').array;
+    const segments = this.segments;
+    let vertex = 0;
+    this.drawnCount = 0;
+
+    for (let e = 0; e < this.edgeCount; e++) {
+      const startNode = nodes.get(this.startIds[e]);
+      const endNode = nodes.get(this.endIds[e]);
+      if (!startNode || !endNode || !startNode.visible || !endNode.visible) continue;
+      this.drawnEdges[this.drawnCount++] = e;
+
+      const s = startNode.position;
+      const t = endNode.position;
+      const dx = t.x - s.x;
+      const dy = t.y - s.y;
+      const dz = t.z - s.z;
+
+      // Control point: midpoint pushed out perpendicular to the edge
+      const px = -dy, py = dx, pz = dz * 0.3;
+      const pLength = Math.sqrt(px * px + py * py + pz * pz) || 1;
+      const bend = Math.sqrt(dx * dx + dy * dy + dz * dz) * CURVE_BEND / pLength;
+      const mx = (s.x + t.x) / 2 + px * bend;
+      const my = (s.y + t.y) / 2 + py * bend;
+      const mz = (s.z + t.z) / 2 + pz * bend;
+
+      // Fade connections based on node opacity
+      const opacity = ((startNode.userData.currentOpacity ?? 1) + (endNode.userData.currentOpacity ?? 1)) / 2 * this.opacity;
+
+      for (let k = 0; k < segments; k++) {
+        for (let end = 0; end < 2; end++) {
+          // Quadratic Bézier through the control point
+          const u = (k + end) / segments;
+          const a = (1 - u) * (1 - u);
+          const b = 2 * (1 - u) * u;
+          const c = u * u;
+
+          positions[vertex * 3] = a * s.x + b * mx + c * t.x;
+          positions[vertex * 3 + 1] = a * s.y + b * my + c * t.y;
+          positions[vertex * 3 + 2] = a * s.z + b * mz + c * t.z;
+          colors[vertex * 4] = this.color.r;
+          colors[vertex * 4 + 1] = this.color.g;
+          colors[vertex * 4 + 2] = this.color.b;
+          colors[vertex * 4 + 3] = opacity;
+          vertex++;
+        }
+      }
+    }
+
+    geometry.getAttribute('position').needsUpdate = true;
+    geometry.getAttribute('color').needsUpdate = true;
+    geometry.setDrawRange(0, vertex);
+  }
+
+  // The drawn edge passing nearest the ray, as [startId, endId], or null when
+  // none comes within threshold (world units)
+  pick(ray, threshold) {
+    const positions = this.mesh.geometry.getAttribute('position').array;
+    const segments = this.segments;
+    let picked = null;
+    let pickedDistance = threshold * threshold;
+
+    for (let d = 0; d < this.drawnCount; d++) {
+      for (let k = 0; k < segments; k++) {
+        const vertex = (d * segments + k) * 2;
+        segmentStart.fromArray(positions, vertex * 3);
+        segmentEnd.fromArray(positions, vertex * 3 + 3);
+        const distance = ray.distanceSqToSegment(segmentStart, segmentEnd);
+        if (distance < pickedDistance) {
+          const e = this.drawnEdges[d];
+          picked = [this.startIds[e], this.endIds[e]];
+          pickedDistance = distance;
+        }
+      }
+    }
+
+    return picked;
+  }
+}
@@ -0,0 +1,216 @@
+// ===== Network Export =====
+// Writers for the graph formats used by Gephi, NetworkX and Graphviz:
+// - GraphML (.graphml)
+// - GEXF 1.2 (.gexf), either the current generation or a dynamic timeline in
+//   which nodes and edges appear and disappear as they are born, die and retire
+// - Graphviz DOT (.dot)
+// Every node carries its label, alive state, birth generation, degree, palette
+// (and its colour) and 3D position as attributes.
+// A network is { title, generation, nodes, edges, timeline? } with
+// nodes [{ id, label, alive, born, degree, palette, color, x, y, z }], edges
+// [[a, b], ...] and an optional timeline from GenerationHistory.timeline().
+
+export const EXPORT_FORMATS = {
+  graphml: { label: 'GraphML…', extension: 'graphml', filter: 'GraphML', write: exportGraphML },
+  gexf: { label: 'GEXF…', extension: 'gexf', filter: 'GEXF', write: exportGEXF },
+  gexfDynamic: { label: 'Dynamic GEXF Timeline…', extension: 'gexf', filter: 'GEXF', write: exportDynamicGEXF, dynamic: true },
+  dot: { label: 'Graphviz DOT…', extension: 'dot', filter: 'Graphviz DOT', write: exportDOT }
+};
+
+// Node attributes shared by every format: [name, type, value(node)]
+const NODE_ATTRIBUTES = [
+  ['label', 'string', node => node.label],
+  ['alive', 'boolean', node => node.alive],
+  ['birthGeneration', 'integer', node => node.born],
+  ['degree', 'integer', node => node.degree],
+  ['palette', 'string', node => node.palette],
+  ['color', 'string', node => node.color],
+  ['x', 'double', node => round(node.x)],
+  ['y', 'double', node => round(node.y)],
+  ['z', 'double', node => round(node.z)]
+];
+
+// ===== GraphML =====
+const GRAPHML_TYPES = { string: 'string', boolean: 'boolean', integer: 'int', double: 'double' };
+
+export function exportGraphML(network) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns"',
+    '    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"',
+    '    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    '  <key id="generation" for="graph" attr.name="generation" attr.type="int"/>'
+  ];
+  NODE_ATTRIBUTES.forEach(([name, type]) => {
+    lines.push(`  <key id="${name}" for="node" attr.name="${name}" attr.type="${GRAPHML_TYPES[type]}"/>`);
+  });
+
+  lines.push(`  <graph id="${escapeXML(network.title)}" edgedefault="undirected">`);
+  lines.push(`    <data key="generation">${network.generation}</data>`);
+  network.nodes.forEach(node => {
+    lines.push(`    <node id="n${node.id}">`);
+    NODE_ATTRIBUTES.forEach(([name, , value]) => {
+      const data = value(node);
+      if (data !== null && data !== undefined) {
+        lines.push(`      <data key="${name}">${escapeXML(data)}</data>`);
+      }
+    });
+    lines.push('    </node>');
+  });
+  network.edges.forEach(([a, b], i) => {
+    lines.push(`    <edge id="e${i}" source="n${a}" target="n${b}"/>`);
+  });
+  lines.push('  </graph>', '</graphml>', '');
+  return lines.join('\n');
+}
+
+// ===== GEXF =====
+export function exportGEXF(network) {
+  return writeGEXF(network, null);
+}
+
+// Nodes and edges carry spells (the generations they existed in) and alive is
+// a dynamic attribute, so Gephi's timeline replays births, deaths and retirements
+export function exportDynamicGEXF(network) {
+  if (!network.timeline) {
+    throw new Error('A dynamic export needs the generation timeline');
+  }
+  return writeGEXF(network, network.timeline);
+}
+
+function writeGEXF(network, timeline) {
+  const staticAttributes = NODE_ATTRIBUTES.filter(([name]) => name !== 'label' && !(timeline && name === 'alive'));
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://www.gexf.net/1.2draft" xmlns:viz="http://www.gexf.net/1.2draft/viz" version="1.2">',
+    '  <meta>',
+    `    <creator>Conway's Mind Map</creator>`,
+    `    <description>${escapeXML(network.title)}, generation ${network.generation}</description>`,
+    '  </meta>',
+    timeline
+      ? `  <graph mode="dynamic" defaultedgetype="undirected" timeformat="integer" start="${timeline.first}" end="${timeline.last}">`
+      : '  <graph mode="static" defaultedgetype="undirected">',
+    '    <attributes class="node" mode="static">'
+  ];
+  staticAttributes.forEach(([name, type]) => {
+    lines.push(`      <attribute id="${name}" title="${name}" type="${type}"/>`);
+  });
+  lines.push('    </attributes>');
+  if (timeline) {
+    lines.push(
+      '    <attributes class="node" mode="dynamic">',
+      '      <attribute id="alive" title="alive" type="boolean">',
+      '        <default>false</default>',
+      '      </attribute>',
+      '    </attributes>'
+    );
+  }
+
+  const nodeSpells = new Map(timeline ? timeline.nodes.map(node => [node.id, node]) : []);
+  lines.push('    <nodes>');
+  network.nodes.forEach(node => {
+    const label = node.label ? ` label="${escapeXML(node.label)}"` : '';
+    lines.push(`      <node id="${node.id}"${label}>`);
+
+    lines.push('        <attvalues>');
+    staticAttributes.forEach(([name, , value]) => {
+      const data = value(node);
+      if (data !== null && data !== undefined) {
+        lines.push(`          <attvalue for="${name}" value="${escapeXML(data)}"/>`);
+      }
+    });
+    const lifetime = nodeSpells.get(node.id);
+    if (lifetime) {
+      lifetime.alive.forEach(spell => {
+        lines.push(`          <attvalue for="alive" value="true"${spellAttributes(spell)}/>`);
+      });
+    }
+    lines.push('        </attvalues>');
+    if (lifetime) {
+      lines.push(...writeSpells(lifetime.spells, '        '));
+    }
+
+    const color = hexToRGB(node.color);
+    if (color) {
+      lines.push(`        <viz:color r="${color.r}" g="${color.g}" b="${color.b}"/>`);
+    }
+    lines.push(`        <viz:position x="${round(node.x)}" y="${round(node.y)}" z="${round(node.z)}"/>`);
+    lines.push('      </node>');
+  });
+  lines.push('    </nodes>');
+
+  lines.push('    <edges>');
+  if (timeline) {
+    timeline.edges.forEach((edge, i) => {
+      lines.push(`      <edge id="${i}" source="${edge.source}" target="${edge.target}">`);
+      lines.push(...writeSpells(edge.spells, '        '));
+      lines.push('      </edge>');
+    });
+  } else {
+    network.edges.forEach(([a, b], i) => {
+      lines.push(`      <edge id="${i}" source="${a}" target="${b}"/>`);
+    });
+  }
+  lines.push('    </edges>', '  </graph>', '</gexf>', '');
+  return lines.join('\n');
+}
+
+function writeSpells(spells, indent) {
+  return [
+    `${indent}<spells>`,
+    ...spells.map(spell => `${indent}  <spell${spellAttributes(spell)}/>`),
+    `${indent}</spells>`
+  ];
+}
+
+// An open spell (end null) lasts to the end of the timeline
+function spellAttributes([start, end]) {
+  return end === null ? ` start="${start}"` : ` start="${start}" end="${end}"`;
+}
+
+// ===== Graphviz DOT =====
+export function exportDOT(network) {
+  const lines = [
+    `graph ${quoteDOT(network.title)} {`,
+    `  graph [generation=${network.generation}];`,
+    '  node [shape=circle, style=filled];'
+  ];
+  network.nodes.forEach(node => {
+    const attributes = NODE_ATTRIBUTES
+      .map(([name, type, value]) => [name, type, value(node)])
+      .filter(([, , data]) => data !== null && data !== undefined)
+      .map(([name, type, data]) => `${name}=${type === 'string' ? quoteDOT(data) : data}`);
+    if (node.color) attributes.push(`fillcolor=${quoteDOT(node.color)}`);
+    attributes.push(`pos=${quoteDOT(`${round(node.x)},${round(node.y)},${round(node.z)}`)}`);
+    lines.push(`  ${node.id} [${attributes.join(', ')}];`);
+  });
+  network.edges.forEach(([a, b]) => {
+    lines.push(`  ${a} -- ${b};`);
+  });
+  lines.push('}', '');
+  return lines.join('\n');
+}
+
+// ===== Helpers =====
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function quoteDOT(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, '\\n')}"`;
+}
+
+function hexToRGB(hex) {
+  const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+  if (!match) return null;
+  return { r: parseInt(match[1], 16), g: parseInt(match[2], 16), b: parseInt(match[3], 16) };
+}
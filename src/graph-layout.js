@@ -1,5 +1,18 @@
 // ===== Force-Directed Graph Layout =====
 // Positions nodes organically using spring physics
+// Every node has a stable numeric id; connections hold neighbour ids, so
+// removing a node never renumbers the others
+// Nodes may carry a label (the topic of an imported mind map); null otherwise
+// Every node records the generation it was born in (0 for the seed network) and
+// its parents: the nearest alive nodes it was spawned beside, which it is born
+// connected to (none for the seed network); they stay its parents as edges change
+// A fixed (pinned) node keeps its position: the layout never moves it
+// Repulsion uses a Barnes–Hut octree and distance queries a uniform grid (see
+// spatial.js), so a step costs O(n log n) rather than O(n²)
+
+import { random } from './random.js';
+import { Octree, SpatialGrid } from './spatial.js';
+import { generateTopology } from './topologies.js';
 
 export class ForceDirectedGraph {
   constructor(options = {}) {
@@ -7,91 +20,145 @@ export class ForceDirectedGraph {
     this.connectionDistance = options.connectionDistance || 120;
     this.repulsion = options.repulsion || 50;
     this.bounds = options.bounds || 300;
+    this.topology = options.topology || { type: 'clusters' }; // Seed topology (see topologies.js)
     this.damping = 0.85;
     this.springStrength = 0.03;
     this.centerAttraction = 0.001;
+    this.theta = options.theta ?? 1; // Barnes–Hut accuracy: 0 is exact, higher is faster
+    this.frozen = options.frozen ?? false; // Positions stay put (the classic Life grid)
     
+    this.octree = new Octree(this.theta);
+    this.grid = new SpatialGrid(this.connectionDistance);
     this.nodes = [];
-    this.initialize();
+    this.nodeById = new Map();
+    this.nextId = 0;
+    
+    // Start from a snapshot (a mirror of another graph) or a fresh random layout
+    if (options.snapshot) {
+      this.loadSnapshot(options.snapshot);
+    } else {
+      this.initialize();
+    }
   }
 
   initialize() {
     this.nodes = [];
+    this.nodeById.clear();
+    this.nextId = 0;
+    
+    if (this.topology.type !== 'clusters') {
+      this.initializeTopology();
+      return;
+    }
     
     // Create nodes with random initial positions
     for (let i = 0; i < this.nodeCount; i++) {
       // Distribute in clusters for more organic feel
-      const clusterCount = 3 + Math.floor(Math.random() * 3);
+      const clusterCount = 3 + Math.floor(random() * 3);
       const cluster = i % clusterCount;
       const clusterAngle = (cluster / clusterCount) * Math.PI * 2;
       const clusterDistance = this.bounds * 0.4;
       
       const clusterX = Math.cos(clusterAngle) * clusterDistance;
       const clusterY = Math.sin(clusterAngle) * clusterDistance;
-      const clusterZ = (Math.random() - 0.5) * clusterDistance * 0.5;
+      const clusterZ = (random() - 0.5) * clusterDistance * 0.5;
       
       // Random offset within cluster
       const spread = this.bounds * 0.3;
       const node = {
-        x: clusterX + (Math.random() - 0.5) * spread,
-        y: clusterY + (Math.random() - 0.5) * spread,
-        z: clusterZ + (Math.random() - 0.5) * spread * 0.5,
+        id: this.nextId++,
+        x: clusterX + (random() - 0.5) * spread,
+        y: clusterY + (random() - 0.5) * spread,
+        z: clusterZ + (random() - 0.5) * spread * 0.5,
         vx: 0,
         vy: 0,
         vz: 0,
         connections: [],
-        mass: 1 + Math.random() * 0.5
+        mass: 1 + random() * 0.5,
+        label: null,
+        born: 0,
+        parents: [],
+        fixed: false
       };
       
       this.nodes.push(node);
+      this.nodeById.set(node.id, node);
     }
     
     // Calculate initial connections
     this.recalculateConnections();
   }
 
+  // Nodes and edges from one of the generated seed topologies
+  initializeTopology() {
+    const { positions, edges, labels, fixed } = generateTopology(this.topology, this.nodeCount, {
+      bounds: this.bounds,
+      spacing: this.connectionDistance * 0.6 // The springs' rest length
+    });
+    
+    positions.forEach((position, i) => {
+      const node = {
+        id: this.nextId++,
+        x: position.x,
+        y: position.y,
+        z: position.z,
+        vx: 0,
+        vy: 0,
+        vz: 0,
+        connections: [],
+        mass: 1 + random() * 0.5,
+        label: labels ? labels[i] : null,
+        born: 0,
+        parents: [],
+        fixed: fixed ? fixed[i] : false
+      };
+      this.nodes.push(node);
+      this.nodeById.set(node.id, node);
+    });
+    
+    // Generators number nodes from 0, the same as their ids here
+    edges.forEach(([a, b]) => this.addEdge(a, b));
+  }
+
   recalculateConnections() {
     // Clear existing connections
     this.nodes.forEach(node => {
       node.connections = [];
     });
     
+    this.grid.cellSize = this.connectionDistance;
+    this.grid.build(this.nodes);
+    
     // Connect nodes within connection distance
     for (let i = 0; i < this.nodes.length; i++) {
-      for (let j = i + 1; j < this.nodes.length; j++) {
-        const dist = this.distance(this.nodes[i], this.nodes[j]);
-        
-        // Connect if within range, with probability based on distance
-        if (dist < this.connectionDistance) {
-          const connectionProb = 1 - (dist / this.connectionDistance);
-          if (Math.random() < connectionProb * 0.6) {
-            this.nodes[i].connections.push(j);
-            this.nodes[j].connections.push(i);
-          }
+      const node = this.nodes[i];
+      
+      // Pairs are visited in index order so a seed always wires the same graph
+      const inRange = [];
+      this.grid.queryRadius(node.x, node.y, node.z, this.connectionDistance, (j, dist) => {
+        if (j > i) inRange.push({ j, dist });
+      });
+      inRange.sort((a, b) => a.j - b.j);
+      
+      inRange.forEach(({ j, dist }) => {
+        // Connect with probability based on distance
+        const connectionProb = 1 - (dist / this.connectionDistance);
+        if (random() < connectionProb * 0.6) {
+          node.connections.push(this.nodes[j].id);
+          this.nodes[j].connections.push(node.id);
         }
-      }
+      });
     }
     
     // Ensure minimum connections for non-isolated nodes
     this.nodes.forEach((node, i) => {
-      if (node.connections.length === 0 && Math.random() > 0.3) {
+      if (node.connections.length === 0 && random() > 0.3) {
         // Find nearest neighbor and connect
-        let nearestIndex = -1;
-        let nearestDist = Infinity;
-        
-        this.nodes.forEach((other, j) => {
-          if (i !== j) {
-            const dist = this.distance(node, other);
-            if (dist < nearestDist) {
-              nearestDist = dist;
-              nearestIndex = j;
-            }
-          }
-        });
+        const nearestIndex = this.grid.nearest(node.x, node.y, node.z, i);
         
         if (nearestIndex >= 0) {
-          node.connections.push(nearestIndex);
-          this.nodes[nearestIndex].connections.push(i);
+          node.connections.push(this.nodes[nearestIndex].id);
+          this.nodes[nearestIndex].connections.push(node.id);
         }
       }
     });
@@ -107,6 +174,7 @@ export class ForceDirectedGraph {
   update(repulsion = this.repulsion, connectionDistance = this.connectionDistance) {
     this.repulsion = repulsion;
     this.connectionDistance = connectionDistance;
+    if (this.frozen) return;
     
     // Apply forces
     this.applyRepulsion();
@@ -116,6 +184,14 @@ export class ForceDirectedGraph {
     
     // Update positions
     this.nodes.forEach(node => {
+      // Pinned nodes stay put and gather no momentum
+      if (node.fixed) {
+        node.vx = 0;
+        node.vy = 0;
+        node.vz = 0;
+        return;
+      }
+
       // Apply velocity with damping
       node.x += node.vx;
       node.y += node.vy;
@@ -128,6 +204,27 @@ export class ForceDirectedGraph {
   }
 
   applyRepulsion() {
+    if (this.theta <= 0) {
+      this.applyExactRepulsion();
+      return;
+    }
+    
+    const repulsionStrength = this.repulsion * 100;
+    const force = { x: 0, y: 0, z: 0 };
+    
+    this.octree.theta = this.theta;
+    this.octree.build(this.nodes);
+    
+    this.nodes.forEach(node => {
+      this.octree.accumulateForce(node, repulsionStrength, force);
+      node.vx += force.x / node.mass;
+      node.vy += force.y / node.mass;
+      node.vz += force.z / node.mass * 0.5; // Reduce Z movement for flatter appearance
+    });
+  }
+
+  // Every pair - O(n²), used when theta is 0
+  applyExactRepulsion() {
     const repulsionStrength = this.repulsion * 100;
     
     for (let i = 0; i < this.nodes.length; i++) {
@@ -161,10 +258,11 @@ export class ForceDirectedGraph {
   }
 
   applySpringForces() {
-    this.nodes.forEach((node, i) => {
-      node.connections.forEach(j => {
-        if (j > i) { // Only process each connection once
-          const other = this.nodes[j];
+    this.nodes.forEach(node => {
+      node.connections.forEach(otherId => {
+        if (otherId > node.id) { // Only process each connection once
+          const other = this.nodeById.get(otherId);
+          if (!other) return;
           
           const dx = other.x - node.x;
           const dy = other.y - node.y;
@@ -223,42 +321,142 @@ export class ForceDirectedGraph {
 
   addNode(nodeData) {
     const node = {
+      id: this.nextId++,
       x: nodeData.x,
       y: nodeData.y,
       z: nodeData.z,
       vx: 0,
       vy: 0,
       vz: 0,
-      connections: nodeData.connections || [],
-      mass: 1 + Math.random() * 0.5
+      connections: (nodeData.connections || []).filter(id => this.nodeById.has(id)),
+      mass: 1 + random() * 0.5,
+      label: nodeData.label ?? null,
+      born: nodeData.born ?? 0,
+      parents: [...(nodeData.parents || [])],
+      fixed: nodeData.fixed ?? false
     };
     
     this.nodes.push(node);
+    this.nodeById.set(node.id, node);
     
     // Add reciprocal connections
-    node.connections.forEach(j => {
-      if (this.nodes[j] && !this.nodes[j].connections.includes(this.nodes.length - 1)) {
-        this.nodes[j].connections.push(this.nodes.length - 1);
+    node.connections.forEach(otherId => {
+      const other = this.nodeById.get(otherId);
+      if (!other.connections.includes(node.id)) {
+        other.connections.push(node.id);
       }
     });
     
     return node;
   }
 
-  removeNode(index) {
-    // Remove connections to this node from other nodes
-    this.nodes.forEach(node => {
-      node.connections = node.connections.filter(i => i !== index);
-      // Adjust indices for nodes after the removed one
-      node.connections = node.connections.map(i => i > index ? i - 1 : i);
+  removeNode(id) {
+    const node = this.nodeById.get(id);
+    if (!node) return;
+    
+    // Remove connections to this node from its neighbours
+    node.connections.forEach(otherId => {
+      const other = this.nodeById.get(otherId);
+      if (other) {
+        other.connections = other.connections.filter(i => i !== id);
+      }
     });
     
-    this.nodes.splice(index, 1);
+    this.nodes.splice(this.nodes.indexOf(node), 1);
+    this.nodeById.delete(id);
+  }
+
+  // Add a node that already has an id (restoring history or a saved session)
+  insertNode(nodeData) {
+    const node = {
+      id: nodeData.id,
+      x: nodeData.x,
+      y: nodeData.y,
+      z: nodeData.z,
+      vx: nodeData.vx || 0,
+      vy: nodeData.vy || 0,
+      vz: nodeData.vz || 0,
+      connections: [...(nodeData.connections || [])],
+      mass: nodeData.mass || 1,
+      label: nodeData.label ?? null,
+      born: nodeData.born ?? 0,
+      parents: [...(nodeData.parents || [])],
+      fixed: nodeData.fixed ?? false
+    };
+    
+    this.nodes.push(node);
+    this.nodeById.set(node.id, node);
+    this.nextId = Math.max(this.nextId, node.id + 1);
+    
+    return node;
+  }
+
+  addEdge(a, b) {
+    const nodeA = this.nodeById.get(a);
+    const nodeB = this.nodeById.get(b);
+    if (!nodeA || !nodeB || a === b) return false;
+    
+    if (!nodeA.connections.includes(b)) nodeA.connections.push(b);
+    if (!nodeB.connections.includes(a)) nodeB.connections.push(a);
+    return true;
+  }
+
+  removeEdge(a, b) {
+    const nodeA = this.nodeById.get(a);
+    const nodeB = this.nodeById.get(b);
+    
+    if (nodeA) nodeA.connections = nodeA.connections.filter(id => id !== b);
+    if (nodeB) nodeB.connections = nodeB.connections.filter(id => id !== a);
+  }
+
+  // Undirected edges as "low-high" id keys
+  getEdgeKeys() {
+    const keys = new Set();
+    this.nodes.forEach(node => {
+      node.connections.forEach(otherId => {
+        keys.add(node.id < otherId ? `${node.id}-${otherId}` : `${otherId}-${node.id}`);
+      });
+    });
+    return keys;
+  }
+
+  toSnapshot() {
+    return {
+      nextId: this.nextId,
+      nodes: this.nodes.map(node => ({
+        id: node.id,
+        x: node.x,
+        y: node.y,
+        z: node.z,
+        vx: node.vx,
+        vy: node.vy,
+        vz: node.vz,
+        mass: node.mass,
+        connections: [...node.connections],
+        label: node.label,
+        born: node.born,
+        parents: [...node.parents],
+        fixed: node.fixed
+      }))
+    };
+  }
+
+  loadSnapshot(snapshot) {
+    this.nodes = [];
+    this.nodeById.clear();
+    this.nextId = 0;
+    snapshot.nodes.forEach(nodeData => this.insertNode(nodeData));
+    this.nextId = Math.max(this.nextId, snapshot.nextId || 0);
+  }
+
+  getNode(id) {
+    return this.nodeById.get(id);
   }
 
-  getNeighbors(index) {
-    if (!this.nodes[index]) return [];
-    return this.nodes[index].connections;
+  getNeighbors(id) {
+    const node = this.nodeById.get(id);
+    if (!node) return [];
+    return node.connections;
   }
 
   getConnectionCount() {
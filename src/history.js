@@ -0,0 +1,564 @@
+// ===== Generation History =====
+// Records what every generation changed so a run can be rewound:
+// - births, deaths, revivals and retired nodes
+// - edges added and removed since the previous generation
+// - a full keyframe (positions, velocities, edges, alive set) every few generations
+// - edits the user made while the generation was shown (see applyEdit)
+// Restoring generation g loads the nearest keyframe at or before g and replays
+// the diffs after it; positions between keyframes come from that keyframe.
+// Keyframes are packed into typed arrays and share a byte budget, so a large
+// network keeps fewer generations rather than exhausting the worker's memory.
+
+import { getRandomState, setRandomState } from './random.js';
+
+export class GenerationHistory {
+  constructor(options = {}) {
+    this.keyframeInterval = options.keyframeInterval || 10;
+    this.maxGenerations = Math.max(options.maxGenerations || 2000, this.keyframeInterval * 2);
+    this.maxKeyframeBytes = options.maxKeyframeBytes || 128 * 1024 * 1024;
+    this.keyframeBytes = 0; // Sum over the kept records
+    this.records = [];
+    this.lastEdges = new Set();
+  }
+
+  get firstGeneration() {
+    return this.records.length > 0 ? this.records[0].generation : 0;
+  }
+
+  get lastGeneration() {
+    return this.records.length > 0 ? this.records[this.records.length - 1].generation : 0;
+  }
+
+  // Start a new history at the current state of the run
+  reset(graph, simulation) {
+    this.records = [];
+    this.keyframeBytes = 0;
+    this.lastEdges = graph.getEdgeKeys();
+    this.records.push(this.createKeyframeRecord(graph, simulation));
+  }
+
+  // Record the generation produced by simulation.step()
+  record(graph, simulation, changes) {
+    // Stepping from a rewound generation starts a new branch
+    this.truncate(simulation.generation - 1);
+
+    const edges = graph.getEdgeKeys();
+    const record = {
+      generation: simulation.generation,
+      births: changes.births.map(node => ({ id: node.id, x: node.x, y: node.y, z: node.z, mass: node.mass, label: node.label, born: node.born, parents: [...node.parents] })),
+      deaths: [...changes.deaths],
+      revivals: [...changes.revivals],
+      retired: [...changes.retired],
+      edgesAdded: diffKeys(edges, this.lastEdges),
+      edgesRemoved: diffKeys(this.lastEdges, edges),
+      nextId: graph.nextId,
+      rngState: getRandomState()
+    };
+
+    if (simulation.generation % this.keyframeInterval === 0) {
+      record.keyframe = this.createKeyframe(graph, simulation);
+      this.keyframeBytes += record.keyframe.bytes;
+    }
+
+    this.lastEdges = edges;
+    this.records.push(record);
+    this.trim();
+    return record;
+  }
+
+  // Drop every record after the given generation
+  truncate(generation) {
+    const keep = Math.max(generation - this.firstGeneration + 1, 1);
+    for (let i = keep; i < this.records.length; i++) {
+      if (this.records[i].keyframe) this.keyframeBytes -= this.records[i].keyframe.bytes;
+    }
+    if (keep < this.records.length) {
+      this.records.length = keep;
+    }
+  }
+
+  // User edits made at the current generation join its record, so rewinds and
+  // replays include them; any generations after it are discarded
+  amend(edits, graph, simulation) {
+    this.truncate(simulation.generation);
+    const record = this.getRecord(simulation.generation);
+    if (!record) return;
+
+    record.edits = [...(record.edits || []), ...edits];
+    if (record.keyframe) {
+      this.keyframeBytes -= record.keyframe.bytes;
+      record.keyframe = this.createKeyframe(graph, simulation);
+      this.keyframeBytes += record.keyframe.bytes;
+    }
+    record.nextId = graph.nextId;
+    record.rngState = getRandomState();
+    this.lastEdges = graph.getEdgeKeys();
+  }
+
+  getRecord(generation) {
+    return this.records[generation - this.firstGeneration] || null;
+  }
+
+  // Rebuild graph and simulation state as it was at the given generation
+  restore(generation, graph, simulation) {
+    const target = Math.max(this.firstGeneration, Math.min(generation, this.lastGeneration));
+    let index = target - this.firstGeneration;
+    while (index > 0 && !this.records[index].keyframe) {
+      index--;
+    }
+
+    const base = unpackKeyframe(this.records[index].keyframe);
+    graph.loadSnapshot(base.graph);
+    simulation.loadSnapshot(base.simulation);
+
+    for (let i = index + 1; i <= target - this.firstGeneration; i++) {
+      applyRecord(this.records[i], graph, simulation);
+    }
+
+    const record = this.records[target - this.firstGeneration];
+    setRandomState(record.rngState);
+    this.lastEdges = graph.getEdgeKeys();
+    return target;
+  }
+
+  // When every node and edge existed and when every node was alive, over the
+  // recorded generations up to the given one (used by the dynamic GEXF export).
+  // Spells are [start, end] generation ranges, both ends included; end is null
+  // while the spell is still open at that generation.
+  timeline(generation = this.lastGeneration) {
+    const first = this.firstGeneration;
+    const last = Math.max(first, Math.min(generation, this.lastGeneration));
+    const nodes = new Map(); // Id -> { id, label, born, x, y, z, spells, alive }
+    const edges = new Map(); // "a-b" -> { source, target, spells }
+
+    const open = (spells, start) => spells.push([start, null]);
+    const close = (spells, end) => {
+      const spell = spells[spells.length - 1];
+      if (spell && spell[1] === null) spell[1] = end;
+    };
+    const addNode = (nodeData, start) => {
+      const node = { id: nodeData.id, label: nodeData.label, born: nodeData.born ?? 0, x: nodeData.x, y: nodeData.y, z: nodeData.z, spells: [], alive: [] };
+      open(node.spells, start);
+      nodes.set(node.id, node);
+      return node;
+    };
+    const addEdge = (a, b, start) => {
+      const key = `${a}-${b}`;
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { source: a, target: b, spells: [] };
+        edges.set(key, edge);
+      }
+      open(edge.spells, start);
+    };
+
+    // The first record is always a keyframe
+    const base = unpackKeyframe(this.records[0].keyframe);
+    const alive = new Set(base.simulation.alive);
+    base.graph.nodes.forEach(nodeData => {
+      const node = addNode(nodeData, Math.min(first, nodeData.born ?? 0));
+      if (alive.has(node.id)) open(node.alive, first);
+      nodeData.connections.forEach(otherId => {
+        if (otherId > node.id) addEdge(node.id, otherId, first);
+      });
+    });
+
+    for (let i = 1; i <= last - first; i++) {
+      const record = this.records[i];
+      const g = record.generation;
+      record.retired.forEach(id => {
+        const node = nodes.get(id);
+        if (!node) return;
+        close(node.alive, g - 1);
+        close(node.spells, g - 1);
+      });
+      record.deaths.forEach(id => close(nodes.get(id)?.alive || [], g - 1));
+      record.revivals.forEach(id => {
+        const node = nodes.get(id);
+        if (node) open(node.alive, g);
+      });
+      record.births.forEach(nodeData => open(addNode(nodeData, g).alive, g));
+      record.edgesRemoved.forEach(([a, b]) => close(edges.get(`${a}-${b}`)?.spells || [], g - 1));
+      record.edgesAdded.forEach(([a, b]) => addEdge(a, b, g));
+
+      // Edits change the state at g itself: what they end lasted until g - 1,
+      // a spell opened at g and ended by an edit at g never happened, and one
+      // ended by an edit at g and resumed by another just goes on
+      const end = (spells) => {
+        const spell = spells[spells.length - 1];
+        if (!spell || spell[1] !== null) return;
+        if (spell[0] === g) spells.pop();
+        else spell[1] = g - 1;
+      };
+      const resume = (spells) => {
+        const spell = spells[spells.length - 1];
+        if (spell && spell[1] === null) return;
+        if (spell && spell[1] === g - 1) spell[1] = null;
+        else open(spells, g);
+      };
+      const edgeSpells = (a, b) => edges.get(a < b ? `${a}-${b}` : `${b}-${a}`)?.spells;
+      (record.edits || []).forEach(edit => {
+        const node = nodes.get(edit.id);
+        switch (edit.type) {
+          case 'kill':
+            if (node) end(node.alive);
+            break;
+          case 'revive':
+            if (node) resume(node.alive);
+            break;
+          case 'add': {
+            // An undone deletion brings back the node it removed
+            const added = nodes.get(edit.node.id);
+            if (added) {
+              resume(added.spells);
+              resume(added.alive);
+            } else {
+              open(addNode(edit.node, g).alive, g);
+            }
+            break;
+          }
+          case 'delete':
+            if (!node) break;
+            end(node.alive);
+            end(node.spells);
+            edit.connections.forEach(otherId => end(edgeSpells(edit.id, otherId) || []));
+            break;
+          case 'connect': {
+            const spells = edgeSpells(edit.a, edit.b);
+            if (spells) resume(spells);
+            else addEdge(Math.min(edit.a, edit.b), Math.max(edit.a, edit.b), g);
+            break;
+          }
+          case 'disconnect':
+            end(edgeSpells(edit.a, edit.b) || []);
+            break;
+        }
+      });
+    }
+
+    const existed = (item) => item.spells.length > 0;
+    return { first, last, nodes: Array.from(nodes.values()).filter(existed), edges: Array.from(edges.values()).filter(existed) };
+  }
+
+  // Live degree of one node (connections to alive nodes) at every recorded
+  // generation it existed in, up to the given one: [{ generation, value }]
+  degreeHistory(id, generation = this.lastGeneration) {
+    const last = Math.min(generation, this.lastGeneration);
+    const base = unpackKeyframe(this.records[0].keyframe);
+    const alive = new Set(base.simulation.alive);
+    const neighbors = new Set(base.graph.nodes.find(node => node.id === id)?.connections || []);
+    let exists = base.graph.nodes.some(node => node.id === id);
+    const points = [];
+    const measure = (g) => {
+      let degree = 0;
+      neighbors.forEach(otherId => {
+        if (alive.has(otherId)) degree++;
+      });
+      points.push({ generation: g, value: degree });
+    };
+    if (exists) measure(this.firstGeneration);
+
+    for (let i = 1; i <= last - this.firstGeneration; i++) {
+      const record = this.records[i];
+      record.retired.forEach(otherId => {
+        alive.delete(otherId);
+        neighbors.delete(otherId);
+        if (otherId === id) exists = false;
+      });
+      record.deaths.forEach(otherId => alive.delete(otherId));
+      record.revivals.forEach(otherId => alive.add(otherId));
+      record.births.forEach(nodeData => {
+        alive.add(nodeData.id);
+        if (nodeData.id === id) exists = true;
+      });
+      record.edgesRemoved.forEach(([a, b]) => {
+        if (a === id) neighbors.delete(b);
+        if (b === id) neighbors.delete(a);
+      });
+      record.edgesAdded.forEach(([a, b]) => {
+        if (a === id) neighbors.add(b);
+        if (b === id) neighbors.add(a);
+      });
+      (record.edits || []).forEach(edit => {
+        switch (edit.type) {
+          case 'kill':
+            alive.delete(edit.id);
+            break;
+          case 'revive':
+            alive.add(edit.id);
+            break;
+          case 'add':
+            alive.add(edit.node.id);
+            if (edit.node.id === id) exists = true;
+            break;
+          case 'delete':
+            alive.delete(edit.id);
+            neighbors.delete(edit.id);
+            if (edit.id === id) {
+              exists = false;
+              neighbors.clear();
+            }
+            break;
+          case 'connect':
+          case 'disconnect': {
+            const otherId = edit.a === id ? edit.b : edit.b === id ? edit.a : null;
+            if (otherId === null) break;
+            if (edit.type === 'connect') neighbors.add(otherId);
+            else neighbors.delete(otherId);
+            break;
+          }
+        }
+      });
+      if (exists) measure(record.generation);
+    }
+
+    return points;
+  }
+
+  createKeyframe(graph, simulation) {
+    return packKeyframe(graph, simulation);
+  }
+
+  createKeyframeRecord(graph, simulation) {
+    const keyframe = this.createKeyframe(graph, simulation);
+    this.keyframeBytes += keyframe.bytes;
+    return {
+      generation: simulation.generation,
+      births: [],
+      deaths: [],
+      revivals: [],
+      retired: [],
+      edgesAdded: [],
+      edgesRemoved: [],
+      nextId: graph.nextId,
+      rngState: getRandomState(),
+      keyframe
+    };
+  }
+
+  // Keep memory bounded - the oldest records go, a keyframe always stays first
+  trim() {
+    while (this.records.length > this.maxGenerations || this.keyframeBytes > this.maxKeyframeBytes) {
+      let nextKeyframe = 1;
+      while (nextKeyframe < this.records.length && !this.records[nextKeyframe].keyframe) {
+        nextKeyframe++;
+      }
+      if (nextKeyframe >= this.records.length) break;
+      this.keyframeBytes -= this.records[0].keyframe.bytes;
+      this.records.splice(0, nextKeyframe);
+    }
+  }
+}
+
+// ===== Keyframes =====
+// The whole graph and alive set in a few typed arrays instead of one object per
+// node: numbers in per-node columns, connections and parents as flat lists with
+// each node's start offset. Labels are kept as [index, label] pairs.
+function packKeyframe(graph, simulation) {
+  const nodes = graph.nodes;
+  const ids = new Int32Array(nodes.length);
+  const motion = new Float64Array(nodes.length * 7); // x, y, z, vx, vy, vz, mass
+  const born = new Int32Array(nodes.length);
+  const fixed = new Uint8Array(nodes.length);
+  const connectionStarts = new Int32Array(nodes.length + 1);
+  const parentStarts = new Int32Array(nodes.length + 1);
+  const labels = [];
+  let labelBytes = 0;
+
+  nodes.forEach((node, i) => {
+    connectionStarts[i + 1] = connectionStarts[i] + node.connections.length;
+    parentStarts[i + 1] = parentStarts[i] + node.parents.length;
+  });
+  const connections = new Int32Array(connectionStarts[nodes.length]);
+  const parents = new Int32Array(parentStarts[nodes.length]);
+
+  nodes.forEach((node, i) => {
+    ids[i] = node.id;
+    const m = i * 7;
+    motion[m] = node.x;
+    motion[m + 1] = node.y;
+    motion[m + 2] = node.z;
+    motion[m + 3] = node.vx;
+    motion[m + 4] = node.vy;
+    motion[m + 5] = node.vz;
+    motion[m + 6] = node.mass;
+    born[i] = node.born;
+    fixed[i] = node.fixed ? 1 : 0;
+    connections.set(node.connections, connectionStarts[i]);
+    parents.set(node.parents, parentStarts[i]);
+    if (typeof node.label === 'string') {
+      labels.push([i, node.label]);
+      labelBytes += node.label.length * 2;
+    }
+  });
+
+  const alive = Int32Array.from(simulation.aliveNodes);
+  const deathGenerations = new Int32Array(simulation.deathGenerations.size * 2);
+  let d = 0;
+  simulation.deathGenerations.forEach((generation, id) => {
+    deathGenerations[d++] = id;
+    deathGenerations[d++] = generation;
+  });
+
+  const arrays = [ids, motion, born, fixed, connectionStarts, connections, parentStarts, parents, alive, deathGenerations];
+  return {
+    nextId: graph.nextId,
+    generation: simulation.generation,
+    ids, motion, born, fixed, connectionStarts, connections, parentStarts, parents, labels,
+    alive, deathGenerations,
+    bytes: arrays.reduce((sum, array) => sum + array.byteLength, labelBytes)
+  };
+}
+
+// Back to graph and simulation snapshots (see toSnapshot) for loading or reading
+function unpackKeyframe(keyframe) {
+  const { ids, motion, born, fixed, connectionStarts, connections, parentStarts, parents } = keyframe;
+  const labels = new Map(keyframe.labels);
+  const nodes = [];
+  for (let i = 0; i < ids.length; i++) {
+    const m = i * 7;
+    nodes.push({
+      id: ids[i],
+      x: motion[m],
+      y: motion[m + 1],
+      z: motion[m + 2],
+      vx: motion[m + 3],
+      vy: motion[m + 4],
+      vz: motion[m + 5],
+      mass: motion[m + 6],
+      connections: Array.from(connections.subarray(connectionStarts[i], connectionStarts[i + 1])),
+      label: labels.get(i) ?? null,
+      born: born[i],
+      parents: Array.from(parents.subarray(parentStarts[i], parentStarts[i + 1])),
+      fixed: fixed[i] === 1
+    });
+  }
+
+  const deathGenerations = [];
+  for (let d = 0; d < keyframe.deathGenerations.length; d += 2) {
+    deathGenerations.push([keyframe.deathGenerations[d], keyframe.deathGenerations[d + 1]]);
+  }
+
+  return {
+    graph: { nextId: keyframe.nextId, nodes },
+    simulation: { generation: keyframe.generation, alive: Array.from(keyframe.alive), deathGenerations }
+  };
+}
+
+// ===== Helpers =====
+function diffKeys(a, b) {
+  const result = [];
+  a.forEach(key => {
+    if (!b.has(key)) {
+      result.push(key.split('-').map(Number));
+    }
+  });
+  return result;
+}
+
+// Replay one generation's diff on top of the previous generation's state
+// (also used by the renderer to keep its mirror of the worker's graph in sync)
+export function applyRecord(record, graph, simulation) {
+  record.retired.forEach(id => {
+    graph.removeNode(id);
+    simulation.aliveNodes.delete(id);
+    simulation.deathGenerations.delete(id);
+  });
+
+  record.deaths.forEach(id => {
+    simulation.aliveNodes.delete(id);
+    simulation.deathGenerations.set(id, record.generation);
+  });
+
+  record.revivals.forEach(id => {
+    simulation.aliveNodes.add(id);
+    simulation.deathGenerations.delete(id);
+  });
+
+  record.births.forEach(nodeData => {
+    graph.insertNode({ ...nodeData, connections: [] });
+    simulation.aliveNodes.add(nodeData.id);
+  });
+
+  record.edgesRemoved.forEach(([a, b]) => graph.removeEdge(a, b));
+  record.edgesAdded.forEach(([a, b]) => graph.addEdge(a, b));
+
+  graph.nextId = Math.max(graph.nextId, record.nextId);
+  simulation.generation = record.generation;
+
+  (record.edits || []).forEach(edit => applyEdit(edit, graph, simulation));
+}
+
+// ===== Edits =====
+// Changes the user makes between generations, applied the same way by the
+// worker, the renderer's mirror and history replays:
+// - { type: 'kill', id } / { type: 'revive', id }
+// - { type: 'pin', id, fixed } - a fixed node is left where it is by the layout
+// - { type: 'add', node } - node data with its id and birth generation; it starts alive
+// - { type: 'delete', id, node, connections, alive } - the node as it was, to undo it
+// - { type: 'connect', a, b } / { type: 'disconnect', a, b } - one undirected edge
+// Returns false when the edit changes nothing (e.g. its node is gone)
+export function applyEdit(edit, graph, simulation) {
+  switch (edit.type) {
+    case 'kill':
+      if (!simulation.isAlive(edit.id)) return false;
+      simulation.killNode(edit.id);
+      return true;
+    case 'revive':
+      if (!graph.getNode(edit.id) || simulation.isAlive(edit.id)) return false;
+      simulation.reviveNode(edit.id);
+      return true;
+    case 'pin': {
+      const node = graph.getNode(edit.id);
+      if (!node || node.fixed === edit.fixed) return false;
+      node.fixed = edit.fixed;
+      return true;
+    }
+    case 'add':
+      if (graph.getNode(edit.node.id)) return false;
+      simulation.placeNode(edit.node);
+      return true;
+    case 'delete':
+      if (!graph.getNode(edit.id)) return false;
+      simulation.deleteNode(edit.id);
+      return true;
+    case 'connect':
+      if (graph.getNeighbors(edit.a).includes(edit.b)) return false;
+      return graph.addEdge(edit.a, edit.b);
+    case 'disconnect':
+      if (!graph.getNeighbors(edit.a).includes(edit.b)) return false;
+      graph.removeEdge(edit.a, edit.b);
+      return true;
+    default:
+      return false;
+  }
+}
+
+// The edits that take a batch back, last edit first. A deleted node comes back
+// with its id, data and edges (a dead one is killed again).
+export function invertEdits(edits) {
+  return [...edits].reverse().flatMap(edit => {
+    switch (edit.type) {
+      case 'kill':
+        return [{ type: 'revive', id: edit.id }];
+      case 'revive':
+        return [{ type: 'kill', id: edit.id }];
+      case 'pin':
+        return [{ type: 'pin', id: edit.id, fixed: !edit.fixed }];
+      case 'add':
+        return [{ type: 'delete', id: edit.node.id }];
+      case 'delete':
+        return [
+          { type: 'add', node: edit.node },
+          ...edit.connections.map(otherId => ({ type: 'connect', a: edit.id, b: otherId })),
+          ...(edit.alive ? [] : [{ type: 'kill', id: edit.id }])
+        ];
+      case 'connect':
+        return [{ type: 'disconnect', a: edit.a, b: edit.b }];
+      case 'disconnect':
+        return [{ type: 'connect', a: edit.a, b: edit.b }];
+      default:
+        return [];
+    }
+  });
+}
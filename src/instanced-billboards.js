@@ -0,0 +1,60 @@
+// ===== Instanced Billboards =====
+// Camera-facing quads drawn in one instanced call - the base of NodeInstances,
+// SelectionRings and PinMarkers:
+// - Per-instance float attributes, given as { name: itemSize }
+// - Buffers grow by doubling and are rewritten in place each frame
+
+import * as THREE from 'three';
+
+export class InstancedBillboards {
+  constructor(material, attributes, capacity) {
+    this.material = material;
+    this.attributes = attributes;
+    this.capacity = 0;
+    this.count = 0;
+
+    this.mesh = new THREE.Mesh(new THREE.InstancedBufferGeometry(), material);
+    this.mesh.frustumCulled = false; // Instances span the whole scene
+
+    this.allocate(capacity);
+  }
+
+  // Fresh geometry with room for capacity instances (old GPU buffers are freed)
+  allocate(capacity) {
+    const quad = new THREE.PlaneGeometry(1, 1);
+    const geometry = new THREE.InstancedBufferGeometry();
+    geometry.setIndex(quad.getIndex());
+    geometry.setAttribute('position', quad.getAttribute('position'));
+    geometry.setAttribute('uv', quad.getAttribute('uv'));
+    quad.dispose();
+
+    Object.entries(this.attributes).forEach(([name, itemSize]) => {
+      const buffer = new THREE.InstancedBufferAttribute(new Float32Array(capacity * itemSize), itemSize);
+      buffer.setUsage(THREE.DynamicDrawUsage);
+      geometry.setAttribute(name, buffer);
+    });
+    geometry.instanceCount = 0;
+
+    this.mesh.geometry.dispose();
+    this.mesh.geometry = geometry;
+    this.capacity = capacity;
+  }
+
+  // Make room for count instances before writing them
+  reserve(count) {
+    if (count <= this.capacity) return;
+    let capacity = Math.max(1, this.capacity);
+    while (capacity < count) capacity *= 2;
+    this.allocate(capacity);
+  }
+
+  // Upload the first count instances once they are written
+  commit(count) {
+    const geometry = this.mesh.geometry;
+    Object.keys(this.attributes).forEach(name => {
+      geometry.getAttribute(name).needsUpdate = true;
+    });
+    geometry.instanceCount = count;
+    this.count = count;
+  }
+}
@@ -0,0 +1,138 @@
+// ===== Lineage =====
+// Who was born from whom. A node spawned by the simulation records its parents
+// (the nearest alive nodes at its spawn site, see graph-layout.js); seed nodes
+// have none.
+// LineageTree keeps every node the run has had, retired ones included, so a
+// family tree outlives the nodes that make it up.
+// - After a timeline rewind the later nodes stay until a new branch replaces them
+// - Queries only see nodes born by the generation the scene shows
+
+export class LineageTree {
+  constructor() {
+    this.entries = new Map(); // Id -> { id, parents, born, label, retired }
+    this.children = new Map(); // Id -> ids of the nodes it is a parent of
+    this.generation = 0; // Generation the scene shows
+  }
+
+  clear() {
+    this.entries.clear();
+    this.children.clear();
+    this.generation = 0;
+  }
+
+  // A full state arrived: remember graph nodes not seen yet (a new run, a
+  // loaded session or a jump past a discarded branch)
+  sync(graph, generation) {
+    this.generation = generation;
+    graph.nodes.forEach(node => {
+      const entry = this.entries.get(node.id);
+      if (!entry || entry.born !== node.born) {
+        this.add(node);
+      } else {
+        entry.label = node.label;
+        if (entry.retired !== null && entry.retired > generation) entry.retired = null;
+      }
+    });
+  }
+
+  // One generation's record (see history.js)
+  record(record) {
+    // Stepping from a rewound generation starts a new branch
+    if (record.generation <= this.latestBirth()) {
+      this.entries.forEach(entry => {
+        if (entry.born >= record.generation) this.remove(entry.id);
+      });
+    }
+
+    this.generation = record.generation;
+    record.retired.forEach(id => this.retire(id, record.generation));
+    record.births.forEach(nodeData => this.add(nodeData));
+  }
+
+  add(nodeData) {
+    if (this.entries.has(nodeData.id)) this.remove(nodeData.id);
+    const entry = {
+      id: nodeData.id,
+      parents: [...(nodeData.parents || [])],
+      born: nodeData.born ?? 0,
+      label: nodeData.label ?? null,
+      retired: nodeData.retired ?? null
+    };
+    this.entries.set(entry.id, entry);
+    entry.parents.forEach(parentId => {
+      if (!this.children.has(parentId)) this.children.set(parentId, []);
+      this.children.get(parentId).push(entry.id);
+    });
+    return entry;
+  }
+
+  // The node left the graph (retired, or deleted by the user)
+  retire(id, generation) {
+    const entry = this.entries.get(id);
+    if (entry) entry.retired = generation;
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    entry.parents.forEach(parentId => {
+      const siblings = this.children.get(parentId);
+      if (!siblings) return;
+      const index = siblings.indexOf(id);
+      if (index >= 0) siblings.splice(index, 1);
+    });
+    this.entries.delete(id);
+  }
+
+  latestBirth() {
+    let latest = -1;
+    this.entries.forEach(entry => {
+      if (entry.born > latest) latest = entry.born;
+    });
+    return latest;
+  }
+
+  get(id) {
+    const entry = this.entries.get(id);
+    return entry && entry.born <= this.generation ? entry : null;
+  }
+
+  // Every ancestor and descendant of a node with the parent -> child links
+  // between them: { nodes: Map id -> steps (negative for ancestors), links }
+  family(id) {
+    const nodes = new Map();
+    const links = [];
+    if (!this.get(id)) return { nodes, links };
+    nodes.set(id, 0);
+
+    const walk = (next, direction) => {
+      const queue = [id];
+      for (let i = 0; i < queue.length; i++) {
+        const current = queue[i];
+        const steps = nodes.get(current) + direction;
+        next(current).forEach(otherId => {
+          if (!this.get(otherId)) return;
+          links.push(direction < 0 ? [otherId, current] : [current, otherId]);
+          if (nodes.has(otherId)) return;
+          nodes.set(otherId, steps);
+          queue.push(otherId);
+        });
+      }
+    };
+    walk(current => this.entries.get(current).parents, -1);
+    walk(current => this.children.get(current) || [], 1);
+
+    return { nodes, links };
+  }
+
+  // ===== Sessions =====
+  toJSON() {
+    return Array.from(this.entries.values(), entry => ({ ...entry, parents: [...entry.parents] }));
+  }
+
+  load(entries, generation) {
+    this.clear();
+    entries.forEach(entry => this.add(entry));
+    this.generation = generation;
+  }
+}
@@ -0,0 +1,133 @@
+// ===== Newborn Names =====
+// A node spawned by the simulation is named from the labels of the nodes it is
+// born between (its parents). Schemes work offline and are pluggable:
+// - blend: a portmanteau of two parents' key words ("Pricing" + "Onboarding" -> "Pricboarding")
+// - recombine: key words of different parents put together ("Pricing Research")
+// - wordList: a bundled adjective and noun, keeping a parent's key word when there is one
+// - off: newborns stay unnamed
+// Choices come from hashRandom keyed by the node id, so names are stable for a
+// seed and never disturb the shared random stream that drives the evolution.
+
+import { hashRandom } from './random.js';
+
+const MAX_NAME_LENGTH = 32;
+
+const ADJECTIVES = [
+  'Quiet', 'Bright', 'Hidden', 'Open', 'Shared', 'Living', 'Gentle', 'Bold',
+  'Slow', 'Rapid', 'Hollow', 'Woven', 'Silver', 'Golden', 'Wild', 'Tiny',
+  'Distant', 'Warm', 'Curious', 'Floating', 'Layered', 'Second', 'Mirrored', 'Lucid',
+  'Restless', 'Patient', 'Folded', 'Tidal', 'Northern', 'Soft', 'Early', 'Hybrid'
+];
+
+const NOUNS = [
+  'Garden', 'Signal', 'Bridge', 'Lantern', 'Engine', 'Harbor', 'Thread', 'Compass',
+  'Orchard', 'Canvas', 'Circuit', 'River', 'Atlas', 'Echo', 'Spark', 'Meadow',
+  'Prism', 'Archive', 'Pattern', 'Beacon', 'Current', 'Seed', 'Mosaic', 'Horizon',
+  'Loop', 'Field', 'Market', 'Studio', 'Network', 'Story', 'Question', 'Theory'
+];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'into',
+  'is', 'it', 'of', 'on', 'or', 'our', 'the', 'to', 'we', 'what', 'why', 'with', 'you'
+]);
+
+// ===== Schemes =====
+// name(parentLabels, pick) returns a label or null; pick(items) chooses one item.
+// Both threads import this table (the worker names, the renderer lists the
+// choices), so a new scheme is added here rather than registered at runtime.
+export const NAMING_SCHEMES = {
+  blend: { label: 'Word Blend', name: blendName },
+  recombine: { label: 'Keyword Recombination', name: recombineName },
+  wordList: { label: 'Word List', name: wordListName },
+  off: { label: 'Unnamed', name: () => null }
+};
+
+// Label for newborn node id from its parents' labels (null entries are skipped)
+export function nameNewborn(schemeKey, parentLabels, id) {
+  const scheme = NAMING_SCHEMES[schemeKey];
+  if (!scheme) {
+    throw new Error(`Unknown naming scheme "${schemeKey}"`);
+  }
+
+  let draws = 0;
+  const pick = (items) => items[Math.floor(hashRandom('name', id, draws++) * items.length)];
+  const labels = parentLabels.filter(Boolean);
+  const name = scheme.name(labels, pick);
+  return name ? truncate(name) : null;
+}
+
+function blendName(labels, pick) {
+  const words = uniqueKeywords(labels);
+  if (words.length < 2) return wordListName(labels, pick);
+
+  const first = pick(words);
+  const second = pick(words.filter(word => word !== first));
+  const front = head(first);
+  const back = tail(second).toLowerCase();
+  // No doubled letter at the seam ("Pric" + "cing" -> "Pricing", not "Priccing")
+  return capitalize(front + (front.slice(-1).toLowerCase() === back[0] ? back.slice(1) : back));
+}
+
+function recombineName(labels, pick) {
+  // One key word from each of two different parents where possible
+  const perParent = labels.map(label => keywords(label)).filter(words => words.length > 0);
+  if (perParent.length === 0) return wordListName(labels, pick);
+
+  const firstWords = pick(perParent);
+  const first = pick(firstWords);
+  const others = perParent.filter(words => words !== firstWords).flat().filter(word => word !== first);
+  const second = others.length > 0 ? pick(others) : pick(NOUNS);
+  return `${capitalize(first)} ${capitalize(second)}`;
+}
+
+function wordListName(labels, pick) {
+  const words = uniqueKeywords(labels);
+  const noun = words.length > 0 ? capitalize(pick(words)) : pick(NOUNS);
+  return `${pick(ADJECTIVES)} ${noun}`;
+}
+
+// ===== Helpers =====
+function keywords(label) {
+  return label
+    .split(/[^\p{L}\p{N}'-]+/u)
+    .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word.toLowerCase()));
+}
+
+function uniqueKeywords(labels) {
+  const seen = new Set();
+  return labels.flatMap(keywords).filter(word => {
+    const key = word.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+const VOWELS = /[aeiouy]/i;
+
+// Start of a word through its first vowel group and one more letter ("Pric" of "Pricing")
+function head(word) {
+  let i = 1;
+  while (i < word.length && !VOWELS.test(word[i])) i++;
+  while (i < word.length && VOWELS.test(word[i])) i++;
+  return word.slice(0, Math.min(word.length, i + 1));
+}
+
+// End of a word from a consonant-vowel pair at or before its middle ("boarding" of "Onboarding")
+function tail(word) {
+  for (let i = Math.floor(word.length / 2); i > 0; i--) {
+    if (!VOWELS.test(word[i]) && VOWELS.test(word[i + 1] || '')) {
+      return word.slice(i);
+    }
+  }
+  return word.slice(Math.floor(word.length / 2));
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+function truncate(name) {
+  return name.length > MAX_NAME_LENGTH ? `${name.slice(0, MAX_NAME_LENGTH - 1)}…` : name;
+}
@@ -0,0 +1,211 @@
+// ===== Network Analytics =====
+// Structure of the alive subgraph (alive nodes and the edges between them),
+// read from the graph's connection lists:
+// - degree histogram and average degree
+// - average clustering coefficient (nodes with fewer than two neighbours count as 0)
+// - connected components and their sizes
+// - average shortest path length and diameter, within components; exact for
+//   small graphs, otherwise estimated from breadth-first searches out of a
+//   spread of sample nodes (the diameter is then a lower bound)
+// - degree assortativity (Newman's r; null when every degree is the same)
+// betweennessCentrality() gives every alive node its share of shortest paths,
+// from the same sample of sources.
+
+const PATH_SAMPLE_SOURCES = 64; // Breadth-first searches per analysis
+
+export function analyzeNetwork(graph, simulation) {
+  const { ids, neighbors } = aliveAdjacency(graph, simulation);
+
+  let edgeCount = 0;
+  const degreeHistogram = [];
+  neighbors.forEach(list => {
+    edgeCount += list.length;
+    degreeHistogram[list.length] = (degreeHistogram[list.length] || 0) + 1;
+  });
+  edgeCount /= 2;
+
+  const paths = measurePaths(ids, neighbors);
+  return {
+    nodeCount: ids.length,
+    edgeCount,
+    degreeHistogram: Array.from(degreeHistogram, count => count || 0),
+    averageDegree: ids.length > 0 ? (2 * edgeCount) / ids.length : 0,
+    averageClustering: averageClustering(ids, neighbors),
+    componentSizes: componentSizes(ids, neighbors),
+    averagePathLength: paths.averageLength,
+    diameter: paths.diameter,
+    pathsExact: paths.exact,
+    assortativity: degreeAssortativity(neighbors)
+  };
+}
+
+// Alive adjacency, ids in ascending order so sampling does not depend on graph order
+function aliveAdjacency(graph, simulation) {
+  const ids = Array.from(simulation.aliveNodes).sort((a, b) => a - b);
+  const neighbors = new Map();
+  ids.forEach(id => {
+    neighbors.set(id, graph.getNeighbors(id).filter(otherId => simulation.isAlive(otherId)));
+  });
+  return { ids, neighbors };
+}
+
+// The sources path measures start from: every node, or an even spread of them
+function pathSources(ids) {
+  if (ids.length <= PATH_SAMPLE_SOURCES) return ids;
+  const step = ids.length / PATH_SAMPLE_SOURCES;
+  return Array.from({ length: PATH_SAMPLE_SOURCES }, (_, s) => ids[Math.floor(s * step)]);
+}
+
+// ===== Clustering =====
+function averageClustering(ids, neighbors) {
+  if (ids.length === 0) return 0;
+
+  let total = 0;
+  ids.forEach(id => {
+    const list = neighbors.get(id);
+    const k = list.length;
+    if (k < 2) return;
+
+    const adjacent = new Set(list);
+    let links = 0;
+    list.forEach(a => {
+      neighbors.get(a).forEach(b => {
+        if (b > a && adjacent.has(b)) links++;
+      });
+    });
+    total += (2 * links) / (k * (k - 1));
+  });
+  return total / ids.length;
+}
+
+// ===== Components =====
+// Sizes, largest first
+function componentSizes(ids, neighbors) {
+  const seen = new Set();
+  const sizes = [];
+  ids.forEach(start => {
+    if (seen.has(start)) return;
+    seen.add(start);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+      neighbors.get(queue[i]).forEach(next => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          queue.push(next);
+        }
+      });
+    }
+    sizes.push(queue.length);
+  });
+  return sizes.sort((a, b) => b - a);
+}
+
+// ===== Path Lengths =====
+function measurePaths(ids, neighbors) {
+  const distances = new Map();
+  let total = 0;
+  let pairs = 0;
+  let diameter = 0;
+
+  pathSources(ids).forEach(source => {
+    distances.clear();
+    distances.set(source, 0);
+    const queue = [source];
+    for (let i = 0; i < queue.length; i++) {
+      const d = distances.get(queue[i]) + 1;
+      neighbors.get(queue[i]).forEach(next => {
+        if (!distances.has(next)) {
+          distances.set(next, d);
+          queue.push(next);
+          total += d;
+          pairs++;
+          if (d > diameter) diameter = d;
+        }
+      });
+    }
+  });
+
+  return { averageLength: pairs > 0 ? total / pairs : 0, diameter, exact: ids.length <= PATH_SAMPLE_SOURCES };
+}
+
+// ===== Betweenness =====
+// Brandes' algorithm over the alive subgraph. Map of alive node id -> fraction
+// of the shortest paths between other node pairs that pass through it (0 to 1);
+// with sampled sources the counts are scaled up to estimate the full value.
+export function betweennessCentrality(graph, simulation) {
+  const { ids, neighbors } = aliveAdjacency(graph, simulation);
+  const centrality = new Map(ids.map(id => [id, 0]));
+  const sources = pathSources(ids);
+
+  const distance = new Map();
+  const paths = new Map(); // Number of shortest paths from the source
+  const dependency = new Map();
+  sources.forEach(source => {
+    distance.clear();
+    paths.clear();
+    dependency.clear();
+    distance.set(source, 0);
+    paths.set(source, 1);
+
+    // Breadth-first, in order of distance
+    const order = [source];
+    for (let i = 0; i < order.length; i++) {
+      const id = order[i];
+      const d = distance.get(id) + 1;
+      neighbors.get(id).forEach(next => {
+        if (!distance.has(next)) {
+          distance.set(next, d);
+          paths.set(next, 0);
+          order.push(next);
+        }
+        if (distance.get(next) === d) {
+          paths.set(next, paths.get(next) + paths.get(id));
+        }
+      });
+    }
+
+    // Dependencies accumulate back from the furthest nodes
+    for (let i = order.length - 1; i > 0; i--) {
+      const id = order[i];
+      const share = (1 + (dependency.get(id) || 0)) / paths.get(id);
+      neighbors.get(id).forEach(previous => {
+        if (distance.get(previous) === distance.get(id) - 1) {
+          dependency.set(previous, (dependency.get(previous) || 0) + paths.get(previous) * share);
+        }
+      });
+      centrality.set(id, centrality.get(id) + (dependency.get(id) || 0));
+    }
+  });
+
+  // Each pair is counted from both ends; scale to the fraction of pairs
+  const n = ids.length;
+  const scale = n > 2 ? (n / sources.length) / ((n - 1) * (n - 2)) : 0;
+  centrality.forEach((value, id) => centrality.set(id, value * scale));
+  return centrality;
+}
+
+// ===== Assortativity =====
+// Pearson correlation of the degrees at either end of every edge
+function degreeAssortativity(neighbors) {
+  let m = 0;
+  let product = 0;
+  let sum = 0;
+  let squares = 0;
+  neighbors.forEach((list, id) => {
+    const j = list.length;
+    list.forEach(otherId => {
+      if (otherId < id) return; // Each edge once
+      const k = neighbors.get(otherId).length;
+      m++;
+      product += j * k;
+      sum += (j + k) / 2;
+      squares += (j * j + k * k) / 2;
+    });
+  });
+  if (m === 0) return null;
+
+  const mean = sum / m;
+  const variance = squares / m - mean * mean;
+  if (variance <= 1e-12) return null;
+  return (product / m - mean * mean) / variance;
+}
@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { hashRandom } from './random.js';
 
 // ===== Glass Mode State =====
 let isGlassMode = false;
@@ -42,78 +43,174 @@ const PALETTES = {
 
 const PALETTE_KEYS = Object.keys(PALETTES);
 
-// ===== Create Node (dispatches to soft gradient or glass based on mode) =====
-export function createFloralNode(nodeData, index) {
-  if (isGlassMode) {
-    return createGlassNode(nodeData, index);
+// Colour families, each with a Bright, Deep and Intense variant
+export const PALETTE_FAMILIES = ['coral', 'blue', 'gold', 'green', 'pink'];
+
+// Greyscale tile drawn after the palettes: the node's tint gives it its colour,
+// so a colour mode can move a node between any colours without a texture
+const NEUTRAL_PALETTE = { inner: '#FFFFFF', outer: '#A8A8A8' };
+const NEUTRAL_INDEX = PALETTE_KEYS.length;
+const TINT_EASE = 0.05; // Share of the way to the target tint covered each frame
+
+// ===== Palette Choice =====
+// Derived from the run seed and node index, so a node keeps its palette when
+// regenerated and replays of a seed look the same
+export function pickPaletteKey(index) {
+  return PALETTE_KEYS[Math.floor(hashRandom('palette', index) * PALETTE_KEYS.length)];
+}
+
+// Representative colour of a palette (its outer ring), e.g. for exports
+export function paletteColor(key) {
+  return PALETTES[key] ? PALETTES[key].outer : null;
+}
+
+// The node's own variant (Bright, Deep or Intense) of another family, so nodes
+// sharing a family still differ a little
+export function familyColor(node, family) {
+  const variant = node.userData.paletteKey.replace(/^[a-z]+/, '');
+  return tileColor(PALETTES[family + variant].inner);
+}
+
+// ===== Metric Ramp =====
+// Low to high values run through the palette families, from blue to coral
+const RAMP_PALETTES = ['blueBright', 'greenBright', 'goldBright', 'pinkBright', 'coralBright'];
+
+// Colour at t (0 to 1) along the ramp
+export function rampColor(t) {
+  const position = Math.max(0, Math.min(1, t)) * (RAMP_PALETTES.length - 1);
+  const i = Math.min(Math.floor(position), RAMP_PALETTES.length - 2);
+  const from = tileColor(PALETTES[RAMP_PALETTES[i]].inner);
+  return from.lerp(tileColor(PALETTES[RAMP_PALETTES[i + 1]].inner), position - i);
+}
+
+// The same ramp as a CSS gradient, for the legend
+export function rampGradient() {
+  return `linear-gradient(to right, ${RAMP_PALETTES.map(key => PALETTES[key].inner).join(', ')})`;
+}
+
+// Tints multiply the atlas texels as they are, so palette colours are read
+// without colour management
+function tileColor(hex) {
+  return new THREE.Color().setStyle(hex, THREE.NoColorSpace);
+}
+
+// ===== Colour Modes =====
+// Draws the node from the neutral tile, easing its tint towards color
+// (immediately when immediate is set). A node leaving its palette starts from
+// the palette's own colour, so the change is animated too.
+export function setNodeColor(node, color, immediate = false) {
+  const userData = node.userData;
+  if (!userData.tintTarget) {
+    userData.tintTarget = new THREE.Color();
+    userData.tint.copy(tileColor(userData.palette.inner));
+    userData.paletteIndex = NEUTRAL_INDEX;
   }
-  return createSoftGradientNode(nodeData, index);
+  userData.tintTarget.copy(color);
+  if (immediate) userData.tint.copy(color);
 }
 
-// ===== Create Soft Gradient Node =====
-function createSoftGradientNode(nodeData, index) {
-  const group = new THREE.Group();
-  
-  // Choose a random palette for this node - fully random for diversity
-  const paletteKey = PALETTE_KEYS[Math.floor(Math.random() * PALETTE_KEYS.length)];
-  const palette = PALETTES[paletteKey];
-  
-  // Determine node size based on connections
-  const connectionCount = nodeData.connections?.length || 0;
-  const baseSize = 8 + Math.min(connectionCount * 1.5, 20);
+// Back to the node's own palette tile
+export function clearNodeColor(node) {
+  const userData = node.userData;
+  userData.tintTarget = null;
+  userData.tint.setRGB(1, 1, 1);
+  userData.paletteIndex = PALETTE_KEYS.indexOf(userData.paletteKey);
+}
+
+// ===== Texture Atlas =====
+// One canvas holds a soft gradient and a frosted glass tile for every palette
+// and the neutral palette, so every node draws from the same texture and
+// switching style never redraws
+const TILE_RESOLUTION = 256;
+const ATLAS_COLUMNS = 8;
+
+export function createNodeAtlas() {
+  const atlasPalettes = [...PALETTE_KEYS.map(key => PALETTES[key]), NEUTRAL_PALETTE];
+  const tileCount = atlasPalettes.length * 2;
+  const rows = Math.ceil(tileCount / ATLAS_COLUMNS);
   
-  // Create soft gradient sprite
-  const gradientSprite = createSoftGradientSprite(palette, baseSize);
-  group.add(gradientSprite);
+  const canvas = document.createElement('canvas');
+  canvas.width = ATLAS_COLUMNS * TILE_RESOLUTION;
+  canvas.height = rows * TILE_RESOLUTION;
+  const ctx = canvas.getContext('2d');
   
-  // Set initial position
-  group.position.set(nodeData.x, nodeData.y, nodeData.z);
+  // UV rectangle (u, v, width, height) of each tile, indexed by tileIndex()
+  const tiles = new Float32Array(tileCount * 4);
+  
+  atlasPalettes.forEach((palette, paletteIndex) => {
+    [false, true].forEach(glass => {
+      const tile = paletteIndex * 2 + (glass ? 1 : 0);
+      const x = (tile % ATLAS_COLUMNS) * TILE_RESOLUTION;
+      const y = Math.floor(tile / ATLAS_COLUMNS) * TILE_RESOLUTION;
+      
+      // Each tile is drawn as if it were its own canvas
+      ctx.save();
+      ctx.translate(x, y);
+      ctx.beginPath();
+      ctx.rect(0, 0, TILE_RESOLUTION, TILE_RESOLUTION);
+      ctx.clip();
+      if (glass) {
+        drawFrostedGlass(ctx, palette, TILE_RESOLUTION);
+      } else {
+        drawSoftGradient(ctx, palette, TILE_RESOLUTION);
+      }
+      ctx.restore();
+      
+      // Canvas textures are flipped, so v counts up from the bottom row
+      tiles[tile * 4] = x / canvas.width;
+      tiles[tile * 4 + 1] = 1 - (y + TILE_RESOLUTION) / canvas.height;
+      tiles[tile * 4 + 2] = TILE_RESOLUTION / canvas.width;
+      tiles[tile * 4 + 3] = TILE_RESOLUTION / canvas.height;
+    });
+  });
   
-  // Store metadata
-  group.userData.palette = palette;
-  group.userData.paletteKey = paletteKey;
-  group.userData.baseSize = baseSize;
-  group.userData.isGlass = false;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.needsUpdate = true;
   
-  return group;
+  return { texture, tiles };
 }
 
-// ===== Create Glass Node (Soft Frosted Glass Style - Matching Figma Reference) =====
-function createGlassNode(nodeData, index) {
-  const group = new THREE.Group();
-  
-  // Choose palette for subtle color tinting
-  const paletteKey = PALETTE_KEYS[Math.floor(Math.random() * PALETTE_KEYS.length)];
+// Atlas tile for a node's palette and style
+export function tileIndex(node) {
+  return node.userData.paletteIndex * 2 + (node.userData.isGlass ? 1 : 0);
+}
+
+// ===== Create Node =====
+// A node is a lightweight Object3D holding position, scale and state; it is not
+// added to the scene. NodeInstances draws every node in a single instanced call.
+// appearance ({ palette, size }, from a saved session) overrides the derived look.
+export function createFloralNode(nodeData, index, appearance = null) {
+  const node = new THREE.Object3D();
+  
+  // Choose a palette for this node - random per seed for diversity
+  const paletteKey = appearance && PALETTES[appearance.palette] ? appearance.palette : pickPaletteKey(index);
   const palette = PALETTES[paletteKey];
   
   // Determine node size based on connections
   const connectionCount = nodeData.connections?.length || 0;
-  const baseSize = 8 + Math.min(connectionCount * 1.5, 20);
-  
-  // Create frosted glass sprite using canvas
-  const glassSprite = createFrostedGlassSprite(palette, baseSize);
-  group.add(glassSprite);
+  const baseSize = appearance?.size ?? 8 + Math.min(connectionCount * 1.5, 20);
   
   // Set initial position
-  group.position.set(nodeData.x, nodeData.y, nodeData.z);
+  node.position.set(nodeData.x, nodeData.y, nodeData.z);
   
   // Store metadata
-  group.userData.palette = palette;
-  group.userData.paletteKey = paletteKey;
-  group.userData.baseSize = baseSize;
-  group.userData.isGlass = true;
-  
-  return group;
+  node.userData.palette = palette;
+  node.userData.paletteKey = paletteKey;
+  node.userData.paletteIndex = PALETTE_KEYS.indexOf(paletteKey);
+  node.userData.baseSize = baseSize;
+  node.userData.isGlass = isGlassMode;
+  node.userData.tint = new THREE.Color(1, 1, 1); // Multiplies the tile colour
+  
+  return node;
 }
 
-// ===== Create Frosted Glass Sprite (Soft, Matte - 2X Darker & More Visible) =====
-function createFrostedGlassSprite(palette, size) {
-  const canvas = document.createElement('canvas');
-  const resolution = 256;
-  canvas.width = resolution;
-  canvas.height = resolution;
-  const ctx = canvas.getContext('2d');
-  
+// Billboard width in world units, including the node's animated scale
+export function getNodeSize(node) {
+  return node.userData.baseSize * 2.5 * node.scale.x;
+}
+
+// ===== Draw Frosted Glass Tile (Soft, Matte - 2X Darker & More Visible) =====
+function drawFrostedGlass(ctx, palette, resolution) {
   const centerX = resolution / 2;
   const centerY = resolution / 2;
   const maxRadius = resolution / 2;
@@ -168,35 +265,10 @@ function createFrostedGlassSprite(palette, size) {
   
   ctx.fillStyle = shadowGradient;
   ctx.fillRect(0, 0, resolution, resolution);
-  
-  // Create texture from canvas
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
-  
-  // Create sprite material - full opacity
-  const material = new THREE.SpriteMaterial({
-    map: texture,
-    transparent: true,
-    opacity: 1.0,
-    depthWrite: false,
-    depthTest: true,
-    blending: THREE.NormalBlending
-  });
-  
-  const sprite = new THREE.Sprite(material);
-  sprite.scale.set(size * 2.5, size * 2.5, 1);
-  
-  return sprite;
 }
 
-// ===== Create Soft Gradient Sprite =====
-function createSoftGradientSprite(palette, size) {
-  const canvas = document.createElement('canvas');
-  const resolution = 256;
-  canvas.width = resolution;
-  canvas.height = resolution;
-  const ctx = canvas.getContext('2d');
-  
+// ===== Draw Soft Gradient Tile =====
+function drawSoftGradient(ctx, palette, resolution) {
   const centerX = resolution / 2;
   const centerY = resolution / 2;
   const maxRadius = resolution / 2;
@@ -224,25 +296,6 @@ function createSoftGradientSprite(palette, size) {
   
   ctx.fillStyle = gradient;
   ctx.fillRect(0, 0, resolution, resolution);
-  
-  // Create texture from canvas
-  const texture = new THREE.CanvasTexture(canvas);
-  texture.needsUpdate = true;
-  
-  // Create sprite material
-  const material = new THREE.SpriteMaterial({
-    map: texture,
-    transparent: true,
-    opacity: 1,
-    depthWrite: false,
-    depthTest: true,
-    blending: THREE.NormalBlending
-  });
-  
-  const sprite = new THREE.Sprite(material);
-  sprite.scale.set(size * 2.5, size * 2.5, 1);
-  
-  return sprite;
 }
 
 // ===== Helper: Hex to RGB =====
@@ -261,6 +314,8 @@ function lerp(a, b, t) {
 }
 
 // ===== Update Node Animation =====
+const DEATH_FADE_DURATION = 3000;
+
 export function updateNodeAnimation(node, currentTime) {
   const userData = node.userData;
   
@@ -270,39 +325,19 @@ export function updateNodeAnimation(node, currentTime) {
   }
   
   // Smooth opacity transitions - ONLY for dead nodes
+  // The fade lasts fadeDuration so it ends as the simulation retires the node
   if (!userData.alive && userData.deathTime) {
-    const opacitySpeed = 0.015; // Very slow fade
-    const targetOpacity = 0;
-    
-    if (userData.currentOpacity > 0.01) {
-      userData.currentOpacity = userData.currentOpacity + (targetOpacity - userData.currentOpacity) * opacitySpeed;
-    } else {
-      userData.currentOpacity = 0;
-    }
+    const fadeDuration = userData.fadeDuration || DEATH_FADE_DURATION;
+    const fadeProgress = Math.min((currentTime - userData.deathTime) / fadeDuration, 1);
+    const fade = Math.pow(1 - fadeProgress, 2); // Very slow fade, easing out (drawn by NodeInstances)
+    // Cells that are never retired (grid mode) rest as a faint ghost
+    userData.currentOpacity = Math.max(userData.restingOpacity || 0, fade);
   } else {
     // Alive nodes always have full opacity
     userData.currentOpacity = 1;
     userData.targetOpacity = 1;
   }
   
-  // Apply opacity to all child materials (sprites or meshes)
-  const opacity = userData.currentOpacity;
-  node.children.forEach(child => {
-    if (child.material) {
-      if (userData.isGlass) {
-        // For glass nodes, adjust transmission-based opacity
-        if (child.material.transmission !== undefined) {
-          child.material.opacity = opacity;
-        } else {
-          child.material.opacity = opacity * (child.material.userData?.baseOpacity || child.material.opacity);
-        }
-      } else {
-        child.material.opacity = opacity;
-      }
-      child.material.needsUpdate = true;
-    }
-  });
-  
   // Gentle floating animation for alive nodes
   if (userData.alive) {
     const birthTime = userData.birthTime || 0;
@@ -338,6 +373,11 @@ export function updateNodeAnimation(node, currentTime) {
     }
   }
   
+  // Ease towards a colour mode's tint
+  if (userData.tintTarget) {
+    userData.tint.lerp(userData.tintTarget, TINT_EASE);
+  }
+  
   // Make node visible
   node.visible = userData.currentOpacity > 0.01 || userData.alive;
 }
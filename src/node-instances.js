@@ -0,0 +1,127 @@
+// ===== Instanced Node Rendering =====
+// Every node is one instance of a camera-facing quad, drawn in a single call:
+// - Per-instance position, size, opacity, tint and atlas tile
+// - Instances are written back to front, since the billboards are translucent
+
+import * as THREE from 'three';
+import { getNodeSize, tileIndex } from './node-factory.js';
+import { InstancedBillboards } from './instanced-billboards.js';
+
+const vertexShader = /* glsl */ `
+  attribute vec3 instanceOffset;
+  attribute float instanceSize;
+  attribute float instanceOpacity;
+  attribute vec3 instanceTint;
+  attribute vec4 instanceTile;
+
+  varying vec2 vUv;
+  varying float vOpacity;
+  varying vec3 vTint;
+
+  void main() {
+    vUv = instanceTile.xy + uv * instanceTile.zw;
+    vOpacity = instanceOpacity;
+    vTint = instanceTint;
+
+    // Billboard: offset the corner in view space so the quad always faces the camera
+    vec4 mvPosition = modelViewMatrix * vec4(instanceOffset, 1.0);
+    mvPosition.xy += position.xy * instanceSize;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D map;
+
+  varying vec2 vUv;
+  varying float vOpacity;
+  varying vec3 vTint;
+
+  void main() {
+    vec4 texel = texture2D(map, vUv);
+    gl_FragColor = vec4(texel.rgb * vTint, texel.a * vOpacity);
+    if (gl_FragColor.a < 0.004) discard;
+
+    #include <colorspace_fragment>
+  }
+`;
+
+export class NodeInstances extends InstancedBillboards {
+  constructor(atlas, capacity = 256) {
+    const material = new THREE.ShaderMaterial({
+      uniforms: { map: { value: atlas.texture } },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      depthTest: true,
+      blending: THREE.NormalBlending
+    });
+
+    const attributes = { instanceOffset: 3, instanceSize: 1, instanceOpacity: 1, instanceTint: 3, instanceTile: 4 };
+    super(material, attributes, capacity);
+    this.tiles = atlas.tiles;
+    this.mesh.renderOrder = 1; // Over the connections
+
+    // Reused every frame so drawing allocates nothing
+    this.visible = [];
+    this.order = [];
+    this.compareDepth = (a, b) => this.depths[a] - this.depths[b];
+  }
+
+  // The depth sort scratch grows with the instance buffers
+  allocate(capacity) {
+    super.allocate(capacity);
+    this.depths = new Float32Array(capacity);
+  }
+
+  // Write every visible node into the instance buffers
+  update(nodes, camera) {
+    const visible = this.visible;
+    visible.length = 0;
+    nodes.forEach(node => {
+      if (node.visible) visible.push(node);
+    });
+
+    this.reserve(visible.length);
+
+    // View-space depth of each node; more negative is further away
+    const view = camera.matrixWorldInverse.elements;
+    const order = this.order;
+    order.length = visible.length;
+    for (let i = 0; i < visible.length; i++) {
+      const p = visible[i].position;
+      this.depths[i] = view[2] * p.x + view[6] * p.y + view[10] * p.z + view[14];
+      order[i] = i;
+    }
+    order.sort(this.compareDepth);
+
+    const geometry = this.mesh.geometry;
+    const offsets = geometry.getAttribute('instanceOffset');
+    const sizes = geometry.getAttribute('instanceSize');
+    const opacities = geometry.getAttribute('instanceOpacity');
+    const tints = geometry.getAttribute('instanceTint');
+    const tiles = geometry.getAttribute('instanceTile');
+
+    for (let i = 0; i < order.length; i++) {
+      const node = visible[order[i]];
+      const tint = node.userData.tint;
+      const tile = tileIndex(node) * 4;
+
+      offsets.array[i * 3] = node.position.x;
+      offsets.array[i * 3 + 1] = node.position.y;
+      offsets.array[i * 3 + 2] = node.position.z;
+      sizes.array[i] = getNodeSize(node);
+      opacities.array[i] = node.userData.currentOpacity ?? 1;
+      tints.array[i * 3] = tint.r;
+      tints.array[i * 3 + 1] = tint.g;
+      tints.array[i * 3 + 2] = tint.b;
+      tiles.array[i * 4] = this.tiles[tile];
+      tiles.array[i * 4 + 1] = this.tiles[tile + 1];
+      tiles.array[i * 4 + 2] = this.tiles[tile + 2];
+      tiles.array[i * 4 + 3] = this.tiles[tile + 3];
+    }
+
+    this.commit(order.length);
+  }
+}
@@ -0,0 +1,149 @@
+// ===== Node Labels =====
+// Persistent text labels drawn by the CSS2DRenderer, one per labelled node:
+// - Level of detail: labels far from the camera are hidden, and only the
+//   nearest MAX_VISIBLE_LABELS are shown at once
+// - Labels fade with their node and disappear once it has mostly faded
+// - A label can be edited in place through a text field
+
+import * as THREE from 'three';
+import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+
+const LABEL_DISTANCE = 900; // Labels further from the camera than this are hidden
+const MAX_VISIBLE_LABELS = 200; // DOM cost stays bounded with thousands of labels
+const MIN_NODE_OPACITY = 0.3; // A fading node drops its label below this
+
+export class NodeLabels {
+  constructor() {
+    this.group = new THREE.Group();
+    this.labels = new Map(); // Node id -> CSS2DObject
+    this.distance = LABEL_DISTANCE;
+    this.editor = null; // { id, finish } while a label is being edited
+
+    // Reused every frame
+    this.candidates = [];
+    this.compareDistance = (a, b) => a.distance - b.distance;
+  }
+
+  // Show text under a node; empty text removes its label
+  set(id, text) {
+    if (!text) {
+      this.remove(id);
+      return;
+    }
+
+    let label = this.labels.get(id);
+    if (!label) {
+      const div = document.createElement('div');
+      div.className = 'node-label';
+      label = new CSS2DObject(div);
+      label.center.set(0.5, 0); // Hang below the node
+      label.visible = false; // Until update() places it
+      this.labels.set(id, label);
+      this.group.add(label);
+    }
+    if (this.editingId !== id) {
+      label.element.textContent = text;
+    }
+  }
+
+  remove(id) {
+    const label = this.labels.get(id);
+    if (!label) return;
+    if (this.editingId === id) this.editor = null; // The node is gone - drop the edit
+    this.group.remove(label); // Also detaches the element
+    this.labels.delete(id);
+  }
+
+  clear() {
+    Array.from(this.labels.keys()).forEach(id => this.remove(id));
+  }
+
+  // Follow the nodes and apply level of detail
+  update(nodes, camera) {
+    const candidates = this.candidates;
+    candidates.length = 0;
+
+    this.labels.forEach((label, id) => {
+      const node = nodes.get(id);
+      label.visible = false;
+      if (!node || !node.visible) return;
+
+      label.position.copy(node.position);
+      const opacity = node.userData.currentOpacity ?? 1;
+      const distance = camera.position.distanceTo(node.position);
+      const editing = this.editingId === id;
+      if (!editing && (opacity < MIN_NODE_OPACITY || distance > this.distance)) return;
+
+      candidates.push({ label, opacity: editing ? 1 : opacity, distance: editing ? -1 : distance });
+    });
+
+    if (candidates.length > MAX_VISIBLE_LABELS) {
+      candidates.sort(this.compareDistance);
+      candidates.length = MAX_VISIBLE_LABELS;
+    }
+
+    candidates.forEach(({ label, opacity }) => {
+      label.visible = true;
+      // Only touch the DOM when the fade has visibly changed
+      const current = parseFloat(label.element.style.opacity || '1');
+      if (Math.abs(current - opacity) > 0.05 || (opacity === 1 && current !== 1)) {
+        label.element.style.opacity = opacity.toFixed(2);
+      }
+    });
+  }
+
+  // Replace a node's label with a text field; onCommit(text) runs on Enter or
+  // when the field loses focus, Escape cancels
+  edit(id, text, onCommit) {
+    this.finishEditing();
+    this.set(id, text || ' ');
+    const label = this.labels.get(id);
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'node-label-input';
+    input.value = text || '';
+    input.spellcheck = false;
+    label.element.textContent = '';
+    label.element.appendChild(input);
+
+    const editor = {
+      id,
+      finish: (commit) => {
+        if (this.editor !== editor) return;
+        this.editor = null;
+        const value = input.value.trim();
+        input.remove();
+        if (commit) {
+          this.set(id, value);
+          onCommit(value);
+        } else {
+          this.set(id, text);
+        }
+      }
+    };
+    this.editor = editor;
+
+    input.addEventListener('keydown', (event) => {
+      event.stopPropagation(); // Typing must not reach the scene's shortcuts
+      if (event.key === 'Enter') editor.finish(true);
+      if (event.key === 'Escape') editor.finish(false);
+    });
+    input.addEventListener('blur', () => editor.finish(true));
+
+    // Focus once the element is in the document (after the next label render)
+    requestAnimationFrame(() => {
+      input.focus();
+      input.select();
+    });
+  }
+
+  // Commit any edit in progress
+  finishEditing() {
+    this.editor?.finish(true);
+  }
+
+  get editingId() {
+    return this.editor ? this.editor.id : null;
+  }
+}
@@ -0,0 +1,226 @@
+// ===== Mind Map Outlines =====
+// Parsers for outline and mind map files, used to seed the graph with a real map
+// (see the outline topology in topologies.js).
+// - OPML (.opml): nested <outline text=".."> elements
+// - FreeMind / Freeplane (.mm): nested <node TEXT=".."> elements, or rich text content
+// - Markdown (.md): headings and indented bullet or numbered lists
+// A parsed outline is { title, topics: [{ label, parent }, ...] }, with topics in
+// document order so a parent always comes before its children (parent -1 for the root).
+
+// ===== Format Detection =====
+// format: 'opml', 'freemind' or 'markdown'; otherwise taken from the file
+// extension in name, then from the content itself
+export function parseOutline(text, format = null, name = '') {
+  const kind = format || formatFromName(name) || sniffFormat(text);
+  let outline;
+
+  switch (kind) {
+    case 'opml':
+      outline = parseOPML(text);
+      break;
+    case 'freemind':
+      outline = parseFreeMind(text);
+      break;
+    case 'markdown':
+      outline = parseMarkdownOutline(text);
+      break;
+    default:
+      throw new Error(`Unknown outline format "${kind}"`);
+  }
+
+  if (!outline.title) {
+    outline.title = name.replace(/\.[^.]+$/, '');
+  }
+  if (outline.topics.length === 0) {
+    throw new Error('Outline has no topics');
+  }
+  outline.topics.forEach(topic => {
+    if (!topic.label) topic.label = 'Untitled';
+  });
+  return withSingleRoot(outline);
+}
+
+function formatFromName(name) {
+  const extension = /\.([a-z0-9]+)$/i.exec(name)?.[1].toLowerCase();
+  if (extension === 'opml') return 'opml';
+  if (extension === 'mm') return 'freemind';
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  return null;
+}
+
+function sniffFormat(text) {
+  if (/<opml[\s>]/i.test(text)) return 'opml';
+  if (/<map[\s>]/i.test(text)) return 'freemind';
+  return 'markdown';
+}
+
+// A mind map has one central topic; several top-level topics hang off the title
+function withSingleRoot(outline) {
+  const roots = outline.topics.filter(topic => topic.parent < 0).length;
+  if (roots <= 1) return outline;
+
+  const topics = [{ label: outline.title || 'Outline', parent: -1 }];
+  outline.topics.forEach(topic => {
+    topics.push({ label: topic.label, parent: topic.parent + 1 });
+  });
+  return { title: outline.title, topics };
+}
+
+// ===== OPML =====
+export function parseOPML(text) {
+  const topics = [];
+  const stack = [];
+  const titleMatch = /<title>([\s\S]*?)<\/title>/i.exec(text);
+
+  scanTags(text, tag => {
+    if (tag.name !== 'outline') return;
+    if (tag.closing) {
+      stack.pop();
+      return;
+    }
+    topics.push({
+      label: cleanLabel(tag.attributes.text ?? tag.attributes.title ?? ''),
+      parent: stack.length > 0 ? stack[stack.length - 1] : -1
+    });
+    if (!tag.selfClosing) stack.push(topics.length - 1);
+  });
+
+  return { title: titleMatch ? cleanLabel(decodeEntities(titleMatch[1])) : '', topics };
+}
+
+// ===== FreeMind / Freeplane =====
+export function parseFreeMind(text) {
+  const topics = [];
+  const stack = [];
+
+  scanTags(text, tag => {
+    if (tag.name === 'node') {
+      if (tag.closing) {
+        stack.pop();
+        return;
+      }
+      topics.push({
+        label: cleanLabel(tag.attributes.TEXT ?? ''),
+        parent: stack.length > 0 ? stack[stack.length - 1] : -1
+      });
+      if (!tag.selfClosing) stack.push(topics.length - 1);
+      return;
+    }
+
+    // Freeplane keeps formatted node text as HTML instead of a TEXT attribute
+    if (tag.name === 'richcontent' && !tag.closing && tag.attributes.TYPE === 'NODE' && stack.length > 0) {
+      const end = text.indexOf('</richcontent>', tag.end);
+      if (end < 0) return;
+      const topic = topics[stack[stack.length - 1]];
+      if (!topic.label) {
+        topic.label = cleanLabel(decodeEntities(text.slice(tag.end, end).replace(/<[^>]*>/g, ' ')));
+      }
+      return end + '</richcontent>'.length; // Skip the HTML inside
+    }
+  });
+
+  return { title: topics.length > 0 ? topics[0].label : '', topics };
+}
+
+// ===== Markdown =====
+// Headings nest by level; list items nest by indentation under the last heading
+export function parseMarkdownOutline(text) {
+  const topics = [];
+  const stack = []; // { depth, index } of the open ancestors
+  const listIndents = []; // Indent widths of the open list levels
+  let headingDepth = 0;
+  let title = '';
+  let inCodeBlock = false;
+
+  const addTopic = (label, depth) => {
+    while (stack.length > 0 && stack[stack.length - 1].depth >= depth) {
+      stack.pop();
+    }
+    topics.push({ label: cleanLabel(label), parent: stack.length > 0 ? stack[stack.length - 1].index : -1 });
+    stack.push({ depth, index: topics.length - 1 });
+  };
+
+  text.split(/\r?\n/).forEach(line => {
+    if (/^\s*(```|~~~)/.test(line)) {
+      inCodeBlock = !inCodeBlock;
+      return;
+    }
+    if (inCodeBlock) return;
+
+    const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      headingDepth = heading[1].length;
+      listIndents.length = 0;
+      if (!title) title = cleanLabel(heading[2]);
+      addTopic(heading[2], headingDepth);
+      return;
+    }
+
+    const item = /^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[[ xX]\]\s+)?(.*)$/.exec(line);
+    if (item && item[2].trim()) {
+      const indent = item[1].replace(/\t/g, '    ').length;
+      while (listIndents.length > 0 && listIndents[listIndents.length - 1] > indent) {
+        listIndents.pop();
+      }
+      if (listIndents.length === 0 || listIndents[listIndents.length - 1] < indent) {
+        listIndents.push(indent);
+      }
+      addTopic(item[2], headingDepth + listIndents.length);
+    }
+  });
+
+  return { title, topics };
+}
+
+// ===== Helpers =====
+// Calls onTag({ name, attributes, closing, selfClosing, end }) for every element
+// tag; onTag may return an index to resume scanning from
+function scanTags(text, onTag) {
+  const source = text.replace(/<!--[\s\S]*?-->/g, match => ' '.repeat(match.length));
+  const tagPattern = /<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+  let match;
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    const resume = onTag({
+      name: match[2],
+      attributes: parseAttributes(match[3]),
+      closing: match[1] === '/',
+      selfClosing: match[4] === '/',
+      end: tagPattern.lastIndex
+    });
+    if (typeof resume === 'number') {
+      tagPattern.lastIndex = resume;
+    }
+  }
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = attributePattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Plain single-line text: Markdown links and emphasis are dropped
+function cleanLabel(label) {
+  return label
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__|`)/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
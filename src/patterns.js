@@ -0,0 +1,272 @@
+// ===== Life Patterns =====
+// Parsers for the common pattern file formats, a few built-in classics, and
+// placement of a pattern onto the classic Life grid (see lifeGrid in topologies.js).
+// - RLE (.rle): "x = 3, y = 3, rule = B3/S23" header and run-length encoded rows
+// - Life 1.06 (.lif, .life): one "x y" coordinate pair per alive cell
+// - Life 1.05 (.lif, .life): "#P x y" blocks of '.' and '*' rows
+// - Plaintext (.cells): rows of '.' and 'O', '!' comment lines
+// A parsed pattern is { name, width, height, cells: [[x, y], ...], rule? },
+// with cells relative to the pattern's top-left corner.
+
+import { random } from './random.js';
+
+// ===== Built-in Patterns =====
+export const PATTERNS = {
+  glider: {
+    label: 'Glider',
+    format: 'rle',
+    source: `#N Glider
+x = 3, y = 3, rule = B3/S23
+bob$2bo$3o!`
+  },
+  gosperGun: {
+    label: 'Gosper Glider Gun',
+    format: 'rle',
+    source: `#N Gosper glider gun
+x = 36, y = 9, rule = B3/S23
+24bo$22bobo$12b2o6b2o12b2o$11bo3bo4b2o12b2o$2o8bo5bo3b2o$2o8bo3bob2o4bobo$10bo5bo7bo$11bo3bo$12b2o!`
+  },
+  pulsar: {
+    label: 'Pulsar',
+    format: 'cells',
+    source: `!Name: Pulsar
+..OOO...OOO..
+.............
+O....O.O....O
+O....O.O....O
+O....O.O....O
+..OOO...OOO..
+.............
+..OOO...OOO..
+O....O.O....O
+O....O.O....O
+O....O.O....O
+.............
+..OOO...OOO..`
+  }
+};
+
+export function getBuiltinPattern(key) {
+  const pattern = PATTERNS[key];
+  if (!pattern) {
+    throw new Error(`Unknown pattern "${key}"`);
+  }
+  return parsePattern(pattern.source, pattern.format);
+}
+
+// ===== Format Detection =====
+// format: 'rle', 'life106', 'life105' or 'cells'; otherwise taken from the file
+// extension in name, then from the content itself
+export function parsePattern(text, format = null, name = '') {
+  const kind = format || formatFromName(name) || sniffFormat(text);
+  let pattern;
+
+  switch (kind) {
+    case 'rle':
+      pattern = parseRLE(text);
+      break;
+    case 'life':
+      pattern = /^#Life 1\.05/im.test(text) ? parseLife105(text) : parseLife106(text);
+      break;
+    case 'life106':
+      pattern = parseLife106(text);
+      break;
+    case 'life105':
+      pattern = parseLife105(text);
+      break;
+    case 'cells':
+      pattern = parsePlaintext(text);
+      break;
+    default:
+      throw new Error(`Unknown pattern format "${kind}"`);
+  }
+
+  if (!pattern.name && name) {
+    pattern.name = name.replace(/\.[^.]+$/, '');
+  }
+  if (pattern.cells.length === 0) {
+    throw new Error('Pattern has no alive cells');
+  }
+  return pattern;
+}
+
+function formatFromName(name) {
+  const extension = /\.([a-z0-9]+)$/i.exec(name)?.[1].toLowerCase();
+  if (extension === 'rle') return 'rle';
+  if (extension === 'lif' || extension === 'life') return 'life';
+  if (extension === 'cells') return 'cells';
+  return null;
+}
+
+function sniffFormat(text) {
+  if (/^#Life 1\.06/im.test(text)) return 'life106';
+  if (/^#Life 1\.05/im.test(text)) return 'life105';
+  if (/^\s*x\s*=\s*\d+/im.test(text)) return 'rle';
+  return 'cells';
+}
+
+// ===== RLE =====
+export function parseRLE(text) {
+  let name = '';
+  let rule = null;
+  let body = '';
+  let headerSeen = false;
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#')) {
+      if (/^#N\s/.test(trimmed)) name = trimmed.slice(2).trim();
+      return;
+    }
+    if (!headerSeen && /^x\s*=/.test(trimmed)) {
+      headerSeen = true;
+      const ruleMatch = /rule\s*=\s*([^,\s]+)/i.exec(trimmed);
+      if (ruleMatch) rule = ruleMatch[1];
+      return;
+    }
+    body += trimmed;
+  });
+
+  if (!headerSeen) {
+    throw new Error('RLE pattern is missing its "x = .., y = .." header');
+  }
+
+  const cells = [];
+  let x = 0;
+  let y = 0;
+  const tokens = /(\d*)([a-zA-Z.$!])/g;
+  let match;
+  while ((match = tokens.exec(body)) !== null) {
+    const count = match[1] ? parseInt(match[1], 10) : 1;
+    const tag = match[2];
+    if (tag === '!') break;
+    if (tag === '$') {
+      y += count;
+      x = 0;
+    } else if (tag === 'b' || tag === '.') {
+      x += count;
+    } else {
+      // 'o' - and any other state of a multi-state pattern - is alive
+      for (let i = 0; i < count; i++) {
+        cells.push([x + i, y]);
+      }
+      x += count;
+    }
+  }
+
+  return normalize({ name, rule, cells });
+}
+
+// ===== Life 1.06 =====
+export function parseLife106(text) {
+  const cells = [];
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+    const [x, y] = trimmed.split(/\s+/).map(Number);
+    if (!Number.isInteger(x) || !Number.isInteger(y)) {
+      throw new Error(`Invalid Life 1.06 line "${trimmed}"`);
+    }
+    cells.push([x, y]);
+  });
+  return normalize({ name: '', cells });
+}
+
+// ===== Life 1.05 =====
+export function parseLife105(text) {
+  const cells = [];
+  let name = '';
+  let originX = 0;
+  let row = 0;
+
+  text.split(/\r?\n/).forEach(line => {
+    const trimmed = line.trim();
+    if (trimmed.startsWith('#P')) {
+      const [x, y] = trimmed.slice(2).trim().split(/\s+/).map(Number);
+      originX = x || 0;
+      row = y || 0;
+      return;
+    }
+    if (trimmed.startsWith('#D') && !name) {
+      name = trimmed.slice(2).trim();
+      return;
+    }
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    [...trimmed].forEach((char, i) => {
+      if (char === '*') cells.push([originX + i, row]);
+    });
+    row++;
+  });
+
+  return normalize({ name, cells });
+}
+
+// ===== Plaintext (.cells) =====
+export function parsePlaintext(text) {
+  const cells = [];
+  let name = '';
+  let y = 0;
+
+  text.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('!')) {
+      const nameMatch = /^!Name:\s*(.*)$/.exec(line);
+      if (nameMatch) name = nameMatch[1].trim();
+      return;
+    }
+    [...line.trimEnd()].forEach((char, x) => {
+      if (char === 'O' || char === '*') cells.push([x, y]);
+    });
+    y++;
+  });
+
+  return normalize({ name, cells });
+}
+
+// Shift cells so the pattern starts at (0, 0) and measure it. The bounds are
+// found in one pass: large patterns have too many cells to spread into Math.min.
+function normalize(pattern) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  pattern.cells.forEach(([x, y]) => {
+    if (x < minX) minX = x;
+    if (x > maxX) maxX = x;
+    if (y < minY) minY = y;
+    if (y > maxY) maxY = y;
+  });
+  const empty = pattern.cells.length === 0;
+
+  pattern.cells = pattern.cells.map(([x, y]) => [x - minX, y - minY]);
+  pattern.width = empty ? 0 : maxX - minX + 1;
+  pattern.height = empty ? 0 : maxY - minY + 1;
+  if (!pattern.rule) delete pattern.rule;
+  return pattern;
+}
+
+// ===== Grid Placement =====
+// Node ids of a width x height grid are y * width + x; the pattern is centred
+// and cells that fall outside the grid are dropped
+export function placePattern(pattern, width, height) {
+  const offsetX = Math.floor((width - pattern.width) / 2);
+  const offsetY = Math.floor((height - pattern.height) / 2);
+  const ids = [];
+
+  pattern.cells.forEach(([x, y]) => {
+    const gx = x + offsetX;
+    // Pattern rows run downwards, grid rows upwards
+    const gy = height - 1 - (y + offsetY);
+    if (gx >= 0 && gx < width && gy >= 0 && gy < height) {
+      ids.push(gy * width + gx);
+    }
+  });
+
+  return ids;
+}
+
+// Every cell alive with the given probability, from the shared seeded stream
+export function randomSoup(width, height, density) {
+  const ids = [];
+  for (let id = 0; id < width * height; id++) {
+    if (random() < density) ids.push(id);
+  }
+  return ids;
+}
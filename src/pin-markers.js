@@ -0,0 +1,101 @@
+// ===== Pin Markers =====
+// A small pin head on the upper right of every pinned node, drawn over the
+// nodes in one instanced call like SelectionRings: a coral disc with a white
+// rim and centre, sized with the node and fading with it.
+
+import * as THREE from 'three';
+import { getNodeSize } from './node-factory.js';
+import { InstancedBillboards } from './instanced-billboards.js';
+
+const MARKER_COLOR = new THREE.Color(0xFB522E);
+const MARKER_SIZE = 0.22; // Share of the node billboard's width
+const MARKER_CORNER = 0.26; // Offset of the marker's centre up and right, same units
+
+const vertexShader = /* glsl */ `
+  uniform float size;
+  uniform float corner;
+
+  attribute vec3 instanceOffset;
+  attribute float instanceSize;
+  attribute float instanceOpacity;
+
+  varying vec2 vUv;
+  varying float vOpacity;
+
+  void main() {
+    vUv = uv;
+    vOpacity = instanceOpacity;
+
+    // Billboard beside the node's centre, in view space
+    vec4 mvPosition = modelViewMatrix * vec4(instanceOffset, 1.0);
+    mvPosition.xy += (vec2(corner) + position.xy * size) * instanceSize;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3 color;
+
+  varying vec2 vUv;
+  varying float vOpacity;
+
+  void main() {
+    float r = length(vUv - 0.5) * 2.0;
+    float aa = fwidth(r);
+    float disc = 1.0 - smoothstep(1.0 - aa, 1.0, r);
+    float fill = 1.0 - smoothstep(0.72 - aa, 0.72 + aa, r);
+    float head = 1.0 - smoothstep(0.3 - aa, 0.3 + aa, r);
+
+    gl_FragColor = vec4(mix(vec3(1.0), color, fill - head), disc * vOpacity);
+    if (gl_FragColor.a < 0.004) discard;
+
+    #include <colorspace_fragment>
+  }
+`;
+
+export class PinMarkers extends InstancedBillboards {
+  constructor(capacity = 16) {
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        color: { value: MARKER_COLOR },
+        size: { value: MARKER_SIZE },
+        corner: { value: MARKER_CORNER }
+      },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      depthTest: false
+    });
+
+    super(material, { instanceOffset: 3, instanceSize: 1, instanceOpacity: 1 }, capacity);
+    this.mesh.renderOrder = 2; // Over the nodes
+    this.pinned = []; // Reused every frame
+  }
+
+  // Mark every visible node that the graph has pinned
+  update(nodes, graph) {
+    const pinned = this.pinned;
+    pinned.length = 0;
+    graph.nodes.forEach(graphNode => {
+      const node = graphNode.fixed && nodes.get(graphNode.id);
+      if (node && node.visible) pinned.push(node);
+    });
+    this.reserve(pinned.length);
+
+    const geometry = this.mesh.geometry;
+    const offsets = geometry.getAttribute('instanceOffset');
+    const sizes = geometry.getAttribute('instanceSize');
+    const opacities = geometry.getAttribute('instanceOpacity');
+
+    pinned.forEach((node, i) => {
+      offsets.array[i * 3] = node.position.x;
+      offsets.array[i * 3 + 1] = node.position.y;
+      offsets.array[i * 3 + 2] = node.position.z;
+      sizes.array[i] = getNodeSize(node);
+      opacities.array[i] = node.userData.currentOpacity ?? 1;
+    });
+
+    this.commit(pinned.length);
+  }
+}
@@ -0,0 +1,61 @@
+// ===== Seeded Randomness =====
+// One shared PRNG (mulberry32) drives layout and simulation so that the same
+// seed plus the same settings replays the same evolution.
+// Purely visual choices (such as palettes) use hashRandom(), which derives
+// a stable value from the seed and a key without advancing the shared stream,
+// so redrawing the scene never changes how the run evolves.
+
+let currentSeed = '';
+let state = 0;
+
+export function setSeed(seed) {
+  currentSeed = String(seed);
+  state = hashString(currentSeed);
+}
+
+export function getSeed() {
+  return currentSeed;
+}
+
+// Position in the shared stream, so history can resume a run exactly
+export function getRandomState() {
+  return state;
+}
+
+export function setRandomState(value) {
+  state = value | 0;
+}
+
+// Uniform float in [0, 1) from the shared stream
+export function random() {
+  state = (state + 0x6D2B79F5) | 0;
+  let t = state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Stable float in [0, 1) for a key under the current seed
+export function hashRandom(...keys) {
+  let t = hashString(`${currentSeed}:${keys.join(':')}`);
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Short, typeable seed for a fresh run
+export function generateSeed() {
+  return Math.floor(Math.random() * 36 ** 6).toString(36).padStart(6, '0');
+}
+
+// ===== Helper: 32-bit string hash (FNV-1a) =====
+function hashString(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+setSeed(generateSeed());
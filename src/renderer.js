@@ -1,21 +1,57 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
-import { createFloralNode, updateNodeAnimation, setGlassMode, getGlassMode } from './node-factory.js';
-import { ForceDirectedGraph } from './graph-layout.js';
-import { GameOfLifeSimulation } from './simulation.js';
+import { CSS2DRenderer } from 'three/addons/renderers/CSS2DRenderer.js';
+import { createFloralNode, createNodeAtlas, getNodeSize, updateNodeAnimation, setGlassMode, pickPaletteKey, paletteColor, setNodeColor, clearNodeColor, familyColor, rampColor, rampGradient, PALETTE_FAMILIES } from './node-factory.js';
+import { NodeInstances } from './node-instances.js';
+import { ConnectionLines } from './connection-lines.js';
+import { SelectionRings } from './selection-rings.js';
+import { PinMarkers } from './pin-markers.js';
+import { NodeLabels } from './node-labels.js';
+import { SimulationClient } from './simulation-client.js';
+import { createRule, RULE_PRESETS } from './rules.js';
+import { TOPOLOGIES, TOPOLOGY_DEFAULTS, LIFE_GRID_SPACING } from './topologies.js';
+import { PATTERNS, getBuiltinPattern, parsePattern } from './patterns.js';
+import { parseOutline } from './outlines.js';
+import { NAMING_SCHEMES } from './naming.js';
+import { serializeSession, parseSession } from './session.js';
+import { EXPORT_FORMATS } from './graph-export.js';
+import { GenerationCharts, measureGeneration, drawHistogram, drawSparkline } from './charts.js';
+import { analyzeNetwork } from './network-analytics.js';
+import { detectCommunities, colorCommunities } from './communities.js';
+import { COLOR_METRICS, formatMetric } from './color-metrics.js';
+import { LineageTree } from './lineage.js';
+import { UndoStack } from './undo-stack.js';
+import { invertEdits } from './history.js';
+import { setSeed, getSeed, generateSeed } from './random.js';
 
 // ===== Configuration =====
 const CONFIG = {
   backgroundColor: 0xF0EEE9,
+  seed: getSeed(),
   nodeCount: 50,
   speed: 2.0,
   connectionDistance: 120,
   repulsion: 50,
+  theta: 1.0, // Barnes–Hut accuracy of the repulsion: 0 is exact, higher is faster
   autoRotate: false,
+  pinOnDrop: false, // Dragged nodes are pinned where they are dropped
   showConnections: true,
+  showLineageEdges: true, // Parent -> child links of the selected node's family
   glassMode: false,
-  simulationInterval: 2000 // ms between generations (faster growth)
+  colorMode: 'palette', // palette, community (one palette family per community) or a COLOR_METRICS key
+  simulationInterval: 2000, // ms between generations (faster growth)
+  topology: { type: 'clusters', ...TOPOLOGY_DEFAULTS }, // Seed network and its generator parameters
+  grid: { enabled: false, width: 64, height: 48, toroidal: true, pattern: 'gosperGun', density: 0.35 }, // Classic Life board
+  gridGhostOpacity: 0.1, // Dead grid cells stay this visible so the board reads as a grid
+  rulePreset: 'relaxed',
+  maxNodes: 250,
+  maxBirthConnections: 4,
+  spawnRadius: 100,
+  namingScheme: 'blend', // How spawned nodes are named from their parents' labels
+  retireAfterGenerations: 3, // Dead nodes fade out and leave the graph after this many generations
+  settledAction: 'continue', // What to do once the run is a still life: continue, pause or reseed
+  settleConfirmGenerations: 3, // Generations a still life must hold before settledAction fires
+  analyticsInterval: 5 // Generations between network analytics updates
 };
 
 // ===== Scene Setup =====
@@ -70,14 +106,33 @@ directionalLight.position.set(100, 100, 100);
 scene.add(directionalLight);
 
 // ===== State Management =====
-let nodes = [];
-let connections = [];
-let connectionLines = [];
-let graph = null;
-let simulation = null;
+let nodes = new Map(); // Graph node id -> visual node
+let graph = null; // Mirror of the worker's graph
+let simulation = null; // Mirror of the worker's simulation state
+let rule = createRule(CONFIG.rulePreset);
 let isPlaying = true;
-let lastSimulationTime = 0;
 let generation = 0;
+let customPattern = null; // Last pattern loaded from a file
+let importedOutline = null; // Last mind map imported as the seed network
+let labelEdits = new Map(); // Node id -> label typed by the user
+let labelGraphKey = null; // Starting graph the label edits belong to
+let nodeAppearance = new Map(); // Node id -> { palette, size } restored from a session
+let communityColors = new Map(); // Alive node id -> index into PALETTE_FAMILIES
+let neighborChanges = new Map(); // Node id -> generation its alive neighbourhood last changed
+let selectedNodeId = null; // Node shown in the inspector, whose lineage is traced
+let selectedDegrees = []; // Live degree of the selected node by generation ({ generation, value })
+let lineageFamily = null; // { nodes, links } of the selected node (see LineageTree.family)
+let networkRulePreset = CONFIG.rulePreset; // Rule set to restore when grid mode is left
+
+// ===== Simulation Worker =====
+// Layout physics and the Game of Life run in a worker; this thread only
+// interpolates the positions it sends back and renders
+const client = new SimulationClient({
+  onState: handleSimulationState,
+  onGeneration: handleGeneration,
+  onEdits: handleEdits,
+  onError: handleWorkerError
+});
 
 // ===== Audio Context for Classical Sound =====
 let audioContext = null;
@@ -101,6 +156,7 @@ function playBirthNote() {
   const now = audioContext.currentTime;
   
   // Major scale notes (C major) for pleasant sound
+  // Uses Math.random on purpose: notes play on timers and must not disturb the seeded stream
   const majorScale = [261.63, 293.66, 329.63, 349.23, 392.00, 440.00, 493.88, 523.25];
   const freq = majorScale[Math.floor(Math.random() * majorScale.length)];
   
@@ -148,7 +204,6 @@ function playBirthNote() {
 // ===== Raycaster for Click Detection =====
 const raycaster = new THREE.Raycaster();
 const mouse = new THREE.Vector2();
-let tooltipTimeout = null;
 
 // ===== Drag State =====
 let isDragging = false;
@@ -157,171 +212,465 @@ let dragPlane = new THREE.Plane();
 let dragOffset = new THREE.Vector3();
 let targetZoom = null;
 let zoomAnimating = false;
+let focusTarget = null; // Point the camera is gliding to centre on (see focusNode)
+
+// ===== Editing State =====
+let editTool = 'move'; // Active editing tool (see setupEditTools)
+let connectFrom = null; // Node an edge is being drawn from
+let suppressClick = false; // The click that ends drawing an edge selects nothing
+let rewireGesture = null; // Latest Connection Reach change: { from, to, edits, open, recorded }
+
+// ===== Selection State =====
+let selectedIds = new Set(); // Group selection (see Group Selection)
+let isolatedIds = null; // Nodes left showing by Isolate, or null when all are shown
+let marquee = null; // Box or lasso being drawn: { tool, points, extend }
+let clipboard = null; // Last copied nodes and their edges (see copySelection)
+let dragGroup = new Map(); // Rest of a dragged selection: node id -> offset from the dragged node
+
+// ===== Node & Connection Batches =====
+// All nodes are one instanced draw and all edges one line buffer
+const nodeInstances = new NodeInstances(createNodeAtlas());
+const connectionLines = new ConnectionLines();
+const lineageLines = new ConnectionLines(256, { color: 0x214175, opacity: 0.8 });
+const selectionRings = new SelectionRings();
+const pinMarkers = new PinMarkers();
+scene.add(connectionLines.mesh);
+scene.add(lineageLines.mesh);
+scene.add(nodeInstances.mesh);
+scene.add(selectionRings.mesh);
+scene.add(pinMarkers.mesh);
+
+// Dashed line from the node an edge is being drawn from to the pointer
+const connectPreview = new THREE.Line(
+  new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]),
+  new THREE.LineDashedMaterial({ color: 0x214175, dashSize: 3, gapSize: 3, transparent: true, opacity: 0.8, depthWrite: false })
+);
+connectPreview.frustumCulled = false;
+connectPreview.visible = false;
+scene.add(connectPreview);
+
+// Persistent node labels are DOM elements drawn by the label renderer
+const nodeLabels = new NodeLabels();
+scene.add(nodeLabels.group);
+
+// Trends over generations in the sidebar
+const charts = new GenerationCharts(document.getElementById('chartsCanvas'), document.getElementById('chartsReadout'));
 
-// ===== 3D Label State =====
-let activeLabel = null;
-let activeLabelLine = null;
-let activeLabelTargetNode = null;
+// Every node the run has had, with its parents
+const lineage = new LineageTree();
 
-// ===== Node & Connection Groups =====
-const nodeGroup = new THREE.Group();
-const connectionGroup = new THREE.Group();
-scene.add(connectionGroup);
-scene.add(nodeGroup);
+// The user's edits, moves and rewires, for undo and redo
+const undoStack = new UndoStack();
 
 // ===== Initialize Simulation =====
-function initSimulation() {
-  // Clear existing
-  nodeGroup.clear();
-  connectionGroup.clear();
-  nodes = [];
-  connections = [];
-  connectionLines = [];
-  generation = 0;
-
-  // Create force-directed graph
-  graph = new ForceDirectedGraph({
-    nodeCount: CONFIG.nodeCount,
+// Larger populations get a larger space so their density stays about the same
+function layoutBounds(nodeCount) {
+  return 300 * Math.max(1, Math.cbrt(nodeCount / 150));
+}
+
+// resume: worker state from a saved session, continued instead of a fresh start
+function initSimulation(resume = null) {
+  nodeLabels.finishEditing();
+
+  // Palettes and curve jitter on this thread derive from the seed too
+  setSeed(CONFIG.seed);
+
+  const grid = CONFIG.grid.enabled ? {
+    width: CONFIG.grid.width,
+    height: CONFIG.grid.height,
+    toroidal: CONFIG.grid.toroidal,
+    density: CONFIG.grid.density,
+    pattern: selectedGridPattern() // null for a random soup
+  } : null;
+
+  // An imported mind map has one node per topic
+  const outline = CONFIG.topology.type === 'outline' ? importedOutline : null;
+  const nodeCount = grid ? grid.width * grid.height : outline ? outline.topics.length : CONFIG.nodeCount;
+
+  const bounds = layoutBounds(nodeCount);
+  controls.maxDistance = Math.max(800, bounds * 2.7, grid ? gridExtent() * 1.5 : 0);
+  camera.far = Math.max(2000, controls.maxDistance * 2);
+  camera.updateProjectionMatrix();
+
+  const topology = outline ? { ...CONFIG.topology, topics: outline.topics } : { ...CONFIG.topology };
+
+  // Node ids only mean the same nodes while the starting graph is the same
+  const graphKey = JSON.stringify([CONFIG.seed, nodeCount, topology, grid]);
+  if (resume) {
+    labelEdits = new Map(resume.labels);
+    labelGraphKey = graphKey;
+  } else if (graphKey !== labelGraphKey) {
+    labelEdits.clear();
+    labelGraphKey = graphKey;
+  }
+  if (!resume) {
+    nodeAppearance.clear(); // Saved looks only belong to the run they were saved with
+  }
+  communityColors.clear(); // A new run picks its community colours afresh
+  neighborChanges.clear();
+  if (!resume) {
+    lineage.clear(); // A resumed session brings its own
+  }
+  selectedNodeId = null;
+  selectedDegrees = [];
+  selectedIds.clear();
+  isolatedIds = null;
+  focusTarget = null;
+  charts.reset();
+
+  // Same seed + same settings = same evolution
+  client.init({
+    seed: CONFIG.seed,
+    nodeCount,
     connectionDistance: CONFIG.connectionDistance,
     repulsion: CONFIG.repulsion,
-    bounds: 300
+    theta: CONFIG.theta,
+    bounds,
+    topology,
+    grid,
+    resume,
+    labels: Array.from(labelEdits),
+    rule: rule.toJSON(),
+    maxNodes: CONFIG.maxNodes,
+    maxBirthConnections: CONFIG.maxBirthConnections,
+    spawnRadius: CONFIG.spawnRadius,
+    retireAfterGenerations: CONFIG.retireAfterGenerations,
+    namingScheme: CONFIG.namingScheme,
+    speed: CONFIG.speed,
+    simulationInterval: CONFIG.simulationInterval,
+    running: isPlaying
   });
+}
 
-  // Create simulation
-  simulation = new GameOfLifeSimulation(graph);
+// A full state arrives after a reset or a jump in the timeline
+function handleSimulationState() {
+  // Cancel interactions that hold references to the old visuals
+  nodeLabels.finishEditing();
+  isDragging = false;
+  draggedNode = null;
+  controls.enabled = true;
+  connectedNodeTargets.clear();
+  dragGroup.clear();
+  cancelConnecting();
+  cancelMarquee();
+
+  // Undo commands refer to the replaced state
+  undoStack.clear();
+  rewireGesture = null;
+  renderUndoHistory();
+
+  graph = client.graph;
+  simulation = client.simulation;
+  generation = simulation.generation;
+
+  // Neighbourhood changes after a rewound generation never happened
+  neighborChanges.forEach((changed, id) => {
+    if (changed > generation || !graph.getNode(id)) neighborChanges.delete(id);
+  });
 
   // Create visual nodes
-  const now = performance.now();
-  graph.nodes.forEach((nodeData, index) => {
-    const floralNode = createFloralNode(nodeData, index);
-    floralNode.userData.graphIndex = index;
-    floralNode.userData.alive = true;
-    floralNode.userData.targetOpacity = 1;
-    floralNode.userData.currentOpacity = 1; // Start fully visible
-    floralNode.userData.birthTime = now - 1000; // Already "born"
-    floralNode.scale.setScalar(1); // Full scale
-    nodes.push(floralNode);
-    nodeGroup.add(floralNode);
-  });
+  rebuildNodes();
+  updateNodeColors(true);
+  lineage.sync(graph, generation);
+  updateLineage();
+  requestSelectedDegrees(); // Later generations may have been rewound
 
   // Create connections
   updateConnections();
   updateStats();
+  updateTimeline();
+  updateInspector();
+  pruneSelection();
+  syncEditTools();
+  charts.showGeneration(measureGeneration(graph, simulation));
+  updateAnalytics();
 }
 
-// ===== Connection Rendering =====
-function updateConnections() {
-  // Clear old connections
-  connectionGroup.clear();
-  connectionLines = [];
+// Dead nodes fade out until the simulation retires them. Grid cells are never
+// retired, so they fade to a ghost within a single generation instead.
+function deathFadeDuration() {
+  const generationTime = CONFIG.simulationInterval / CONFIG.speed;
+  return simulation.fixedTopology ? generationTime : simulation.retireAfterGenerations * generationTime;
+}
 
-  if (!CONFIG.showConnections) return;
+// ===== Rebuild Visual Nodes =====
+// Creates a visual for every graph node as the simulation currently sees it.
+// Dead nodes resume their fade part-way, by how long ago they died.
+function rebuildNodes() {
+  nodes = new Map();
+  nodeLabels.clear();
 
-  const connectionSet = new Set();
-  
-  graph.nodes.forEach((node, i) => {
-    if (!nodes[i].userData.alive) return;
-    
-    node.connections.forEach(j => {
-      if (!nodes[j].userData.alive) return;
-      
-      const key = i < j ? `${i}-${j}` : `${j}-${i}`;
-      if (connectionSet.has(key)) return;
-      connectionSet.add(key);
+  const now = performance.now();
+  const generationTime = CONFIG.simulationInterval / CONFIG.speed;
+  const fadeDuration = deathFadeDuration();
+  const restingOpacity = simulation.fixedTopology ? CONFIG.gridGhostOpacity : 0;
+
+  graph.nodes.forEach(nodeData => {
+    const floralNode = createFloralNode(nodeData, nodeData.id, nodeAppearance.get(nodeData.id));
+    floralNode.userData.nodeId = nodeData.id;
+    // Already "born", as long ago as its birth generation (revivals are not known here)
+    floralNode.userData.birthTime = now - Math.max(1000, (simulation.generation - (nodeData.born ?? 0)) * generationTime);
+    floralNode.userData.restingOpacity = restingOpacity;
+
+    if (simulation.isAlive(nodeData.id)) {
+      floralNode.userData.alive = true;
+      floralNode.userData.targetOpacity = 1;
+      floralNode.userData.currentOpacity = 1; // Start fully visible
+      floralNode.scale.setScalar(1); // Full scale
+    } else {
+      // Grid cells fade within a generation, so dead ones are simply shown at rest
+      const deadFor = simulation.fixedTopology
+        ? Infinity
+        : simulation.generation - (simulation.deathGenerations.get(nodeData.id) ?? simulation.generation);
+      floralNode.userData.alive = false;
+      floralNode.userData.targetOpacity = 0;
+      floralNode.userData.deathTime = now - deadFor * generationTime;
+      floralNode.userData.fadeDuration = fadeDuration;
+      floralNode.scale.setScalar(0.4);
+    }
 
-      const startNode = graph.nodes[i];
-      const endNode = graph.nodes[j];
-      
-      const line = createCurvedConnection(
-        new THREE.Vector3(startNode.x, startNode.y, startNode.z),
-        new THREE.Vector3(endNode.x, endNode.y, endNode.z)
-      );
-      
-      line.userData.startIndex = i;
-      line.userData.endIndex = j;
-      connectionLines.push(line);
-      connectionGroup.add(line);
-    });
+    floralNode.position.set(nodeData.x, nodeData.y, nodeData.z);
+    nodes.set(nodeData.id, floralNode);
+    nodeLabels.set(nodeData.id, nodeData.label);
   });
-
-  connections = Array.from(connectionSet);
 }
 
-function createCurvedConnection(start, end) {
-  const midPoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
-  
-  // Add curve offset perpendicular to the line
-  const direction = new THREE.Vector3().subVectors(end, start);
-  const perpendicular = new THREE.Vector3(-direction.y, direction.x, direction.z * 0.3).normalize();
-  const curveAmount = direction.length() * 0.12;
-  midPoint.add(perpendicular.multiplyScalar(curveAmount * (Math.random() - 0.5) * 2));
-
-  const curve = new THREE.QuadraticBezierCurve3(start, midPoint, end);
-  const points = curve.getPoints(24);
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  
-  // Red-tinted connection lines
-  const material = new THREE.LineBasicMaterial({
-    color: 0xC08070,
-    transparent: true,
-    opacity: 0.35,
-    linewidth: 1,
-    depthWrite: false
+// ===== Connection Rendering =====
+// Rebuilds the list of visible edges; their curves are redrawn every frame
+function updateConnections() {
+  if (!CONFIG.showConnections) {
+    connectionLines.setEdges([]);
+    return;
+  }
+
+  const edges = [];
+  graph.nodes.forEach(node => {
+    const i = node.id;
+    if (!nodes.get(i)?.userData.alive) return;
+    
+    node.connections.forEach(j => {
+      // Each undirected edge once, between alive nodes only
+      if (j > i && nodes.get(j)?.userData.alive) {
+        edges.push([i, j]);
+      }
+    });
   });
 
-  return new THREE.Line(geometry, material);
+  connectionLines.setEdges(edges);
 }
 
 // ===== Simulation Step =====
-function stepSimulation() {
-  if (!simulation || !isPlaying) return;
+// Called with each generation's record once the mirror has applied it
+function handleGeneration(changes) {
+  generation = simulation.generation;
 
-  const changes = simulation.step();
-  generation++;
+  // Retired nodes have finished fading out - drop their visuals
+  changes.retired.forEach(id => retireNode(id));
 
   // Handle deaths - only mark as dead, let animation handle fading
-  changes.deaths.forEach((index) => {
-    if (nodes[index] && nodes[index].userData.alive) {
-      nodes[index].userData.alive = false;
-      nodes[index].userData.targetOpacity = 0;
-      nodes[index].userData.deathTime = performance.now();
-      // Keep visible during fade
-      nodes[index].visible = true;
-    }
-  });
+  changes.deaths.forEach(markNodeDead);
+
+  // Handle revivals - dead nodes born again in place
+  changes.revivals.forEach(markNodeAlive);
 
   // Handle births - play sound for each birth
-  changes.births.forEach((birthData, i) => {
-    const newNode = createFloralNode(birthData, nodes.length);
-    newNode.userData.graphIndex = nodes.length;
-    newNode.userData.alive = true;
-    newNode.userData.targetOpacity = 1;
-    newNode.userData.currentOpacity = 1;
-    newNode.userData.birthTime = performance.now();
-    newNode.scale.setScalar(0.1); // Start small, will animate to full
-    newNode.visible = true;
-    
-    graph.addNode(birthData);
-    nodes.push(newNode);
-    nodeGroup.add(newNode);
+  changes.births.forEach((birth, i) => {
+    if (!addNodeVisual(birth.id)) return;
     
     // Play classical note with slight delay for each birth
     setTimeout(() => playBirthNote(), i * 100);
   });
 
+  recordNeighborChanges(changes);
+  updateNodeColors();
+  lineage.record(changes);
+  updateLineage();
+  recordSelectedDegree();
+  updateConnections();
+  updateStats();
+  updateTimeline();
+  updateInspector();
+  updateSelectionBar();
+  charts.record(measureGeneration(graph, simulation, changes));
+  if (generation % CONFIG.analyticsInterval === 0) {
+    updateAnalytics();
+  }
+  handleSettledState(simulation.cycle);
+}
+
+function markNodeDead(id) {
+  const node = nodes.get(id);
+  if (node && node.userData.alive) {
+    node.userData.alive = false;
+    node.userData.targetOpacity = 0;
+    node.userData.deathTime = performance.now();
+    node.userData.fadeDuration = deathFadeDuration();
+    // Keep visible during fade
+    node.visible = true;
+  }
+}
+
+// A node that has just joined the graph (born or placed by the user) grows in
+function addNodeVisual(id) {
+  const nodeData = graph.getNode(id);
+  if (!nodeData) return null;
+  const newNode = createFloralNode(nodeData, nodeData.id);
+  newNode.userData.nodeId = nodeData.id;
+  newNode.userData.alive = true;
+  newNode.userData.targetOpacity = 1;
+  newNode.userData.currentOpacity = 1;
+  newNode.userData.birthTime = performance.now();
+  newNode.scale.setScalar(0.1); // Start small, will animate to full
+  newNode.visible = true;
+
+  nodes.set(nodeData.id, newNode);
+  nodeLabels.set(nodeData.id, nodeData.label);
+  return newNode;
+}
+
+function markNodeAlive(id) {
+  const node = nodes.get(id);
+  if (node && !node.userData.alive) {
+    node.userData.alive = true;
+    node.userData.targetOpacity = 1;
+    node.userData.birthTime = performance.now();
+    node.userData.deathTime = null;
+    node.visible = true;
+  }
+}
+
+// ===== User Edits =====
+// Edits from the inspector and the editing tools, once the mirror has applied
+// them. They are gathered into the shape of a generation's changes.
+function handleEdits(edits, origin) {
+  const changes = { generation, births: [], deaths: [], revivals: [], retired: [], edgesAdded: [], edgesRemoved: [] };
+  edits.forEach(edit => {
+    switch (edit.type) {
+      case 'kill':
+        changes.deaths.push(edit.id);
+        break;
+      case 'revive':
+        changes.revivals.push(edit.id);
+        break;
+      case 'add':
+        changes.births.push(edit.node.id);
+        break;
+      case 'delete':
+        changes.retired.push(edit.id);
+        edit.connections.forEach(otherId => changes.edgesRemoved.push([edit.id, otherId]));
+        break;
+      case 'connect':
+        changes.edgesAdded.push([edit.a, edit.b]);
+        break;
+      case 'disconnect':
+        changes.edgesRemoved.push([edit.a, edit.b]);
+        break;
+    }
+  });
+
+  changes.retired.forEach(id => {
+    retireNode(id);
+    lineage.retire(id, generation);
+  });
+  changes.deaths.forEach(markNodeDead);
+  changes.revivals.forEach(markNodeAlive);
+  changes.births.forEach(id => {
+    addNodeVisual(id);
+    lineage.add(graph.getNode(id));
+  });
+
+  recordNeighborChanges(changes);
+  updateNodeColors();
+  updateLineage();
+  recordSelectedDegree();
   updateConnections();
   updateStats();
+  updateTimeline();
+  updateInspector();
+  if (origin?.select) {
+    selectNodes(edits.filter(edit => edit.type === 'add').map(edit => edit.node.id));
+  } else {
+    updateSelectionBar();
+  }
+
+  // New edits become undoable commands; undos and redos come back without a command
+  if (origin?.command) {
+    undoStack.push(editCommand(origin.command, edits));
+    renderUndoHistory();
+  } else if (origin?.rewire && rewireGesture) {
+    rewireGesture.edits.push(...edits);
+    commitRewire(rewireGesture);
+  }
+}
+
+// ===== Worker Errors =====
+// A message the worker could not handle, or an error that escaped it; open
+// requests have already been rejected by the client
+function handleWorkerError(err) {
+  window.alert(`The simulation hit an error: ${err.message}`);
+}
+
+// ===== Settled Runs =====
+// Fires once per still life, after it has held for settleConfirmGenerations
+// (stochastic rules can repeat a state for a single generation by chance)
+function handleSettledState(cycle) {
+  if (!cycle || cycle.period !== 1) return;
+  if (simulation.generation - cycle.start !== CONFIG.settleConfirmGenerations) return;
+
+  if (CONFIG.settledAction === 'pause') {
+    setPlaying(false);
+  } else if (CONFIG.settledAction === 'reseed') {
+    CONFIG.seed = generateSeed();
+    document.getElementById('seed').value = CONFIG.seed;
+    initSimulation();
+  }
+}
+
+function describeSteadyState() {
+  const cycle = simulation.cycle;
+  if (simulation.getAliveCount() === 0) return 'Extinct';
+  if (!cycle) return 'Evolving';
+  if (cycle.period === 1) return `Still since ${cycle.start}`;
+  return `Period ${cycle.period} since ${cycle.start}`;
+}
+
+// ===== Dead Node Collector =====
+// Fully removes a retired node's visual
+function retireNode(id) {
+  const node = nodes.get(id);
+  if (!node) return;
+
+  if (draggedNode === node) {
+    isDragging = false;
+    draggedNode = null;
+    controls.enabled = true;
+    connectedNodeTargets.clear();
+    dragGroup.clear();
+  }
+  connectedNodeTargets.delete(id);
+  dragGroup.delete(id);
+  selectedIds.delete(id);
+  isolatedIds?.delete(id);
+  if (connectFrom === node) {
+    cancelConnecting();
+  }
+
+  nodes.delete(id);
+  nodeLabels.remove(id);
 }
 
 // ===== Stats Update =====
 function updateStats() {
-  const livingCount = nodes.filter(n => n.userData.alive).length;
+  const livingCount = simulation.getAliveCount();
   document.getElementById('livingCount').textContent = livingCount;
   document.getElementById('generation').textContent = generation;
-  document.getElementById('connectionCount').textContent = connectionLines.length;
+  document.getElementById('connectionCount').textContent = connectionLines.edgeCount;
+  document.getElementById('steadyState').textContent = describeSteadyState();
 }
 
 // ===== Animation Loop =====
+const lerpTarget = new THREE.Vector3(); // Reused so a frame allocates nothing per node
+
 function animate(currentTime) {
   requestAnimationFrame(animate);
 
@@ -330,60 +679,51 @@ function animate(currentTime) {
   
   // Smooth zoom animation
   updateZoom();
+
+  // Glide towards a focused node
+  updateFocus();
   
   // Smooth drag animation
   updateDragAnimation();
 
-  // Update graph physics
+  // Follow the positions sent by the simulation worker
   if (graph && isPlaying) {
-    graph.update(CONFIG.repulsion, CONFIG.connectionDistance);
-    
     // Update node positions
-    nodes.forEach((node, i) => {
-      if (graph.nodes[i]) {
-        const target = graph.nodes[i];
-        node.position.lerp(new THREE.Vector3(target.x, target.y, target.z), 0.1);
+    nodes.forEach((node, id) => {
+      const target = graph.getNode(id);
+      if (target) {
+        node.position.lerp(lerpTarget.set(target.x, target.y, target.z), 0.1);
       }
     });
   }
 
-  // Animate node opacities and effects (sprites auto-billboard)
+  // Animate node opacities and effects
   nodes.forEach(node => {
     updateNodeAnimation(node, currentTime);
   });
-  
-  // Update 3D label position to follow target node
-  updateLabelPosition();
 
-  // Step simulation at intervals
-  if (isPlaying && currentTime - lastSimulationTime > CONFIG.simulationInterval / CONFIG.speed) {
-    stepSimulation();
-    lastSimulationTime = currentTime;
+  // Everything outside the selected node's family recedes
+  if (lineageFamily) {
+    nodes.forEach((node, id) => {
+      if (!lineageFamily.nodes.has(id)) node.userData.currentOpacity *= LINEAGE_DIM;
+    });
   }
 
-  // Update connection positions
-  connectionLines.forEach(line => {
-    const startNode = nodes[line.userData.startIndex];
-    const endNode = nodes[line.userData.endIndex];
-    
-    if (startNode && endNode) {
-      const start = startNode.position.clone();
-      const end = endNode.position.clone();
-      const midPoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
-      
-      const direction = new THREE.Vector3().subVectors(end, start);
-      const perpendicular = new THREE.Vector3(-direction.y, direction.x, direction.z * 0.3).normalize();
-      midPoint.add(perpendicular.multiplyScalar(direction.length() * 0.08));
+  // Isolating a selection hides everything else
+  if (isolatedIds) {
+    nodes.forEach((node, id) => {
+      if (!isolatedIds.has(id)) node.visible = false;
+    });
+  }
 
-      const curve = new THREE.QuadraticBezierCurve3(start, midPoint, end);
-      const points = curve.getPoints(20);
-      line.geometry.setFromPoints(points);
-      
-      // Fade connections based on node opacity
-      const avgOpacity = (startNode.userData.currentOpacity + endNode.userData.currentOpacity) / 2;
-      line.material.opacity = avgOpacity * 0.4;
-    }
-  });
+  // Write nodes (back to front) and connection curves into their buffers
+  camera.updateMatrixWorld();
+  nodeInstances.update(nodes, camera);
+  selectionRings.update(nodes, selectedIds);
+  if (graph) pinMarkers.update(nodes, graph);
+  connectionLines.update(nodes);
+  lineageLines.update(nodes);
+  nodeLabels.update(nodes, camera);
 
   renderer.render(scene, camera);
   labelRenderer.render(scene, camera);
@@ -399,6 +739,24 @@ function setupEventListeners() {
     labelRenderer.setSize(container.clientWidth, container.clientHeight);
   });
 
+  // Seed input - restarts the run from the typed seed
+  const seedInput = document.getElementById('seed');
+  seedInput.value = CONFIG.seed;
+  seedInput.addEventListener('change', (e) => {
+    const seed = e.target.value.trim();
+    CONFIG.seed = seed || generateSeed();
+    seedInput.value = CONFIG.seed;
+    initSimulation();
+  });
+
+  // New seed button
+  const newSeedBtn = document.getElementById('newSeed');
+  newSeedBtn.addEventListener('click', () => {
+    CONFIG.seed = generateSeed();
+    seedInput.value = CONFIG.seed;
+    initSimulation();
+  });
+
   // Node count slider
   const nodeCountSlider = document.getElementById('nodeCount');
   const nodeCountValue = document.getElementById('nodeCountValue');
@@ -416,21 +774,21 @@ function setupEventListeners() {
   speedSlider.addEventListener('input', (e) => {
     CONFIG.speed = parseFloat(e.target.value);
     speedValue.textContent = CONFIG.speed.toFixed(1) + 'x';
+    client.setParams({ speed: CONFIG.speed });
   });
 
   // Connection distance slider
   const connectionDistanceSlider = document.getElementById('connectionDistance');
   const connectionDistanceValue = document.getElementById('connectionDistanceValue');
   connectionDistanceSlider.addEventListener('input', (e) => {
-    CONFIG.connectionDistance = parseInt(e.target.value);
-    connectionDistanceValue.textContent = CONFIG.connectionDistance;
-    if (graph) {
-      graph.connectionDistance = CONFIG.connectionDistance;
-      graph.recalculateConnections();
-      updateConnections();
-      updateStats();
+    // One slider drag is one undoable rewire (see recordRewire)
+    if (!rewireGesture?.open) {
+      rewireGesture = { from: CONFIG.connectionDistance, to: null, edits: [], open: true };
     }
+    setConnectionDistance(parseInt(e.target.value));
+    client.recalculateConnections({ rewire: true });
   });
+  connectionDistanceSlider.addEventListener('change', recordRewire);
 
   // Repulsion slider
   const repulsionSlider = document.getElementById('repulsion');
@@ -438,6 +796,16 @@ function setupEventListeners() {
   repulsionSlider.addEventListener('input', (e) => {
     CONFIG.repulsion = parseInt(e.target.value);
     repulsionValue.textContent = CONFIG.repulsion;
+    client.setParams({ repulsion: CONFIG.repulsion });
+  });
+
+  // Repulsion accuracy slider
+  const thetaSlider = document.getElementById('theta');
+  const thetaValue = document.getElementById('thetaValue');
+  thetaSlider.addEventListener('input', (e) => {
+    CONFIG.theta = parseFloat(e.target.value);
+    thetaValue.textContent = CONFIG.theta === 0 ? 'Exact' : CONFIG.theta.toFixed(1);
+    client.setParams({ theta: CONFIG.theta });
   });
 
   // Auto rotate toggle
@@ -447,6 +815,34 @@ function setupEventListeners() {
     controls.autoRotate = CONFIG.autoRotate;
   });
 
+  // Pin on Drop - dragged nodes stay where they are dropped
+  const pinOnDropToggle = document.getElementById('pinOnDrop');
+  pinOnDropToggle.addEventListener('change', (e) => {
+    CONFIG.pinOnDrop = e.target.checked;
+  });
+
+  // Settled action select
+  const settledActionSelect = document.getElementById('settledAction');
+  settledActionSelect.value = CONFIG.settledAction;
+  settledActionSelect.addEventListener('change', (e) => {
+    CONFIG.settledAction = e.target.value;
+  });
+
+  // Node colour mode select - metrics follow the palette and community modes
+  const colorModeSelect = document.getElementById('colorMode');
+  Object.entries(COLOR_METRICS).forEach(([key, metric]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = metric.label;
+    colorModeSelect.appendChild(option);
+  });
+  document.getElementById('colorLegendBar').style.background = rampGradient();
+  colorModeSelect.value = CONFIG.colorMode;
+  colorModeSelect.addEventListener('change', (e) => {
+    CONFIG.colorMode = e.target.value;
+    updateNodeColors();
+  });
+
   // Show connections toggle
   const showConnectionsToggle = document.getElementById('showConnections');
   showConnectionsToggle.addEventListener('change', (e) => {
@@ -457,20 +853,7 @@ function setupEventListeners() {
   // Play/Pause button
   const playPauseBtn = document.getElementById('playPause');
   playPauseBtn.addEventListener('click', () => {
-    isPlaying = !isPlaying;
-    const playIcon = playPauseBtn.querySelector('.play');
-    const pauseIcon = playPauseBtn.querySelector('.pause');
-    const btnText = playPauseBtn.querySelector('.btn-text');
-    
-    if (isPlaying) {
-      playIcon.style.display = 'none';
-      pauseIcon.style.display = 'inline';
-      btnText.textContent = 'Pause';
-    } else {
-      playIcon.style.display = 'inline';
-      pauseIcon.style.display = 'none';
-      btnText.textContent = 'Play';
-    }
+    setPlaying(!isPlaying);
   });
 
   // Reset button
@@ -480,287 +863,1217 @@ function setupEventListeners() {
   });
 }
 
-// ===== Zoom Controls =====
-function setupZoomControls() {
-  const zoomIn = document.getElementById('zoomIn');
-  const zoomOut = document.getElementById('zoomOut');
-  
-  if (zoomIn) {
-    zoomIn.addEventListener('click', () => {
-      // Smooth animated zoom in
-      const currentDistance = camera.position.length();
-      targetZoom = Math.max(controls.minDistance, currentDistance * 0.75);
-      zoomAnimating = true;
-    });
-  }
+// ===== Play State =====
+function setPlaying(playing) {
+  isPlaying = playing;
+  client.setRunning(isPlaying);
+  const playPauseBtn = document.getElementById('playPause');
+  const playIcon = playPauseBtn.querySelector('.play');
+  const pauseIcon = playPauseBtn.querySelector('.pause');
+  const btnText = playPauseBtn.querySelector('.btn-text');
   
-  if (zoomOut) {
-    zoomOut.addEventListener('click', () => {
-      // Smooth animated zoom out
-      const currentDistance = camera.position.length();
-      targetZoom = Math.min(controls.maxDistance, currentDistance * 1.35);
-      zoomAnimating = true;
-    });
+  if (isPlaying) {
+    playIcon.style.display = 'none';
+    pauseIcon.style.display = 'inline';
+    btnText.textContent = 'Pause';
+  } else {
+    playIcon.style.display = 'inline';
+    pauseIcon.style.display = 'none';
+    btnText.textContent = 'Play';
   }
 }
 
-// Smooth zoom animation (called in animate loop)
-function updateZoom() {
-  if (!zoomAnimating || targetZoom === null) return;
-  
-  const currentDistance = camera.position.length();
-  const diff = targetZoom - currentDistance;
-  
-  if (Math.abs(diff) < 1) {
-    zoomAnimating = false;
-    targetZoom = null;
-    return;
-  }
-  
-  // Smooth easing
-  const step = diff * 0.08;
-  const direction = camera.position.clone().normalize();
-  const newDistance = currentDistance + step;
-  camera.position.copy(direction.multiplyScalar(newDistance));
+// ===== Generation Timeline =====
+function setupTimeline() {
+  const scrubber = document.getElementById('timelineScrubber');
+  const startBtn = document.getElementById('timelineStart');
+  const backBtn = document.getElementById('timelineBack');
+  const forwardBtn = document.getElementById('timelineForward');
+  if (!scrubber) return;
+
+  // Scrubbing pauses the run and rebuilds the scene at that generation
+  scrubber.addEventListener('input', (e) => {
+    jumpToGeneration(parseInt(e.target.value));
+  });
+
+  startBtn.addEventListener('click', () => {
+    jumpToGeneration(client.historyRange.first);
+  });
+
+  backBtn.addEventListener('click', () => {
+    jumpToGeneration(generation - 1);
+  });
+
+  // Step forward replays recorded generations, then computes new ones
+  forwardBtn.addEventListener('click', () => {
+    setPlaying(false);
+    if (generation < client.historyRange.last) {
+      jumpToGeneration(generation + 1);
+    } else {
+      client.step();
+    }
+  });
 }
 
-// ===== Sidebar Toggle =====
-function setupSidebarToggle() {
-  const sidebar = document.getElementById('sidebar');
-  const toggleBtn = document.getElementById('sidebarToggle');
-  
-  if (toggleBtn && sidebar) {
-    toggleBtn.addEventListener('click', () => {
-      sidebar.classList.toggle('collapsed');
-      toggleBtn.classList.toggle('collapsed');
-    });
-  }
+// The worker rebuilds that generation and answers with a full state
+function jumpToGeneration(target) {
+  if (!simulation) return;
+  setPlaying(false);
+  client.restore(target);
 }
 
-// ===== Sound Toggle =====
-function setupSoundToggle() {
-  const soundToggle = document.getElementById('soundEnabled');
-  if (soundToggle) {
-    soundToggle.addEventListener('change', (e) => {
-      soundEnabled = e.target.checked;
-      // Initialize audio context on first enable
-      if (soundEnabled) {
-        initAudio();
-      }
-    });
-  }
+function updateTimeline() {
+  const scrubber = document.getElementById('timelineScrubber');
+  if (!scrubber) return;
+
+  const { first, last } = client.historyRange;
+  scrubber.min = first;
+  scrubber.max = last;
+  scrubber.value = generation;
+  document.getElementById('timelineLabel').textContent = `${generation} / ${last}`;
+  document.getElementById('timelineBack').disabled = generation <= first;
+  document.getElementById('timelineStart').disabled = generation <= first;
 }
 
-// ===== Glass Mode Toggle =====
-function setupGlassModeToggle() {
-  const glassModeToggle = document.getElementById('glassMode');
-  if (glassModeToggle) {
-    glassModeToggle.addEventListener('change', (e) => {
-      CONFIG.glassMode = e.target.checked;
-      setGlassMode(CONFIG.glassMode);
-      regenerateNodes();
-    });
-  }
+// ===== Charts Panel =====
+function setupCharts() {
+  const windowSelect = document.getElementById('chartWindow');
+  if (!windowSelect) return;
+
+  windowSelect.addEventListener('change', (e) => {
+    charts.setWindow(parseInt(e.target.value));
+  });
+  charts.setWindow(parseInt(windowSelect.value));
+
+  // The canvases are sized from their width, which changes with the window
+  window.addEventListener('resize', () => {
+    charts.scheduleDraw();
+    drawDegreeHistogram();
+  });
 }
 
-// ===== Regenerate Nodes (preserving state) =====
-function regenerateNodes() {
-  // Store current node states
-  const nodeStates = nodes.map((node, i) => ({
-    position: node.position.clone(),
-    alive: node.userData.alive,
-    birthTime: node.userData.birthTime,
-    deathTime: node.userData.deathTime,
-    currentOpacity: node.userData.currentOpacity,
-    targetOpacity: node.userData.targetOpacity,
-    graphIndex: node.userData.graphIndex
-  }));
-  
-  // Clear existing nodes
-  nodeGroup.clear();
-  nodes = [];
-  
-  // Recreate nodes with new style
-  graph.nodes.forEach((nodeData, index) => {
-    const state = nodeStates[index];
-    const newNode = createFloralNode(nodeData, index);
-    
-    // Restore state
-    if (state) {
-      newNode.position.copy(state.position);
-      newNode.userData.alive = state.alive;
-      newNode.userData.birthTime = state.birthTime;
-      newNode.userData.deathTime = state.deathTime;
-      newNode.userData.currentOpacity = state.currentOpacity;
-      newNode.userData.targetOpacity = state.targetOpacity;
-      newNode.userData.graphIndex = state.graphIndex;
-      
-      // Set scale based on state
-      if (!state.alive) {
-        newNode.scale.setScalar(0.4);
-      }
-    } else {
-      newNode.userData.graphIndex = index;
-      newNode.userData.alive = true;
-      newNode.userData.currentOpacity = 1;
-      newNode.userData.targetOpacity = 1;
-    }
-    
-    nodes.push(newNode);
-    nodeGroup.add(newNode);
+// ===== Network Analytics Panel =====
+// Structure of the alive subgraph, recomputed every analyticsInterval generations
+let degreeHistogram = []; // From the last analysis, redrawn when the panel is resized
+
+function setupAnalyticsPanel() {
+  const intervalSelect = document.getElementById('analyticsInterval');
+  if (!intervalSelect) return;
+
+  intervalSelect.value = CONFIG.analyticsInterval;
+  intervalSelect.addEventListener('change', (e) => {
+    CONFIG.analyticsInterval = parseInt(e.target.value);
+    updateAnalytics();
   });
-  
-  // Remove active label since node references changed
-  removeActiveLabel();
 }
 
-// ===== Create CSS2D Text Label (Fixed 16px Screen Size) =====
-function createTextLabel(connectionCount) {
-  const div = document.createElement('div');
-  div.className = 'connection-label';
-  div.innerHTML = `<span class="count">${connectionCount}</span> connections`;
-  
-  const label = new CSS2DObject(div);
-  return label;
+function updateAnalytics() {
+  const panel = document.getElementById('analyticsPanel');
+  if (!panel || !simulation) return;
+
+  const analysis = analyzeNetwork(graph, simulation);
+  degreeHistogram = analysis.degreeHistogram;
+  drawDegreeHistogram();
+
+  const sizes = analysis.componentSizes;
+  const components = document.getElementById('components');
+  components.textContent = sizes.length === 0
+    ? '0'
+    : `${sizes.length} (${sizes.slice(0, 3).join(', ')}${sizes.length > 3 ? ', …' : ''})`;
+  components.title = sizes.length > 3 ? `Sizes: ${sizes.join(', ')}` : '';
+
+  // Sampled path lengths are estimates, and the sampled diameter a lower bound
+  const estimate = analysis.pathsExact ? '' : '~';
+  document.getElementById('averageClustering').textContent = analysis.averageClustering.toFixed(3);
+  document.getElementById('averagePathLength').textContent = `${estimate}${analysis.averagePathLength.toFixed(2)}`;
+  document.getElementById('diameter').textContent = analysis.pathsExact ? analysis.diameter : `≥${analysis.diameter}`;
+  document.getElementById('assortativity').textContent = analysis.assortativity === null ? '–' : analysis.assortativity.toFixed(3);
 }
 
-// ===== Create Dotted Line =====
-function createDottedLine(start, end) {
-  const points = [start, end];
-  const geometry = new THREE.BufferGeometry().setFromPoints(points);
-  
-  const material = new THREE.LineDashedMaterial({
-    color: 0x9E9890,
-    dashSize: 3,
-    gapSize: 3,
-    transparent: true,
-    opacity: 0.6,
-    depthWrite: false
-  });
-  
-  const line = new THREE.Line(geometry, material);
-  line.computeLineDistances();
-  
-  return line;
+function drawDegreeHistogram() {
+  const canvas = document.getElementById('degreeHistogram');
+  if (canvas) drawHistogram(canvas, degreeHistogram);
 }
 
-// ===== Remove Active Label =====
-function removeActiveLabel() {
-  if (activeLabel) {
-    scene.remove(activeLabel);
-    // CSS2DObject cleanup - remove the DOM element
-    if (activeLabel.element && activeLabel.element.parentNode) {
-      activeLabel.element.parentNode.removeChild(activeLabel.element);
+// ===== Topology Panel =====
+// Any change starts a new run from the chosen seed network
+function setupTopologyPanel() {
+  const panel = document.getElementById('topologyPanel');
+  const topologySelect = document.getElementById('topology');
+  if (!panel || !topologySelect) return;
+
+  Object.entries(TOPOLOGIES).forEach(([key, topology]) => {
+    // Grid mode has its own panel; an outline is offered once one is imported
+    if (topology.gridMode || topology.imported) return;
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = topology.label;
+    topologySelect.appendChild(option);
+  });
+  topologySelect.value = CONFIG.topology.type;
+
+  // Mind map import - OPML, FreeMind/Freeplane or a Markdown outline
+  const outlineFile = document.getElementById('outlineFile');
+  document.getElementById('importOutline').addEventListener('click', () => {
+    outlineFile.click();
+  });
+  outlineFile.addEventListener('change', async () => {
+    const file = outlineFile.files[0];
+    outlineFile.value = ''; // Importing the same file again still fires change
+    if (!file) return;
+
+    const hint = document.getElementById('topologyHint');
+    try {
+      importedOutline = parseOutline(await file.text(), null, file.name);
+      hint.textContent = '';
+      hint.title = '';
+    } catch (err) {
+      hint.textContent = 'invalid';
+      hint.title = err.message;
+      return;
     }
-    activeLabel = null;
-  }
-  if (activeLabelLine) {
-    scene.remove(activeLabelLine);
-    activeLabelLine.geometry.dispose();
-    activeLabelLine.material.dispose();
-    activeLabelLine = null;
-  }
-  activeLabelTargetNode = null;
-}
 
-// ===== Update Label Position (called in animation loop) =====
-function updateLabelPosition() {
-  if (!activeLabel || !activeLabelTargetNode || !activeLabelLine) return;
-  
-  // Position label offset from node
-  const nodePos = activeLabelTargetNode.position;
-  const offset = new THREE.Vector3(40, 25, 0);
-  activeLabel.position.copy(nodePos).add(offset);
-  
-  // Update line to connect node to label
-  const lineStart = nodePos.clone();
-  const lineEnd = activeLabel.position.clone().add(new THREE.Vector3(-20, 0, 0));
-  
-  const positions = activeLabelLine.geometry.attributes.position;
-  positions.setXYZ(0, lineStart.x, lineStart.y, lineStart.z);
-  positions.setXYZ(1, lineEnd.x, lineEnd.y, lineEnd.z);
-  positions.needsUpdate = true;
-  activeLabelLine.computeLineDistances();
+    CONFIG.topology.type = 'outline';
+    syncTopologyPanel();
+    initSimulation();
+  });
+
+  topologySelect.addEventListener('change', (e) => {
+    CONFIG.topology.type = e.target.value;
+    syncTopologyPanel();
+    initSimulation();
+  });
+
+  // Generator parameters - labels follow the slider, the run restarts on release
+  panel.querySelectorAll('[data-topology-param]').forEach(input => {
+    const param = input.dataset.topologyParam;
+    input.addEventListener('input', () => {
+      CONFIG.topology[param] = readRuleInput(input);
+      updateRuleValueLabel(input);
+    });
+    input.addEventListener('change', () => {
+      initSimulation();
+    });
+  });
+
+  syncTopologyPanel();
 }
 
-// ===== Node Click Handler for 3D Label =====
-function setupNodeClickHandler() {
-  renderer.domElement.addEventListener('click', (event) => {
-    // Don't show label if we were dragging
-    if (isDragging) return;
-    
-    // Initialize audio on first click (required by browsers)
-    initAudio();
-    
-    // Calculate mouse position in normalized device coordinates
-    const rect = renderer.domElement.getBoundingClientRect();
-    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-    
-    // Update raycaster
-    raycaster.setFromCamera(mouse, camera);
-    
-    // Check for intersections with nodes
-    const intersects = raycaster.intersectObjects(nodeGroup.children, true);
-    
-    if (intersects.length > 0) {
-      // Find the parent node group
-      let clickedNode = intersects[0].object;
-      while (clickedNode.parent && clickedNode.parent !== nodeGroup) {
-        clickedNode = clickedNode.parent;
-      }
-      
-      if (clickedNode && clickedNode.userData.graphIndex !== undefined) {
-        const nodeIndex = clickedNode.userData.graphIndex;
-        const graphNode = graph.nodes[nodeIndex];
-        
-        if (graphNode && clickedNode.userData.alive) {
-          // Remove existing label
-          removeActiveLabel();
-          
-          // Count live connections
-          const liveConnections = graphNode.connections.filter(i => 
-            nodes[i] && nodes[i].userData.alive
-          ).length;
-          
-          // Create CSS2D label (fixed 16px screen size)
-          activeLabel = createTextLabel(liveConnections);
-          activeLabelTargetNode = clickedNode;
-          
-          // Position label offset from node
-          const nodePos = clickedNode.position;
-          const offset = new THREE.Vector3(40, 25, 0);
-          activeLabel.position.copy(nodePos).add(offset);
-          
-          // Create connecting line
-          const lineStart = nodePos.clone();
-          const lineEnd = activeLabel.position.clone().add(new THREE.Vector3(-20, 0, 0));
-          activeLabelLine = createDottedLine(lineStart, lineEnd);
-          
-          // Add to scene
-          scene.add(activeLabelLine);
-          scene.add(activeLabel);
-          
-          // Auto-hide after delay
-          clearTimeout(tooltipTimeout);
-          tooltipTimeout = setTimeout(() => {
-            removeActiveLabel();
-          }, 3000);
-        }
-      }
+// Show the parameters of the selected topology only
+function syncTopologyPanel() {
+  const panel = document.getElementById('topologyPanel');
+  if (!panel) return;
+
+  syncOutlineOption();
+  document.getElementById('topology').value = CONFIG.topology.type;
+
+  panel.querySelectorAll('[data-topology-types]').forEach(group => {
+    const types = group.dataset.topologyTypes.split(' ');
+    group.classList.toggle('hidden', !types.includes(CONFIG.topology.type));
+  });
+
+  panel.querySelectorAll('[data-topology-param]').forEach(input => {
+    const value = CONFIG.topology[input.dataset.topologyParam];
+    if (input.type === 'checkbox') {
+      input.checked = value;
     } else {
-      // Clicked empty space - remove label
-      removeActiveLabel();
+      input.value = value;
     }
+    updateRuleValueLabel(input);
   });
 }
 
-// ===== Node Dragging =====
-let dragTargetPos = new THREE.Vector3();
-let connectedNodeTargets = new Map();
+// The imported mind map is offered as a seed network once there is one
+function syncOutlineOption() {
+  const topologySelect = document.getElementById('topology');
+  let option = topologySelect.querySelector('option[value="outline"]');
+  if (!importedOutline) {
+    option?.remove();
+    return;
+  }
+  if (!option) {
+    option = document.createElement('option');
+    option.value = 'outline';
+    topologySelect.appendChild(option);
+  }
+  option.textContent = `${importedOutline.title || TOPOLOGIES.outline.label} (${importedOutline.topics.length} topics)`;
+}
+
+// ===== Classic Life Grid Panel =====
+// Grid mode swaps the network for a fixed Life board seeded with a pattern
+function setupGridPanel() {
+  const panel = document.getElementById('gridPanel');
+  const gridModeToggle = document.getElementById('gridMode');
+  const patternSelect = document.getElementById('gridPattern');
+  const patternFile = document.getElementById('patternFile');
+  if (!panel || !gridModeToggle) return;
+
+  addPatternOption('soup', 'Random Soup');
+  Object.entries(PATTERNS).forEach(([key, pattern]) => addPatternOption(key, pattern.label));
+
+  gridModeToggle.addEventListener('change', (e) => {
+    setGridMode(e.target.checked);
+  });
+
+  patternSelect.addEventListener('change', (e) => {
+    CONFIG.grid.pattern = e.target.value;
+    syncGridPanel();
+    initSimulation();
+  });
+
+  // Pattern files - the board grows to fit and grid mode turns on
+  document.getElementById('loadPattern').addEventListener('click', () => {
+    patternFile.click();
+  });
+  patternFile.addEventListener('change', async () => {
+    const file = patternFile.files[0];
+    patternFile.value = ''; // Loading the same file again still fires change
+    if (!file) return;
+
+    const hint = document.getElementById('gridPatternHint');
+    try {
+      customPattern = parsePattern(await file.text(), null, file.name);
+      hint.textContent = '';
+      hint.title = '';
+    } catch (err) {
+      hint.textContent = 'invalid';
+      hint.title = err.message;
+      return;
+    }
+
+    if (!customPattern.name) customPattern.name = file.name;
+    CONFIG.grid.pattern = 'custom';
+    CONFIG.grid.width = Math.max(CONFIG.grid.width, Math.min(200, customPattern.width + 16));
+    CONFIG.grid.height = Math.max(CONFIG.grid.height, Math.min(200, customPattern.height + 16));
+
+    if (CONFIG.grid.enabled) {
+      syncGridPanel();
+      initSimulation();
+      frameGrid();
+    } else {
+      setGridMode(true);
+    }
+
+    // Patterns for other B/S rules (e.g. HighLife) carry them in their header
+    if (customPattern.rule && rule.setNotation) {
+      try {
+        rule.setNotation(customPattern.rule);
+        client.setRule(rule.toJSON());
+        syncRulesPanel();
+      } catch (err) {
+        // Not a B/S rule - keep the current one
+      }
+    }
+  });
+
+  // Board parameters - labels follow the slider, the run restarts on release
+  panel.querySelectorAll('[data-grid-param]').forEach(input => {
+    const param = input.dataset.gridParam;
+    input.addEventListener('input', () => {
+      CONFIG.grid[param] = readRuleInput(input);
+      updateRuleValueLabel(input);
+    });
+    input.addEventListener('change', () => {
+      if (!CONFIG.grid.enabled) return;
+      initSimulation();
+      if (param === 'width' || param === 'height') frameGrid();
+    });
+  });
+
+  syncGridPanel();
+}
+
+function addPatternOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  document.getElementById('gridPattern').appendChild(option);
+  return option;
+}
+
+// A pattern loaded from a file is offered once there is one
+function syncCustomPatternOption() {
+  const option = document.querySelector('#gridPattern option[value="custom"]');
+  if (!customPattern) {
+    option?.remove();
+    return;
+  }
+  (option || addPatternOption('custom', '')).textContent = customPattern.name;
+}
+
+// Grid mode plays standard Life; the network's rule set returns when it is left
+function setGridMode(enabled) {
+  CONFIG.grid.enabled = enabled;
+  if (enabled) {
+    networkRulePreset = CONFIG.rulePreset;
+    applyRulePreset('life');
+  } else {
+    applyRulePreset(networkRulePreset);
+  }
+
+  syncGridPanel();
+  initSimulation();
+  if (enabled) {
+    frameGrid();
+  } else {
+    controls.target.set(0, 0, 0);
+    camera.position.set(0, 0, 400);
+  }
+}
+
+function selectedGridPattern() {
+  if (CONFIG.grid.pattern === 'soup') return null;
+  if (CONFIG.grid.pattern === 'custom') return customPattern;
+  return getBuiltinPattern(CONFIG.grid.pattern);
+}
+
+// Longest side of the board in world units
+function gridExtent() {
+  return Math.max(CONFIG.grid.width, CONFIG.grid.height) * LIFE_GRID_SPACING;
+}
+
+// Look straight at the board from far enough to see all of it
+function frameGrid() {
+  const distance = (gridExtent() / 2) / Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+  controls.target.set(0, 0, 0);
+  camera.position.set(0, 0, Math.min(controls.maxDistance, distance * 1.1));
+}
+
+// Reflect the grid settings in the panel; the seed network panel is hidden in grid mode
+function syncGridPanel() {
+  const panel = document.getElementById('gridPanel');
+  if (!panel) return;
+
+  syncCustomPatternOption();
+  document.getElementById('gridMode').checked = CONFIG.grid.enabled;
+  document.getElementById('gridPattern').value = CONFIG.grid.pattern;
+  document.getElementById('topologyPanel')?.classList.toggle('hidden', CONFIG.grid.enabled);
+
+  panel.querySelectorAll('[data-grid-option]').forEach(group => {
+    const soupOnly = group.dataset.gridSoup !== undefined;
+    group.classList.toggle('hidden', !CONFIG.grid.enabled || (soupOnly && CONFIG.grid.pattern !== 'soup'));
+  });
+
+  panel.querySelectorAll('[data-grid-param]').forEach(input => {
+    const value = CONFIG.grid[input.dataset.gridParam];
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+    updateRuleValueLabel(input);
+  });
+}
+
+// ===== Rules Panel =====
+function setupRulesPanel() {
+  const panel = document.getElementById('rulesPanel');
+  const presetSelect = document.getElementById('rulePreset');
+  const notationInput = document.getElementById('ruleNotation');
+  const notationHint = document.getElementById('ruleNotationHint');
+  if (!panel || !presetSelect) return;
+
+  Object.entries(RULE_PRESETS).forEach(([key, preset]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = preset.label;
+    presetSelect.appendChild(option);
+  });
+  presetSelect.value = CONFIG.rulePreset;
+
+  // Switch rule set - takes effect from the next generation
+  presetSelect.addEventListener('change', (e) => {
+    applyRulePreset(e.target.value);
+  });
+
+  // Birth/Survival notation - only applied once it parses
+  notationInput.addEventListener('input', (e) => {
+    if (!rule.setNotation) return;
+    try {
+      rule.setNotation(e.target.value);
+      client.setRule(rule.toJSON());
+      notationInput.classList.remove('invalid');
+      notationHint.textContent = '';
+    } catch (err) {
+      notationInput.classList.add('invalid');
+      notationHint.textContent = 'invalid';
+    }
+  });
+  notationInput.addEventListener('change', () => {
+    if (!notationInput.classList.contains('invalid') && rule.notation) {
+      notationInput.value = rule.notation;
+    }
+  });
+
+  // Rule parameters (sliders and toggles)
+  panel.querySelectorAll('[data-rule-param]').forEach(input => {
+    const param = input.dataset.ruleParam;
+    input.addEventListener(input.type === 'checkbox' ? 'change' : 'input', () => {
+      rule[param] = readRuleInput(input);
+      client.setRule(rule.toJSON());
+      updateRuleValueLabel(input);
+    });
+  });
+
+  // Newborn naming scheme - applies to nodes spawned from now on
+  const namingSelect = document.getElementById('namingScheme');
+  Object.entries(NAMING_SCHEMES).forEach(([key, scheme]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = scheme.label;
+    namingSelect.appendChild(option);
+  });
+  namingSelect.value = CONFIG.namingScheme;
+  namingSelect.addEventListener('change', (e) => {
+    CONFIG.namingScheme = e.target.value;
+    client.setParams({ namingScheme: CONFIG.namingScheme });
+  });
+
+  // Simulation-wide parameters
+  panel.querySelectorAll('[data-sim-param]').forEach(input => {
+    const param = input.dataset.simParam;
+    input.addEventListener('input', () => {
+      CONFIG[param] = parseFloat(input.value);
+      client.setParams({ [param]: CONFIG[param] });
+      updateRuleValueLabel(input);
+    });
+  });
+
+  syncRulesPanel();
+}
+
+function applyRulePreset(key) {
+  CONFIG.rulePreset = key;
+  rule = createRule(CONFIG.rulePreset);
+  client.setRule(rule.toJSON());
+  document.getElementById('rulePreset').value = key;
+  syncRulesPanel();
+}
+
+// Read a rule control, mapping the "unlimited" slider position to Infinity.
+// That position is one past the largest real value, so the lowest end (0)
+// keeps its meaning.
+function readRuleInput(input) {
+  if (input.type === 'checkbox') return input.checked;
+  const value = parseFloat(input.value);
+  if (input.dataset.unlimited !== undefined && value === parseFloat(input.dataset.unlimited)) {
+    return Infinity;
+  }
+  return value;
+}
+
+function updateRuleValueLabel(input) {
+  const valueLabel = document.getElementById(input.id + 'Value');
+  if (!valueLabel) return;
+  const value = readRuleInput(input);
+  if (value === Infinity) {
+    valueLabel.textContent = '∞';
+  } else if (parseFloat(input.step) < 1) {
+    valueLabel.textContent = value.toFixed(2);
+  } else {
+    valueLabel.textContent = value;
+  }
+}
+
+// Reflect the active rule in the panel (visible controls and their values)
+function syncRulesPanel() {
+  const panel = document.getElementById('rulesPanel');
+  if (!panel) return;
+
+  panel.querySelectorAll('[data-rule-types]').forEach(group => {
+    const types = group.dataset.ruleTypes.split(' ');
+    group.classList.toggle('hidden', !types.includes(rule.type));
+  });
+
+  const notationInput = document.getElementById('ruleNotation');
+  if (rule.notation) {
+    notationInput.value = rule.notation;
+    notationInput.classList.remove('invalid');
+    document.getElementById('ruleNotationHint').textContent = '';
+  }
+
+  panel.querySelectorAll('[data-rule-param]').forEach(input => {
+    const value = rule[input.dataset.ruleParam];
+    if (value === undefined) return;
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value === Infinity ? input.dataset.unlimited : value;
+    }
+    updateRuleValueLabel(input);
+  });
+
+  panel.querySelectorAll('[data-sim-param]').forEach(input => {
+    input.value = CONFIG[input.dataset.simParam];
+    updateRuleValueLabel(input);
+  });
+}
+
+// ===== Zoom Controls =====
+function setupZoomControls() {
+  const zoomIn = document.getElementById('zoomIn');
+  const zoomOut = document.getElementById('zoomOut');
+  
+  if (zoomIn) {
+    zoomIn.addEventListener('click', () => {
+      // Smooth animated zoom in
+      const currentDistance = camera.position.distanceTo(controls.target);
+      targetZoom = Math.max(controls.minDistance, currentDistance * 0.75);
+      zoomAnimating = true;
+    });
+  }
+  
+  if (zoomOut) {
+    zoomOut.addEventListener('click', () => {
+      // Smooth animated zoom out
+      const currentDistance = camera.position.distanceTo(controls.target);
+      targetZoom = Math.min(controls.maxDistance, currentDistance * 1.35);
+      zoomAnimating = true;
+    });
+  }
+}
+
+// Smooth zoom animation (called in animate loop)
+function updateZoom() {
+  if (!zoomAnimating || targetZoom === null) return;
+  
+  const currentDistance = camera.position.distanceTo(controls.target);
+  const diff = targetZoom - currentDistance;
+  
+  if (Math.abs(diff) < 1) {
+    zoomAnimating = false;
+    targetZoom = null;
+    return;
+  }
+  
+  // Smooth easing, along the line to the point the camera orbits
+  const step = diff * 0.08;
+  const direction = camera.position.clone().sub(controls.target).normalize();
+  const newDistance = currentDistance + step;
+  camera.position.copy(controls.target).add(direction.multiplyScalar(newDistance));
+}
+
+// Moves the orbit target to the node and the camera by the same amount, so
+// the view keeps its angle and distance
+function focusNode(id) {
+  const node = nodes.get(id);
+  if (node) focusTarget = node.position.clone();
+}
+
+// Smooth focus animation (called in animate loop)
+const focusStep = new THREE.Vector3();
+
+function updateFocus() {
+  if (!focusTarget) return;
+
+  focusStep.subVectors(focusTarget, controls.target);
+  if (focusStep.length() < 0.5) {
+    focusTarget = null;
+  }
+  focusStep.multiplyScalar(focusTarget ? 0.08 : 1);
+  controls.target.add(focusStep);
+  camera.position.add(focusStep);
+}
+
+// ===== Sidebar Toggle =====
+function setupSidebarToggle() {
+  const sidebar = document.getElementById('sidebar');
+  const toggleBtn = document.getElementById('sidebarToggle');
+  
+  if (toggleBtn && sidebar) {
+    toggleBtn.addEventListener('click', () => {
+      sidebar.classList.toggle('collapsed');
+      toggleBtn.classList.toggle('collapsed');
+    });
+  }
+}
+
+// ===== Sound Toggle =====
+function setupSoundToggle() {
+  const soundToggle = document.getElementById('soundEnabled');
+  if (soundToggle) {
+    soundToggle.addEventListener('change', (e) => {
+      soundEnabled = e.target.checked;
+      // Initialize audio context on first enable
+      if (soundEnabled) {
+        initAudio();
+      }
+    });
+  }
+}
+
+// ===== Glass Mode Toggle =====
+function setupGlassModeToggle() {
+  const glassModeToggle = document.getElementById('glassMode');
+  if (glassModeToggle) {
+    glassModeToggle.addEventListener('change', (e) => {
+      CONFIG.glassMode = e.target.checked;
+      setGlassMode(CONFIG.glassMode);
+      regenerateNodes();
+    });
+  }
+}
+
+// ===== Regenerate Nodes (preserving state) =====
+// Both styles share the texture atlas, so switching only changes each node's tile
+function regenerateNodes() {
+  nodes.forEach(node => {
+    node.userData.isGlass = CONFIG.glassMode;
+  });
+}
+
+// ===== Colour Modes =====
+// palette: every node keeps its own palette tile.
+// community: Louvain communities of the alive graph (see communities.js) get one
+// palette family each, recomputed every generation; nodes ease into their new
+// colour as communities merge and split.
+// Any COLOR_METRICS key: the metric's range over the alive nodes is spread along
+// the palette ramp, with a legend under the select.
+// Recoloured every generation; dead nodes keep their last colour.
+function updateNodeColors(immediate = false) {
+  const metric = COLOR_METRICS[CONFIG.colorMode];
+  document.getElementById('colorLegend').hidden = !metric;
+  document.getElementById('colorModeValue').textContent = '';
+
+  if (CONFIG.colorMode === 'community') {
+    updateCommunityColors(immediate);
+    return;
+  }
+  communityColors.clear();
+  if (metric) {
+    updateMetricColors(metric, immediate);
+  } else {
+    nodes.forEach(node => clearNodeColor(node));
+  }
+}
+
+function updateCommunityColors(immediate) {
+  const communities = detectCommunities(graph, simulation);
+  communityColors = colorCommunities(communities, communityColors, PALETTE_FAMILIES.length);
+  communityColors.forEach((family, id) => {
+    const node = nodes.get(id);
+    if (node) setNodeColor(node, familyColor(node, PALETTE_FAMILIES[family]), immediate);
+  });
+
+  const count = new Set(communities.values()).size;
+  document.getElementById('colorModeValue').textContent = `${count} ${count === 1 ? 'community' : 'communities'}`;
+}
+
+function updateMetricColors(metric, immediate) {
+  const values = metric.measure({ graph, simulation, nodes, now: performance.now(), neighborChanges });
+  let min = Infinity;
+  let max = -Infinity;
+  values.forEach(v => {
+    min = Math.min(min, v);
+    max = Math.max(max, v);
+  });
+
+  values.forEach((v, id) => {
+    const node = nodes.get(id);
+    if (node) setNodeColor(node, rampColor(max > min ? (v - min) / (max - min) : 0.5), immediate);
+  });
+
+  document.getElementById('colorLegendMin').textContent = values.size > 0 ? formatMetric(metric, min) : '–';
+  document.getElementById('colorLegendMax').textContent = values.size > 0 ? formatMetric(metric, max) : '–';
+}
+
+// A node's alive neighbourhood changes when one of its edges is added or
+// removed, or a neighbour dies or comes back to life
+function recordNeighborChanges(changes) {
+  const touch = (id) => neighborChanges.set(id, changes.generation);
+  changes.edgesAdded.forEach(([a, b]) => { touch(a); touch(b); });
+  changes.edgesRemoved.forEach(([a, b]) => { touch(a); touch(b); });
+  [...changes.deaths, ...changes.revivals].forEach(id => {
+    graph.getNeighbors(id).forEach(touch);
+  });
+  changes.retired.forEach(id => neighborChanges.delete(id));
+}
+
+// ===== Lineage =====
+// Selecting a node (see selectNode): its ancestors and descendants stay lit while the
+// rest of the network dims, lineage edges link parents to their children, and
+// the lineage panel lists the family by birth generation
+const LINEAGE_DIM = 0.15; // Opacity of nodes outside the selected family
+const LINEAGE_NAMES_PER_GENERATION = 12;
+
+function setupLineagePanel() {
+  const showEdgesToggle = document.getElementById('showLineageEdges');
+  showEdgesToggle.checked = CONFIG.showLineageEdges;
+  showEdgesToggle.addEventListener('change', (e) => {
+    CONFIG.showLineageEdges = e.target.checked;
+    updateLineage();
+  });
+
+  document.getElementById('clearLineage').addEventListener('click', () => selectNode(null));
+  renderLineagePanel();
+}
+
+// The family changes as descendants are born and after timeline jumps
+function updateLineage() {
+  lineageFamily = selectedNodeId !== null ? lineage.family(selectedNodeId) : null;
+  if (lineageFamily && lineageFamily.nodes.size === 0) {
+    // The node did not exist yet at this generation
+    selectedNodeId = null;
+    lineageFamily = null;
+  }
+  lineageLines.setEdges(lineageFamily && CONFIG.showLineageEdges ? lineageFamily.links : []);
+  renderLineagePanel();
+}
+
+function renderLineagePanel() {
+  const summary = document.getElementById('lineageSummary');
+  const list = document.getElementById('lineageList');
+  document.getElementById('clearLineage').disabled = !lineageFamily;
+  list.replaceChildren();
+
+  if (!lineageFamily) {
+    summary.textContent = 'Click a node to trace its family';
+    return;
+  }
+
+  let ancestors = 0;
+  let descendants = 0;
+  const generations = new Map(); // Birth generation -> ids
+  lineageFamily.nodes.forEach((steps, id) => {
+    if (steps < 0) ancestors++;
+    if (steps > 0) descendants++;
+    const born = lineage.get(id).born;
+    if (!generations.has(born)) generations.set(born, []);
+    generations.get(born).push(id);
+  });
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  summary.textContent = `${lineageName(selectedNodeId)} · ${plural(ancestors, 'ancestor')} · ${plural(descendants, 'descendant')}`;
+
+  Array.from(generations.keys()).sort((a, b) => a - b).forEach(born => {
+    const ids = generations.get(born).sort((a, b) => a - b);
+    const row = document.createElement('li');
+    const heading = document.createElement('span');
+    heading.className = 'lineage-generation';
+    heading.textContent = `Gen ${born}`;
+    const names = document.createElement('span');
+    names.className = 'lineage-names';
+
+    ids.slice(0, LINEAGE_NAMES_PER_GENERATION).forEach(id => {
+      const state = !graph.getNode(id) ? 'retired' : simulation.isAlive(id) ? 'alive' : 'dead';
+      const button = document.createElement('button');
+      button.className = `lineage-name ${state}`;
+      button.classList.toggle('selected', id === selectedNodeId);
+      button.textContent = lineageName(id);
+      button.title = state[0].toUpperCase() + state.slice(1);
+      button.addEventListener('click', () => selectNode(id));
+      names.appendChild(button);
+    });
+    if (ids.length > LINEAGE_NAMES_PER_GENERATION) {
+      const more = document.createElement('span');
+      more.className = 'lineage-more';
+      more.textContent = `+${ids.length - LINEAGE_NAMES_PER_GENERATION} more`;
+      names.appendChild(more);
+    }
+
+    row.append(heading, names);
+    list.appendChild(row);
+  });
+}
+
+// Current label while the node exists, else the one it had; unnamed nodes by id
+function lineageName(id) {
+  const label = graph.getNode(id)?.label ?? lineage.get(id)?.label;
+  return label || `#${id}`;
+}
+
+// ===== Node Inspector =====
+// The selected node's state, neighbours and degree over time, with actions
+// that edit the run. Kills, revives and pins go through the worker like any
+// other change, so they are recorded in the history and survive rewinds.
+const INSPECTOR_LINKS = 24; // Neighbours listed before "+N more"
+
+function setupInspector() {
+  document.getElementById('inspectorClose').addEventListener('click', () => selectNode(null));
+  document.getElementById('inspectorKill').addEventListener('click', () => {
+    commitEdits([{ type: 'kill', id: selectedNodeId }], `Kill ${lineageName(selectedNodeId)}`);
+  });
+  document.getElementById('inspectorRevive').addEventListener('click', () => {
+    commitEdits([{ type: 'revive', id: selectedNodeId }], `Revive ${lineageName(selectedNodeId)}`);
+  });
+  document.getElementById('inspectorPin').addEventListener('click', () => {
+    const graphNode = graph.getNode(selectedNodeId);
+    if (!graphNode) return;
+    const label = `${graphNode.fixed ? 'Unpin' : 'Pin'} ${lineageName(selectedNodeId)}`;
+    commitEdits([{ type: 'pin', id: selectedNodeId, fixed: !graphNode.fixed }], label);
+  });
+  document.getElementById('inspectorFocus').addEventListener('click', () => focusNode(selectedNodeId));
+}
+
+// Select a node (null to clear): shown in the inspector, its family traced
+function selectNode(id) {
+  selectedNodeId = id;
+  selectedDegrees = [];
+  updateLineage();
+  updateInspector();
+  requestSelectedDegrees();
+}
+
+// The recorded degree history comes from the worker; later generations and
+// edits are added here as they arrive
+async function requestSelectedDegrees() {
+  const id = selectedNodeId;
+  if (id === null) return;
+  try {
+    const points = await client.requestDegreeHistory(id);
+    if (selectedNodeId !== id) return;
+    selectedDegrees = points;
+    updateInspector();
+  } catch (err) {
+    // A new run started before the reply, or the worker could not answer; the
+    // sparkline then shows only the generations recorded from here on
+  }
+}
+
+function recordSelectedDegree() {
+  if (selectedNodeId === null || !graph.getNode(selectedNodeId)) return;
+  selectedDegrees = selectedDegrees.filter(point => point.generation < generation);
+  selectedDegrees.push({ generation, value: liveNeighbors(selectedNodeId).length });
+}
+
+function liveNeighbors(id) {
+  return graph.getNeighbors(id).filter(otherId => simulation.isAlive(otherId));
+}
+
+function updateInspector() {
+  const panel = document.getElementById('inspector');
+  panel.hidden = selectedNodeId === null;
+  if (selectedNodeId === null) return;
+
+  // Retired nodes (reached from the lineage list) only have their lineage entry
+  const id = selectedNodeId;
+  const graphNode = graph.getNode(id);
+  const paletteKey = nodes.get(id)?.userData.paletteKey;
+  const alive = Boolean(graphNode) && simulation.isAlive(id);
+  const born = graphNode ? graphNode.born : lineage.get(id)?.born ?? 0;
+
+  document.getElementById('inspectorTitle').textContent = lineageName(id);
+  document.getElementById('inspectorId').textContent = `#${id}`;
+  document.getElementById('inspectorState').textContent = !graphNode ? 'Retired' : alive ? 'Alive' : 'Dead';
+  document.getElementById('inspectorAge').textContent = graphNode ? `${generation - born} gen` : '–';
+  document.getElementById('inspectorBorn').textContent = born;
+  document.getElementById('inspectorSwatch').style.background = paletteKey ? paletteColor(paletteKey) : 'none';
+  // coralBright -> Coral Bright
+  document.getElementById('inspectorPalette').textContent = paletteKey
+    ? paletteKey.replace(/([A-Z])/g, ' $1').replace(/^./, c => c.toUpperCase())
+    : '–';
+
+  drawSparkline(document.getElementById('inspectorDegree'), selectedDegrees);
+
+  const neighbors = graphNode ? graph.getNeighbors(id) : [];
+  renderNodeLinks(document.getElementById('inspectorAlive'), neighbors.filter(otherId => simulation.isAlive(otherId)), 'alive');
+  renderNodeLinks(document.getElementById('inspectorDead'), neighbors.filter(otherId => !simulation.isAlive(otherId)), 'dead');
+
+  document.getElementById('inspectorKill').disabled = !alive;
+  document.getElementById('inspectorRevive').disabled = !graphNode || alive;
+  document.getElementById('inspectorPin').disabled = !graphNode;
+  document.getElementById('inspectorPin').textContent = graphNode?.fixed ? 'Unpin' : 'Pin';
+  document.getElementById('inspectorFocus').disabled = !graphNode;
+}
+
+// Neighbour names that select the neighbour when clicked
+function renderNodeLinks(container, ids, state) {
+  container.replaceChildren();
+  if (ids.length === 0) {
+    container.textContent = 'None';
+    return;
+  }
+
+  [...ids].sort((a, b) => a - b).slice(0, INSPECTOR_LINKS).forEach(id => {
+    const button = document.createElement('button');
+    button.className = `lineage-name ${state}`;
+    button.textContent = lineageName(id);
+    button.addEventListener('click', () => selectNode(id));
+    container.appendChild(button);
+  });
+  if (ids.length > INSPECTOR_LINKS) {
+    const more = document.createElement('span');
+    more.className = 'lineage-more';
+    more.textContent = `+${ids.length - INSPECTOR_LINKS} more`;
+    container.appendChild(more);
+  }
+}
+
+// ===== File Commands =====
+// File and Edit menu commands; the main process shows the native dialogs.
+// Not available when the page runs outside Electron.
+function setupFileCommands() {
+  const api = window.electronAPI;
+  if (!api?.onMenuCommand) return;
+
+  api.onMenuCommand(command => {
+    if (command === 'undo' || command === 'redo') handleUndoCommand(command);
+    if (command === 'save-session') saveSession();
+    if (command === 'open-session') openSession();
+    if (command.startsWith('export:')) exportNetwork(command.slice('export:'.length));
+  });
+}
+
+// ===== Session Files =====
+// File → Save/Open Session (see session.js)
+
+async function saveSession() {
+  if (!simulation) return;
+  nodeLabels.finishEditing();
+
+  // Camera first: the worker keeps running while its state is requested
+  const view = {
+    position: camera.position.toArray(),
+    target: controls.target.toArray()
+  };
+
+  try {
+    const state = await client.requestSnapshot();
+    const appearance = [];
+    nodes.forEach((node, id) => {
+      appearance.push({ id, palette: node.userData.paletteKey, size: node.userData.baseSize });
+    });
+
+    const contents = serializeSession({
+      config: CONFIG,
+      rule: rule.toJSON(),
+      networkRulePreset,
+      state,
+      nodes: appearance,
+      camera: view,
+      imports: { outline: importedOutline, pattern: customPattern },
+      lineage: lineage.toJSON()
+    });
+    await window.electronAPI.saveSession(contents, `life-${CONFIG.seed}-gen${state.simulation.generation}.json`);
+  } catch (err) {
+    window.alert(`Could not save the session: ${err.message}`);
+  }
+}
+
+async function openSession() {
+  let session;
+  try {
+    const file = await window.electronAPI.openSession();
+    if (file.canceled) return;
+    session = parseSession(file.contents);
+  } catch (err) {
+    window.alert(`Could not open the session: ${err.message}`);
+    return;
+  }
+  applySession(session);
+}
+
+// Settings first, then the saved run is resumed paused with the saved view
+function applySession(session) {
+  Object.entries(session.config).forEach(([key, value]) => {
+    if (!(key in CONFIG)) return; // Settings this version no longer has
+    const current = CONFIG[key];
+    CONFIG[key] = current && typeof current === 'object' ? { ...current, ...value } : value;
+  });
+  importedOutline = session.imports?.outline || null;
+  customPattern = session.imports?.pattern || null;
+  networkRulePreset = session.networkRulePreset || CONFIG.rulePreset;
+  rule = createRule(session.rule);
+  setGlassMode(CONFIG.glassMode);
+  controls.autoRotate = CONFIG.autoRotate;
+  syncSidebar();
+
+  nodeAppearance = new Map((session.nodes || []).map(({ id, palette, size }) => [id, { palette, size }]));
+  lineage.load(session.lineage || [], session.state.simulation.generation);
+  setPlaying(false);
+  initSimulation(session.state);
+
+  zoomAnimating = false;
+  targetZoom = null;
+  camera.position.fromArray(session.camera.position);
+  controls.target.fromArray(session.camera.target);
+  controls.update();
+}
+
+// Reflect CONFIG and the active rule in every sidebar control
+function syncSidebar() {
+  document.getElementById('seed').value = CONFIG.seed;
+  document.getElementById('nodeCount').value = CONFIG.nodeCount;
+  document.getElementById('nodeCountValue').textContent = CONFIG.nodeCount;
+  document.getElementById('speed').value = CONFIG.speed;
+  document.getElementById('speedValue').textContent = CONFIG.speed.toFixed(1) + 'x';
+  document.getElementById('connectionDistance').value = CONFIG.connectionDistance;
+  document.getElementById('connectionDistanceValue').textContent = CONFIG.connectionDistance;
+  document.getElementById('repulsion').value = CONFIG.repulsion;
+  document.getElementById('repulsionValue').textContent = CONFIG.repulsion;
+  document.getElementById('theta').value = CONFIG.theta;
+  document.getElementById('thetaValue').textContent = CONFIG.theta === 0 ? 'Exact' : CONFIG.theta.toFixed(1);
+  document.getElementById('autoRotate').checked = CONFIG.autoRotate;
+  document.getElementById('pinOnDrop').checked = CONFIG.pinOnDrop;
+  document.getElementById('showConnections').checked = CONFIG.showConnections;
+  document.getElementById('showLineageEdges').checked = CONFIG.showLineageEdges;
+  document.getElementById('glassMode').checked = CONFIG.glassMode;
+  document.getElementById('colorMode').value = CONFIG.colorMode;
+  document.getElementById('settledAction').value = CONFIG.settledAction;
+  document.getElementById('rulePreset').value = CONFIG.rulePreset;
+  document.getElementById('namingScheme').value = CONFIG.namingScheme;
+  document.getElementById('analyticsInterval').value = CONFIG.analyticsInterval;
+
+  syncTopologyPanel();
+  syncGridPanel();
+  syncRulesPanel();
+}
+
+// ===== Network Export =====
+// File → Export Network (see graph-export.js)
+async function exportNetwork(formatKey) {
+  const format = EXPORT_FORMATS[formatKey];
+  if (!format || !graph) return;
+
+  try {
+    const timeline = format.dynamic ? await client.requestTimeline() : null;
+    const contents = format.write(describeNetwork(timeline));
+    const filter = { name: format.filter, extensions: [format.extension] };
+    await window.electronAPI.exportNetwork(contents, `life-${CONFIG.seed}-gen${generation}.${format.extension}`, filter);
+  } catch (err) {
+    window.alert(`Could not export the network: ${err.message}`);
+  }
+}
+
+// The current graph with its export attributes; with a timeline, nodes that
+// have retired since are included too (dead, unconnected, where they were born)
+function describeNetwork(timeline = null) {
+  const describe = (nodeData, alive, degree) => {
+    const palette = nodes.get(nodeData.id)?.userData.paletteKey
+      || nodeAppearance.get(nodeData.id)?.palette
+      || pickPaletteKey(nodeData.id);
+    return {
+      id: nodeData.id,
+      label: nodeData.label,
+      alive,
+      born: nodeData.born ?? 0,
+      degree,
+      palette,
+      color: paletteColor(palette),
+      x: nodeData.x,
+      y: nodeData.y,
+      z: nodeData.z
+    };
+  };
+
+  const described = graph.nodes.map(node => describe(node, simulation.isAlive(node.id), node.connections.length));
+  if (timeline) {
+    timeline.nodes.forEach(node => {
+      if (!graph.getNode(node.id)) described.push(describe(node, false, 0));
+    });
+  }
+
+  return {
+    title: importedOutline?.title || `Seed ${CONFIG.seed}`,
+    generation,
+    nodes: described,
+    edges: Array.from(graph.getEdgeKeys(), key => key.split('-').map(Number)),
+    timeline
+  };
+}
+
+// ===== Node Picking =====
+// Nodes are billboards inside one instanced draw, so a ray is tested against
+// each node's disc instead of scene objects; the nearest hit wins
+const pickPoint = new THREE.Vector3();
+
+function pickNode(ray) {
+  let picked = null;
+  let pickedDistance = Infinity;
+
+  nodes.forEach(node => {
+    if (!node.visible) return;
+    const radius = getNodeSize(node) / 2;
+    const along = pickPoint.subVectors(node.position, ray.origin).dot(ray.direction);
+    if (along <= 0 || along >= pickedDistance) return;
+    if (ray.distanceSqToPoint(node.position) <= radius * radius) {
+      picked = node;
+      pickedDistance = along;
+    }
+  });
+
+  return picked;
+}
+
+// ===== Node Click Handler =====
+// Clicking a node opens it in the inspector; clicking empty space closes it
+// and clears the group selection. Cmd/Ctrl-click adds a node to the group
+// selection or takes it out. The editing tools (see setupEditTools) give
+// clicks other meanings.
+function setupNodeClickHandler() {
+  renderer.domElement.addEventListener('click', (event) => {
+    // Don't select if we were dragging
+    if (isDragging) return;
+    if (suppressClick) {
+      suppressClick = false;
+      return;
+    }
+    
+    // Initialize audio on first click (required by browsers)
+    initAudio();
+    
+    // Calculate mouse position in normalized device coordinates
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+    
+    // Check for a node under the pointer
+    raycaster.setFromCamera(mouse, camera);
+    const clickedNode = pickNode(raycaster.ray);
+    
+    const structureEditable = !simulation.fixedTopology;
+    if (structureEditable && (event.altKey || editTool === 'cut')) {
+      cutEdgeAt(raycaster.ray);
+    } else if (structureEditable && editTool === 'delete') {
+      if (clickedNode) {
+        const id = clickedNode.userData.nodeId;
+        commitEdits([{ type: 'delete', id }], `Delete ${lineageName(id)}`);
+      }
+    } else if (structureEditable && editTool === 'add' && !clickedNode) {
+      placeNodeAt(raycaster.ray);
+    } else if (clickedNode && clickedNode.userData.nodeId !== undefined && (event.metaKey || event.ctrlKey)) {
+      toggleSelected(clickedNode.userData.nodeId);
+    } else if (clickedNode && clickedNode.userData.nodeId !== undefined) {
+      selectNode(clickedNode.userData.nodeId);
+    } else {
+      selectNode(null);
+      selectNodes([]);
+    }
+  });
+}
+
+// ===== Node Label Editing =====
+// Double-click a node to name it; edits survive rewinds and resets of the same graph
+function setupLabelEditing() {
+  renderer.domElement.addEventListener('dblclick', (event) => {
+    const rect = renderer.domElement.getBoundingClientRect();
+    mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+    mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+
+    raycaster.setFromCamera(mouse, camera);
+    const node = pickNode(raycaster.ray);
+    if (!node || node.userData.nodeId === undefined) return;
+
+    const id = node.userData.nodeId;
+    const graphNode = graph.getNode(id);
+    if (!graphNode) return;
+
+    nodeLabels.edit(id, graphNode.label, (text) => {
+      const label = text || null;
+      labelEdits.set(id, label);
+      client.setLabel(id, label);
+      updateInspector();
+      renderLineagePanel();
+    });
+  });
+}
+
+// ===== Node Dragging =====
+let dragTargetPos = new THREE.Vector3();
+let connectedNodeTargets = new Map();
 
 function setupNodeDragging() {
   let wasDragging = false;
+  let dragStart = []; // Positions of the dragged node and the neighbours it pulls, for undo
   
   renderer.domElement.addEventListener('mousedown', (event) => {
     // Only handle left click
@@ -771,16 +2084,23 @@ function setupNodeDragging() {
     mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
     
     raycaster.setFromCamera(mouse, camera);
-    const intersects = raycaster.intersectObjects(nodeGroup.children, true);
+    const clickedNode = pickNode(raycaster.ray);
     
-    if (intersects.length > 0) {
-      // Find the parent node group
-      let clickedNode = intersects[0].object;
-      while (clickedNode.parent && clickedNode.parent !== nodeGroup) {
-        clickedNode = clickedNode.parent;
-      }
-      
-      if (clickedNode && clickedNode.userData.graphIndex !== undefined && clickedNode.userData.alive) {
+    // The Box and Lasso tools draw a selection, unless the drag starts on a selected node
+    const onSelection = clickedNode && selectedIds.has(clickedNode.userData.nodeId);
+    if (SELECT_TOOLS.includes(editTool) && !onSelection) {
+      startMarquee(event);
+      return;
+    }
+    
+    // Shift-drag (or any drag with the Connect tool) draws an edge instead
+    if (clickedNode && !simulation.fixedTopology && (event.shiftKey || editTool === 'connect')) {
+      startConnecting(clickedNode, raycaster.ray);
+      return;
+    }
+    
+    if (clickedNode && (editTool === 'move' || editTool === 'add' || SELECT_TOOLS.includes(editTool))) {
+      if (clickedNode.userData.nodeId !== undefined && clickedNode.userData.alive) {
         isDragging = true;
         wasDragging = false;
         draggedNode = clickedNode;
@@ -798,25 +2118,44 @@ function setupNodeDragging() {
         dragOffset.subVectors(clickedNode.position, intersection);
         dragTargetPos.copy(clickedNode.position);
         
-        // Initialize connected node targets
+        // A selected node carries the rest of the selection with it, rigidly
         connectedNodeTargets.clear();
-        const graphNode = graph.nodes[clickedNode.userData.graphIndex];
-        if (graphNode && graphNode.connections) {
-          graphNode.connections.forEach(connectedIndex => {
-            const connectedNode = nodes[connectedIndex];
+        dragGroup.clear();
+        const graphNode = graph.getNode(clickedNode.userData.nodeId);
+        if (onSelection) {
+          selectedIds.forEach(id => {
+            const node = nodes.get(id);
+            if (node && node !== clickedNode) {
+              dragGroup.set(id, node.position.clone().sub(clickedNode.position));
+            }
+          });
+        } else if (graphNode && graphNode.connections) {
+          // Any other node pulls its live neighbours along a little
+          graphNode.connections.forEach(connectedId => {
+            const connectedNode = nodes.get(connectedId);
             if (connectedNode && connectedNode.userData.alive) {
-              connectedNodeTargets.set(connectedIndex, connectedNode.position.clone());
+              connectedNodeTargets.set(connectedId, connectedNode.position.clone());
             }
           });
         }
-        
-        // Remove label while dragging
-        removeActiveLabel();
+        dragStart = nodePositions([clickedNode.userData.nodeId, ...dragGroup.keys(), ...connectedNodeTargets.keys()]);
       }
     }
   });
   
   renderer.domElement.addEventListener('mousemove', (event) => {
+    if (marquee) {
+      extendMarquee(event);
+      return;
+    }
+    if (connectFrom) {
+      const rect = renderer.domElement.getBoundingClientRect();
+      mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+      mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+      raycaster.setFromCamera(mouse, camera);
+      updateConnectPreview(raycaster.ray);
+      return;
+    }
     if (!isDragging || !draggedNode) return;
     
     wasDragging = true;
@@ -830,7 +2169,7 @@ function setupNodeDragging() {
     
     if (raycaster.ray.intersectPlane(dragPlane, intersection)) {
       const newPos = intersection.add(dragOffset);
-      const nodeIndex = draggedNode.userData.graphIndex;
+      const nodeId = draggedNode.userData.nodeId;
       
       // Calculate movement delta from original position
       const delta = new THREE.Vector3().subVectors(newPos, dragTargetPos);
@@ -839,11 +2178,11 @@ function setupNodeDragging() {
       dragTargetPos.copy(newPos);
       
       // Update connected node targets with pull effect
-      const graphNode = graph.nodes[nodeIndex];
+      const graphNode = graph.getNode(nodeId);
       if (graphNode && graphNode.connections) {
-        graphNode.connections.forEach(connectedIndex => {
-          if (connectedNodeTargets.has(connectedIndex)) {
-            const currentTarget = connectedNodeTargets.get(connectedIndex);
+        graphNode.connections.forEach(connectedId => {
+          if (connectedNodeTargets.has(connectedId)) {
+            const currentTarget = connectedNodeTargets.get(connectedId);
             currentTarget.add(delta.clone().multiplyScalar(0.25));
           }
         });
@@ -851,12 +2190,29 @@ function setupNodeDragging() {
     }
   });
   
-  const endDrag = () => {
+  const endDrag = (event) => {
+    if (marquee) {
+      finishMarquee(event.type === 'mouseup');
+    }
+    if (connectFrom) {
+      finishConnecting(event.type === 'mouseup' ? event : null);
+    }
     if (isDragging) {
+      if (wasDragging) {
+        // Pin on Drop anchors the dragged nodes (not the neighbours they pulled)
+        const id = draggedNode.userData.nodeId;
+        const pins = CONFIG.pinOnDrop
+          ? [id, ...dragGroup.keys()].filter(otherId => graph.getNode(otherId) && !graph.getNode(otherId).fixed).map(otherId => ({ type: 'pin', id: otherId, fixed: true }))
+          : [];
+        const name = dragGroup.size > 0 ? `${dragGroup.size + 1} Nodes` : lineageName(id);
+        if (pins.length > 0) client.edit(pins);
+        recordMove(`${pins.length > 0 ? 'Move and Pin' : 'Move'} ${name}`, dragStart, pins);
+      }
       isDragging = false;
       draggedNode = null;
       controls.enabled = true;
       connectedNodeTargets.clear();
+      dragGroup.clear();
       
       if (wasDragging) {
         setTimeout(() => { wasDragging = false; }, 50);
@@ -868,41 +2224,614 @@ function setupNodeDragging() {
   renderer.domElement.addEventListener('mouseleave', endDrag);
 }
 
+// ===== Editing Tools =====
+// A toolbar over the canvas picks what clicking and dragging do:
+// - Move: drag nodes, click one to inspect it
+// - Box / Lasso: drag a rectangle or a freehand outline to select the nodes
+//   inside (see Group Selection); dragging a selected node moves the selection
+// - Add: click empty space to place a new node on the plane facing the camera
+//   through the orbit target
+// - Delete: click a node to remove it with its edges
+// - Connect: drag from one node to another to link them (Shift-drag in any tool)
+// - Cut: click an edge to remove it (Alt-click in any tool)
+// Every change is an edit (see applyEdit in history.js), so it is recorded in
+// the history like the inspector's. The classic Life grid keeps its lattice:
+// only the tools that change no structure are available there.
+const EDGE_PICK_TOLERANCE = 0.012; // Edge hit distance as a share of the camera's distance
+const SELECT_TOOLS = ['box', 'lasso'];
+const STRUCTURE_TOOLS = ['add', 'delete', 'connect', 'cut'];
+
+function setupEditTools() {
+  document.querySelectorAll('[data-edit-tool]').forEach(button => {
+    button.addEventListener('click', () => setEditTool(button.dataset.editTool));
+  });
+  setEditTool(editTool);
+}
+
+function setEditTool(tool) {
+  editTool = tool;
+  document.querySelectorAll('[data-edit-tool]').forEach(button => {
+    button.classList.toggle('active', button.dataset.editTool === tool);
+  });
+  renderer.domElement.style.cursor = tool === 'move' ? '' : 'crosshair';
+}
+
+// No structure tools while the topology is fixed
+function syncEditTools() {
+  const fixed = simulation.fixedTopology;
+  document.querySelectorAll('[data-edit-tool]').forEach(button => {
+    button.disabled = fixed && STRUCTURE_TOOLS.includes(button.dataset.editTool);
+  });
+  if (fixed && STRUCTURE_TOOLS.includes(editTool)) setEditTool('move');
+  updateSelectionBar();
+}
+
+function placeNodeAt(ray) {
+  dragPlane.setFromNormalAndCoplanarPoint(camera.getWorldDirection(new THREE.Vector3()).negate(), controls.target);
+  const point = new THREE.Vector3();
+  if (!ray.intersectPlane(dragPlane, point)) return;
+  commitEdits([{ type: 'add', node: { x: point.x, y: point.y, z: point.z } }], 'Add Node');
+}
+
+function cutEdgeAt(ray) {
+  const tolerance = camera.position.distanceTo(controls.target) * EDGE_PICK_TOLERANCE;
+  const edge = connectionLines.pick(ray, tolerance);
+  if (edge) commitEdits([{ type: 'disconnect', a: edge[0], b: edge[1] }], `Cut ${lineageName(edge[0])} – ${lineageName(edge[1])}`);
+}
+
+function startConnecting(node, ray) {
+  connectFrom = node;
+  controls.enabled = false;
+  dragPlane.setFromNormalAndCoplanarPoint(camera.getWorldDirection(new THREE.Vector3()).negate(), node.position);
+  connectPreview.visible = true;
+  updateConnectPreview(ray);
+}
+
+function updateConnectPreview(ray) {
+  const end = new THREE.Vector3();
+  if (!ray.intersectPlane(dragPlane, end)) return;
+  const positions = connectPreview.geometry.attributes.position;
+  positions.setXYZ(0, connectFrom.position.x, connectFrom.position.y, connectFrom.position.z);
+  positions.setXYZ(1, end.x, end.y, end.z);
+  positions.needsUpdate = true;
+  connectPreview.computeLineDistances();
+}
+
+// Released over another node: link the two
+function finishConnecting(event) {
+  const from = connectFrom;
+  cancelConnecting();
+  if (!event) return;
+  suppressClick = true; // The mouseup is followed by a click
+
+  const rect = renderer.domElement.getBoundingClientRect();
+  mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+  mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+  raycaster.setFromCamera(mouse, camera);
+  const target = pickNode(raycaster.ray);
+  if (target && target !== from) {
+    const a = from.userData.nodeId;
+    const b = target.userData.nodeId;
+    commitEdits([{ type: 'connect', a, b }], `Connect ${lineageName(a)} – ${lineageName(b)}`);
+  }
+}
+
+function cancelConnecting() {
+  connectFrom = null;
+  connectPreview.visible = false;
+  controls.enabled = true;
+}
+
+// ===== Group Selection =====
+// The Box and Lasso tools select the nodes whose centres fall inside a screen
+// rectangle or a freehand outline (Shift or Cmd/Ctrl adds to the selection).
+// Selected nodes are ringed (see SelectionRings), move together when one of
+// them is dragged, and have a bar of group operations. Each operation is one
+// batch of edits, so it is one undoable command. Copies are kept here and
+// pasted as new nodes around the orbit target; Isolate hides every other node
+// until Show All.
+const MARQUEE_MIN_DRAG = 4; // Pixels a box must span before it selects (shorter is a click)
+const LASSO_STEP = 3; // Pixels between recorded lasso points
+const projected = new THREE.Vector3(); // Reused by nodesInOutline()
+
+function setupSelection() {
+  document.getElementById('selectionKill').addEventListener('click', () => {
+    const ids = selectedNodes().filter(id => simulation.isAlive(id));
+    commitEdits(ids.map(id => ({ type: 'kill', id })), `Kill ${groupName(ids)}`);
+  });
+  document.getElementById('selectionRevive').addEventListener('click', () => {
+    const ids = selectedNodes().filter(id => !simulation.isAlive(id));
+    commitEdits(ids.map(id => ({ type: 'revive', id })), `Revive ${groupName(ids)}`);
+  });
+  document.getElementById('selectionPin').addEventListener('click', () => {
+    const ids = selectedNodes().filter(id => !graph.getNode(id).fixed);
+    commitEdits(ids.map(id => ({ type: 'pin', id, fixed: true })), `Pin ${groupName(ids)}`);
+  });
+  document.getElementById('selectionUnpin').addEventListener('click', () => {
+    const ids = selectedNodes().filter(id => graph.getNode(id).fixed);
+    commitEdits(ids.map(id => ({ type: 'pin', id, fixed: false })), `Unpin ${groupName(ids)}`);
+  });
+  document.getElementById('selectionDelete').addEventListener('click', deleteSelection);
+  document.getElementById('selectionCopy').addEventListener('click', copySelection);
+  document.getElementById('selectionIsolate').addEventListener('click', toggleIsolation);
+  document.getElementById('selectionClear').addEventListener('click', () => selectNodes([]));
+
+  window.addEventListener('keydown', (event) => {
+    if (isTextField(event.target) || event.metaKey || event.ctrlKey || event.altKey) return;
+    if (event.key === 'Escape' && (marquee || selectedIds.size > 0)) {
+      cancelMarquee();
+      selectNodes([]);
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedIds.size > 0) {
+      deleteSelection();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
+  // Cmd/Ctrl+C and V, or Copy and Paste from the Edit menu, unless they are
+  // meant for a text field or selected page text
+  document.addEventListener('copy', (event) => {
+    if (isTextField(document.activeElement) || !window.getSelection().isCollapsed) return;
+    if (!copySelection()) return;
+    event.clipboardData.setData('text/plain', clipboard.nodes.map(node => node.label ?? `#${node.id}`).join('\n'));
+    event.preventDefault();
+  });
+  document.addEventListener('paste', (event) => {
+    if (isTextField(document.activeElement) || !clipboard) return;
+    pasteClipboard();
+    event.preventDefault();
+  });
+
+  updateSelectionBar();
+}
+
+// Replace the group selection
+function selectNodes(ids) {
+  selectedIds = new Set(ids);
+  updateSelectionBar();
+}
+
+function toggleSelected(id) {
+  if (selectedIds.has(id)) {
+    selectedIds.delete(id);
+  } else {
+    selectedIds.add(id);
+  }
+  updateSelectionBar();
+}
+
+// Selected nodes still in the graph
+function selectedNodes() {
+  return [...selectedIds].filter(id => graph.getNode(id));
+}
+
+// After a jump in the timeline, some selected nodes may not exist yet
+function pruneSelection() {
+  selectedIds = new Set(selectedNodes());
+  if (isolatedIds) {
+    isolatedIds = new Set([...isolatedIds].filter(id => graph.getNode(id)));
+  }
+  updateSelectionBar();
+}
+
+// "Ada" for one node, "5 Nodes" for more
+function groupName(ids) {
+  return ids.length === 1 ? lineageName(ids[0]) : `${ids.length} Nodes`;
+}
+
+function updateSelectionBar() {
+  if (isolatedIds?.size === 0) isolatedIds = null;
+  const bar = document.getElementById('selectionBar');
+  bar.hidden = selectedIds.size === 0 && !isolatedIds;
+  if (bar.hidden || !graph) return;
+
+  const ids = selectedNodes();
+  const alive = ids.filter(id => simulation.isAlive(id)).length;
+  const pinned = ids.filter(id => graph.getNode(id).fixed).length;
+  document.getElementById('selectionCount').textContent = `${ids.length} selected`;
+  document.getElementById('selectionKill').disabled = alive === 0;
+  document.getElementById('selectionRevive').disabled = alive === ids.length;
+  document.getElementById('selectionPin').disabled = pinned === ids.length;
+  document.getElementById('selectionUnpin').disabled = pinned === 0;
+  document.getElementById('selectionDelete').disabled = ids.length === 0 || simulation.fixedTopology;
+  document.getElementById('selectionCopy').disabled = ids.length === 0;
+  document.getElementById('selectionIsolate').disabled = !isolatedIds && ids.length === 0;
+  document.getElementById('selectionIsolate').textContent = isolatedIds ? 'Show All' : 'Isolate';
+}
+
+function deleteSelection() {
+  const ids = selectedNodes();
+  if (ids.length === 0 || simulation.fixedTopology) return;
+  commitEdits(ids.map(id => ({ type: 'delete', id })), `Delete ${groupName(ids)}`);
+}
+
+function toggleIsolation() {
+  isolatedIds = isolatedIds ? null : new Set(selectedNodes());
+  updateSelectionBar();
+}
+
+// The selected nodes relative to their centre, with their edges among
+// themselves; false when nothing is selected
+function copySelection() {
+  const ids = selectedNodes();
+  if (ids.length === 0) return false;
+
+  const centre = new THREE.Vector3();
+  ids.forEach(id => {
+    const graphNode = graph.getNode(id);
+    centre.x += graphNode.x / ids.length;
+    centre.y += graphNode.y / ids.length;
+    centre.z += graphNode.z / ids.length;
+  });
+
+  const copied = new Set(ids);
+  clipboard = {
+    nodes: ids.map(id => {
+      const graphNode = graph.getNode(id);
+      return {
+        id,
+        x: graphNode.x - centre.x,
+        y: graphNode.y - centre.y,
+        z: graphNode.z - centre.z,
+        label: graphNode.label,
+        fixed: graphNode.fixed,
+        alive: simulation.isAlive(id)
+      };
+    }),
+    edges: ids.flatMap(id => graph.getNeighbors(id).filter(otherId => otherId > id && copied.has(otherId)).map(otherId => [id, otherId]))
+  };
+  return true;
+}
+
+// New nodes laid out like the copied ones around the orbit target, connected
+// and alive or dead like them; they become the selection. Each copy has a
+// placeholder id below zero until the worker gives it one (see resolveEdit).
+function pasteClipboard() {
+  if (!clipboard || simulation.fixedTopology) return;
+  const draftIds = new Map(clipboard.nodes.map((node, i) => [node.id, -1 - i]));
+  const target = controls.target;
+  const edits = [
+    ...clipboard.nodes.map(node => ({
+      type: 'add',
+      node: { id: draftIds.get(node.id), x: target.x + node.x, y: target.y + node.y, z: target.z + node.z, label: node.label, fixed: node.fixed }
+    })),
+    ...clipboard.edges.map(([a, b]) => ({ type: 'connect', a: draftIds.get(a), b: draftIds.get(b) })),
+    ...clipboard.nodes.filter(node => !node.alive).map(node => ({ type: 'kill', id: draftIds.get(node.id) }))
+  ];
+  const label = clipboard.nodes.length === 1 ? 'Paste Node' : `Paste ${clipboard.nodes.length} Nodes`;
+  commitEdits(edits, label, { select: true });
+}
+
+// Pointer position in canvas pixels
+function canvasPoint(event) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  return [event.clientX - rect.left, event.clientY - rect.top];
+}
+
+function startMarquee(event) {
+  marquee = { tool: editTool, points: [canvasPoint(event)], extend: event.shiftKey || event.metaKey || event.ctrlKey };
+  controls.enabled = false;
+  drawMarquee();
+}
+
+// A box keeps its first corner and the pointer; a lasso records its path
+function extendMarquee(event) {
+  const point = canvasPoint(event);
+  const points = marquee.points;
+  if (marquee.tool === 'box') {
+    points[1] = point;
+  } else {
+    const last = points[points.length - 1];
+    if (Math.hypot(point[0] - last[0], point[1] - last[1]) >= LASSO_STEP) points.push(point);
+  }
+  drawMarquee();
+}
+
+// Released: select what the outline encloses. Leaving the canvas cancels.
+function finishMarquee(apply) {
+  const outline = marqueeOutline();
+  const extend = marquee.extend;
+  cancelMarquee();
+  if (!apply || !outline) return;
+  suppressClick = true; // The mouseup is followed by a click
+
+  const inside = nodesInOutline(outline);
+  selectNodes(extend ? [...selectedIds, ...inside] : inside);
+}
+
+function cancelMarquee() {
+  marquee = null;
+  controls.enabled = true;
+  drawMarquee();
+}
+
+// The marquee as a polygon in canvas pixels, or null while it is too small to
+// be anything but a click
+function marqueeOutline() {
+  const points = marquee.points;
+  if (marquee.tool === 'lasso') return points.length >= 3 ? points : null;
+  if (points.length < 2) return null;
+  const [[x0, y0], [x1, y1]] = points;
+  if (Math.abs(x1 - x0) < MARQUEE_MIN_DRAG && Math.abs(y1 - y0) < MARQUEE_MIN_DRAG) return null;
+  return [[x0, y0], [x1, y0], [x1, y1], [x0, y1]];
+}
+
+function drawMarquee() {
+  const outline = marquee && marqueeOutline();
+  document.getElementById('selectionMarquee').classList.toggle('visible', Boolean(outline));
+  document.getElementById('selectionMarqueeShape').setAttribute('points', outline ? outline.map(point => point.join(',')).join(' ') : '');
+}
+
+// Visible nodes whose centres project inside the outline
+function nodesInOutline(outline) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const inside = [];
+  nodes.forEach((node, id) => {
+    if (!node.visible) return;
+    projected.copy(node.position).project(camera);
+    if (Math.abs(projected.z) > 1) return; // Behind the camera or past the far plane
+    const x = (projected.x + 1) / 2 * rect.width;
+    const y = (1 - projected.y) / 2 * rect.height;
+    if (pointInPolygon(x, y, outline)) inside.push(id);
+  });
+  return inside;
+}
+
+// Even-odd rule, so a self-crossing lasso behaves predictably
+function pointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// ===== Undo =====
+// Edits, node moves and Connection Reach rewires are commands on the undo
+// stack. Edits are undone by their inverse edits (see invertEdits), which are
+// recorded in the history like any other; moves put the nodes back where they
+// were. The stack starts empty with every new state (a new run, an opened
+// session or a timeline jump).
+function setupUndo() {
+  document.getElementById('undoButton').addEventListener('click', undo);
+  document.getElementById('redoButton').addEventListener('click', redo);
+
+  // In Electron the Edit menu's accelerators handle Z (see setupFileCommands)
+  const menuShortcuts = Boolean(window.electronAPI?.onMenuCommand);
+  window.addEventListener('keydown', (event) => {
+    if (!(event.metaKey || event.ctrlKey) || isTextField(event.target)) return;
+    const key = event.key.toLowerCase();
+    if (key === 'y' && !event.shiftKey) {
+      redo();
+    } else if (key === 'z' && !menuShortcuts) {
+      if (event.shiftKey) redo();
+      else undo();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
+  renderUndoHistory();
+}
+
+// Fields with their own text undo
+function isTextField(element) {
+  return element instanceof HTMLElement &&
+    (element.matches('textarea, [contenteditable]') || (element.matches('input') && !['range', 'checkbox'].includes(element.type)));
+}
+
+function undo() {
+  if (undoStack.undo()) renderUndoHistory();
+}
+
+function redo() {
+  if (undoStack.redo()) renderUndoHistory();
+}
+
+// Undo/Redo from the Edit menu: a focused text field takes them itself
+function handleUndoCommand(command) {
+  if (isTextField(document.activeElement)) {
+    document.execCommand(command);
+  } else if (command === 'undo') {
+    undo();
+  } else {
+    redo();
+  }
+}
+
+// Edits the user made; once the worker has applied them they become one
+// undoable command with this label. options.select selects the added nodes.
+function commitEdits(edits, label, options = {}) {
+  if (edits.length === 0) return;
+  client.edit(edits, { command: label, ...options });
+}
+
+function editCommand(label, edits) {
+  return {
+    label,
+    undo: () => client.edit(invertEdits(edits)),
+    redo: () => client.edit(edits)
+  };
+}
+
+// The edges a slider drag rewired arrive as it goes; the command is recorded
+// when the slider is released and keeps collecting any still on their way
+function recordRewire() {
+  const gesture = rewireGesture;
+  if (!gesture?.open) return;
+  gesture.open = false;
+  gesture.to = CONFIG.connectionDistance;
+  commitRewire(gesture);
+}
+
+// Only a drag that rewired something is a command - topologies other than
+// clusters keep their edges. Edges that arrive after the release record it then.
+function commitRewire(gesture) {
+  if (gesture.open || gesture.recorded || gesture.to === gesture.from || gesture.edits.length === 0) return;
+  gesture.recorded = true;
+
+  undoStack.push({
+    label: `Connection Reach ${gesture.from} → ${gesture.to}`,
+    undo: () => {
+      setConnectionDistance(gesture.from);
+      client.edit(invertEdits(gesture.edits));
+    },
+    redo: () => {
+      setConnectionDistance(gesture.to);
+      client.edit(gesture.edits);
+    }
+  });
+  renderUndoHistory();
+}
+
+// The edges are set by the caller, so this does not rewire
+function setConnectionDistance(value) {
+  CONFIG.connectionDistance = value;
+  document.getElementById('connectionDistance').value = value;
+  document.getElementById('connectionDistanceValue').textContent = value;
+  client.setParams({ connectionDistance: value });
+}
+
+// pins are the pin edits made on the drop (see Pin on Drop), undone with the move
+function recordMove(label, from, pins = []) {
+  const to = nodePositions(from.map(position => position.id));
+  undoStack.push({
+    label,
+    undo: () => {
+      if (pins.length > 0) client.edit(invertEdits(pins));
+      moveNodesTo(from);
+    },
+    redo: () => {
+      moveNodesTo(to);
+      if (pins.length > 0) client.edit(pins);
+    }
+  });
+  renderUndoHistory();
+}
+
+function nodePositions(ids) {
+  return ids.filter(id => graph.getNode(id)).map(id => {
+    const graphNode = graph.getNode(id);
+    return { id, x: graphNode.x, y: graphNode.y, z: graphNode.z };
+  });
+}
+
+// Nodes that have since left the graph are skipped
+function moveNodesTo(positions) {
+  const moved = positions.filter(({ id }) => graph.getNode(id));
+  moved.forEach(({ id, x, y, z }) => {
+    const graphNode = graph.getNode(id);
+    graphNode.x = x;
+    graphNode.y = y;
+    graphNode.z = z;
+    nodes.get(id)?.position.set(x, y, z);
+  });
+  client.moveNodes(moved);
+}
+
+// Newest first, down to the state before the first command; undone commands
+// stay listed until a new one replaces them. Clicking one undoes or redoes to it.
+function renderUndoHistory() {
+  document.getElementById('undoButton').disabled = !undoStack.canUndo;
+  document.getElementById('redoButton').disabled = !undoStack.canRedo;
+  const list = document.getElementById('undoList');
+  list.replaceChildren();
+  document.getElementById('undoSummary').hidden = undoStack.commands.length > 0;
+  if (undoStack.commands.length === 0) return;
+
+  const entries = undoStack.commands.map((command, i) => ({ label: command.label, count: i + 1 }));
+  entries.reverse().push({ label: 'Start', count: 0 });
+  entries.forEach(({ label, count }) => {
+    const button = document.createElement('button');
+    button.className = 'undo-entry';
+    button.classList.toggle('current', count === undoStack.index);
+    button.classList.toggle('undone', count > undoStack.index);
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      undoStack.jump(count);
+      renderUndoHistory();
+    });
+    const item = document.createElement('li');
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
 // Smooth drag animation (called in animate loop)
 function updateDragAnimation() {
   if (!isDragging || !draggedNode) return;
   
-  const nodeIndex = draggedNode.userData.graphIndex;
+  const graphNode = graph.getNode(draggedNode.userData.nodeId);
+  const moved = [];
   
   // Smoothly interpolate dragged node to target
   draggedNode.position.lerp(dragTargetPos, 0.3);
-  if (graph.nodes[nodeIndex]) {
-    graph.nodes[nodeIndex].x = draggedNode.position.x;
-    graph.nodes[nodeIndex].y = draggedNode.position.y;
-    graph.nodes[nodeIndex].z = draggedNode.position.z;
+  if (graphNode) {
+    graphNode.x = draggedNode.position.x;
+    graphNode.y = draggedNode.position.y;
+    graphNode.z = draggedNode.position.z;
+    moved.push({ id: graphNode.id, x: graphNode.x, y: graphNode.y, z: graphNode.z });
   }
   
+  // The rest of a dragged selection keeps its offset (both ease at the same
+  // rate, so the group moves rigidly)
+  dragGroup.forEach((offset, id) => {
+    const groupNode = nodes.get(id);
+    const groupGraphNode = graph.getNode(id);
+    
+    if (groupNode && groupGraphNode) {
+      groupNode.position.lerp(lerpTarget.addVectors(dragTargetPos, offset), 0.3);
+      groupGraphNode.x = groupNode.position.x;
+      groupGraphNode.y = groupNode.position.y;
+      groupGraphNode.z = groupNode.position.z;
+      moved.push({ id, x: groupGraphNode.x, y: groupGraphNode.y, z: groupGraphNode.z });
+    }
+  });
+  
   // Smoothly interpolate connected nodes
-  connectedNodeTargets.forEach((targetPos, connectedIndex) => {
-    const connectedNode = nodes[connectedIndex];
-    const connectedGraphNode = graph.nodes[connectedIndex];
+  connectedNodeTargets.forEach((targetPos, connectedId) => {
+    const connectedNode = nodes.get(connectedId);
+    const connectedGraphNode = graph.getNode(connectedId);
     
     if (connectedNode && connectedGraphNode) {
       connectedNode.position.lerp(targetPos, 0.15);
       connectedGraphNode.x = connectedNode.position.x;
       connectedGraphNode.y = connectedNode.position.y;
       connectedGraphNode.z = connectedNode.position.z;
+      moved.push({ id: connectedId, x: connectedGraphNode.x, y: connectedGraphNode.y, z: connectedGraphNode.z });
     }
   });
+  
+  // The worker owns the layout - tell it where the nodes were dragged to
+  client.moveNodes(moved);
 }
 
 // ===== Initialize =====
 setupEventListeners();
+setupTopologyPanel();
+setupGridPanel();
+setupRulesPanel();
+setupTimeline();
+setupCharts();
+setupAnalyticsPanel();
+setupLineagePanel();
+setupInspector();
+setupEditTools();
+setupSelection();
+setupUndo();
 setupZoomControls();
 setupSidebarToggle();
 setupSoundToggle();
 setupGlassModeToggle();
+setupFileCommands();
 setupNodeClickHandler();
+setupLabelEditing();
 setupNodeDragging();
 initSimulation();
 animate(0);
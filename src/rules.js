@@ -0,0 +1,219 @@
+// ===== Rule Sets for Graph Automata =====
+// A rule decides, from a node's count of alive neighbours (its live degree),
+// whether an alive node survives and whether a dead site is born.
+// - LifeLikeRule: deterministic Birth/Survival notation such as B3/S23
+// - ProbabilisticRule: B/S notation where outcomes only happen with a probability
+// - RelaxedRule: the original gentle rules tuned for a stable visualization
+
+import { random } from './random.js';
+
+// ===== B/S Notation =====
+// Accepts "B3/S23", "b36/s23", "S23/B3" and the legacy "23/3" (survival/birth) form.
+export function parseRuleString(notation) {
+  const text = String(notation || '').trim().toUpperCase().replace(/\s+/g, '');
+  let birthDigits = null;
+  let survivalDigits = null;
+
+  const tagged = /^(?:B(\d*)\/S(\d*)|S(\d*)\/B(\d*))$/.exec(text);
+  const legacy = /^(\d*)\/(\d*)$/.exec(text);
+
+  if (tagged) {
+    birthDigits = tagged[1] !== undefined ? tagged[1] : tagged[4];
+    survivalDigits = tagged[2] !== undefined ? tagged[2] : tagged[3];
+  } else if (legacy) {
+    survivalDigits = legacy[1];
+    birthDigits = legacy[2];
+  } else {
+    throw new Error(`Invalid rule notation "${notation}" (expected e.g. B3/S23)`);
+  }
+
+  return {
+    birth: digitsToSet(birthDigits),
+    survival: digitsToSet(survivalDigits)
+  };
+}
+
+export function formatRuleString(birth, survival) {
+  const sorted = set => Array.from(set).sort((a, b) => a - b).join('');
+  return `B${sorted(birth)}/S${sorted(survival)}`;
+}
+
+function digitsToSet(digits) {
+  return new Set(digits.split('').map(d => parseInt(d, 10)));
+}
+
+// ===== Base Rule =====
+// Per-step limits live on the rule so that a preset fully describes the
+// behaviour. Infinity means "no limit".
+class BaseRule {
+  constructor(options = {}) {
+    this.maxDeathsPerStep = options.maxDeathsPerStep ?? Infinity;
+    this.maxBirthsPerStep = options.maxBirthsPerStep ?? Infinity;
+    this.revivesDead = options.revivesDead ?? true; // Dead nodes can be born again in place
+    this.spawnsNodes = options.spawnsNodes ?? true; // New nodes can appear near active clusters
+  }
+
+  // Smallest neighbour count that could ever lead to a birth
+  get minBirthNeighbors() {
+    return Infinity;
+  }
+
+  survives(aliveNeighbors) {
+    return true;
+  }
+
+  // Deterministic part of the birth condition
+  canBeBorn(aliveNeighbors) {
+    return false;
+  }
+
+  born(aliveNeighbors) {
+    return this.canBeBorn(aliveNeighbors);
+  }
+
+  toJSON() {
+    return {
+      type: this.type,
+      maxDeathsPerStep: this.maxDeathsPerStep,
+      maxBirthsPerStep: this.maxBirthsPerStep,
+      revivesDead: this.revivesDead,
+      spawnsNodes: this.spawnsNodes
+    };
+  }
+}
+
+// ===== Life-like Rule (deterministic B/S) =====
+export class LifeLikeRule extends BaseRule {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'life-like';
+    this.setNotation(options.notation || 'B3/S23');
+  }
+
+  setNotation(notation) {
+    const { birth, survival } = parseRuleString(notation);
+    this.birth = birth;
+    this.survival = survival;
+    this.notation = formatRuleString(birth, survival);
+  }
+
+  get minBirthNeighbors() {
+    return this.birth.size > 0 ? Math.min(...this.birth) : Infinity;
+  }
+
+  survives(aliveNeighbors) {
+    return this.survival.has(aliveNeighbors);
+  }
+
+  canBeBorn(aliveNeighbors) {
+    return this.birth.has(aliveNeighbors);
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), notation: this.notation };
+  }
+}
+
+// ===== Probabilistic Rule =====
+// Nodes outside S die only with deathProbability; births matching B only
+// happen with birthProbability.
+export class ProbabilisticRule extends LifeLikeRule {
+  constructor(options = {}) {
+    super(options);
+    this.type = 'probabilistic';
+    this.birthProbability = options.birthProbability ?? 0.5;
+    this.deathProbability = options.deathProbability ?? 0.5;
+  }
+
+  survives(aliveNeighbors) {
+    return this.survival.has(aliveNeighbors) || random() >= this.deathProbability;
+  }
+
+  born(aliveNeighbors) {
+    return this.canBeBorn(aliveNeighbors) && random() < this.birthProbability;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      birthProbability: this.birthProbability,
+      deathProbability: this.deathProbability
+    };
+  }
+}
+
+// ===== Relaxed Rule (original behaviour) =====
+// - Only nodes below minConnections can die, and only with deathProbability
+// - Hub nodes never die, there is no overcrowding
+// - Spawn sites with at least birthThreshold neighbours are born with birthProbability
+export class RelaxedRule extends BaseRule {
+  constructor(options = {}) {
+    super({ revivesDead: false, maxDeathsPerStep: 2, maxBirthsPerStep: 3, ...options });
+    this.type = 'relaxed';
+    this.minConnections = options.minConnections ?? 1;
+    this.deathProbability = options.deathProbability ?? 0.1;
+    this.birthThreshold = options.birthThreshold ?? 2;
+    this.birthProbability = options.birthProbability ?? 0.4;
+  }
+
+  get minBirthNeighbors() {
+    return this.birthThreshold;
+  }
+
+  survives(aliveNeighbors) {
+    return !(aliveNeighbors < this.minConnections && random() < this.deathProbability);
+  }
+
+  canBeBorn(aliveNeighbors) {
+    return aliveNeighbors >= this.birthThreshold;
+  }
+
+  born(aliveNeighbors) {
+    return this.canBeBorn(aliveNeighbors) && random() < this.birthProbability;
+  }
+
+  toJSON() {
+    return {
+      ...super.toJSON(),
+      minConnections: this.minConnections,
+      deathProbability: this.deathProbability,
+      birthThreshold: this.birthThreshold,
+      birthProbability: this.birthProbability
+    };
+  }
+}
+
+// ===== Presets =====
+export const RULE_PRESETS = {
+  relaxed: { label: 'Relaxed (original)', type: 'relaxed' },
+  conway: { label: 'Conway B3/S23', type: 'life-like', notation: 'B3/S23', maxBirthsPerStep: 6 },
+  highlife: { label: 'HighLife B36/S23', type: 'life-like', notation: 'B36/S23', maxBirthsPerStep: 6 },
+  seeds: { label: 'Seeds B2/S', type: 'life-like', notation: 'B2/S', maxBirthsPerStep: 6 },
+  stochastic: { label: 'Stochastic B3/S23', type: 'probabilistic', notation: 'B3/S23', maxBirthsPerStep: 6 },
+  life: { label: 'Standard Life B3/S23 (no caps)', type: 'life-like', notation: 'B3/S23', spawnsNodes: false }
+};
+
+const RULE_TYPES = {
+  'life-like': LifeLikeRule,
+  'probabilistic': ProbabilisticRule,
+  'relaxed': RelaxedRule
+};
+
+// Build a rule from a preset name or a serialized rule ({ type, ...options })
+export function createRule(spec = 'relaxed') {
+  const options = typeof spec === 'string' ? RULE_PRESETS[spec] : spec;
+  if (!options) {
+    throw new Error(`Unknown rule preset "${spec}"`);
+  }
+
+  const RuleClass = RULE_TYPES[options.type];
+  if (!RuleClass) {
+    throw new Error(`Unknown rule type "${options.type}"`);
+  }
+
+  const rule = new RuleClass(options);
+  if (typeof spec === 'string') {
+    rule.preset = spec;
+  }
+  return rule;
+}
@@ -0,0 +1,101 @@
+// ===== Selection Rings =====
+// A ring around every node in the group selection, drawn over the nodes as
+// instanced billboards (see InstancedBillboards). The ring does not use the node
+// atlas: it is a dark line inside a light halo, so it reads the same on soft
+// and glass tiles and over the background.
+
+import * as THREE from 'three';
+import { getNodeSize } from './node-factory.js';
+import { InstancedBillboards } from './instanced-billboards.js';
+
+const RING_COLOR = new THREE.Color(0x214175);
+const RING_RADIUS = 0.78; // Share of the billboard's half-width - the edge of the visible disc
+const RING_WIDTH = 0.07;
+const HALO_WIDTH = 0.06; // Light band on each side of the ring
+
+const vertexShader = /* glsl */ `
+  attribute vec3 instanceOffset;
+  attribute float instanceSize;
+  attribute float instanceOpacity;
+
+  varying vec2 vUv;
+  varying float vOpacity;
+
+  void main() {
+    vUv = uv;
+    vOpacity = instanceOpacity;
+
+    // Billboard, as in NodeInstances
+    vec4 mvPosition = modelViewMatrix * vec4(instanceOffset, 1.0);
+    mvPosition.xy += position.xy * instanceSize;
+    gl_Position = projectionMatrix * mvPosition;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform vec3 color;
+  uniform float radius;
+  uniform float width;
+  uniform float halo;
+
+  varying vec2 vUv;
+  varying float vOpacity;
+
+  void main() {
+    float r = length(vUv - 0.5) * 2.0;
+    float d = abs(r - radius);
+    float aa = fwidth(r);
+    float line = 1.0 - smoothstep(width * 0.5 - aa, width * 0.5 + aa, d);
+    float glow = 1.0 - smoothstep(width * 0.5 + halo - aa, width * 0.5 + halo + aa, d);
+
+    gl_FragColor = vec4(mix(vec3(1.0), color, line), max(line, glow * 0.8) * vOpacity);
+    if (gl_FragColor.a < 0.004) discard;
+
+    #include <colorspace_fragment>
+  }
+`;
+
+export class SelectionRings extends InstancedBillboards {
+  constructor(capacity = 64) {
+    const material = new THREE.ShaderMaterial({
+      uniforms: {
+        color: { value: RING_COLOR },
+        radius: { value: RING_RADIUS },
+        width: { value: RING_WIDTH },
+        halo: { value: HALO_WIDTH }
+      },
+      vertexShader,
+      fragmentShader,
+      transparent: true,
+      depthWrite: false,
+      depthTest: false
+    });
+
+    super(material, { instanceOffset: 3, instanceSize: 1, instanceOpacity: 1 }, capacity);
+    this.mesh.renderOrder = 2; // Over the nodes
+  }
+
+  // Ring every visible node among ids, fading with the node
+  update(nodes, ids) {
+    this.reserve(ids.size);
+
+    const geometry = this.mesh.geometry;
+    const offsets = geometry.getAttribute('instanceOffset');
+    const sizes = geometry.getAttribute('instanceSize');
+    const opacities = geometry.getAttribute('instanceOpacity');
+    let count = 0;
+
+    ids.forEach(id => {
+      const node = nodes.get(id);
+      if (!node || !node.visible) return;
+      offsets.array[count * 3] = node.position.x;
+      offsets.array[count * 3 + 1] = node.position.y;
+      offsets.array[count * 3 + 2] = node.position.z;
+      sizes.array[count] = getNodeSize(node);
+      opacities.array[count] = node.userData.currentOpacity ?? 1;
+      count++;
+    });
+
+    this.commit(count);
+  }
+}
@@ -0,0 +1,62 @@
+// ===== Session Files =====
+// A session holds everything needed to reopen a run exactly where it was saved:
+// - the worker's graph (positions, velocities, connections, labels), the alive
+//   set, generation and the position of the seeded random stream
+// - the full CONFIG and the active rule
+// - each node's palette and size, and the camera and its orbit target
+// Files are versioned JSON; a file from a newer version is refused rather than
+// half-loaded.
+
+export const SESSION_FORMAT = 'game-of-life-mapper-session';
+export const SESSION_VERSION = 1;
+
+// JSON has no Infinity (rule limits use it for "no limit")
+const INFINITY_TAG = '$number';
+
+export function serializeSession(contents) {
+  const session = {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    ...contents
+  };
+  return JSON.stringify(session, (key, value) => {
+    if (value === Infinity || value === -Infinity) {
+      return { [INFINITY_TAG]: String(value) };
+    }
+    return value;
+  }, 2);
+}
+
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text, (key, value) => {
+      if (value && typeof value === 'object' && typeof value[INFINITY_TAG] === 'string') {
+        return Number(value[INFINITY_TAG]);
+      }
+      return value;
+    });
+  } catch (err) {
+    throw new Error(`Session is not valid JSON (${err.message})`);
+  }
+
+  if (!session || session.format !== SESSION_FORMAT) {
+    throw new Error('Not a Game of Life session file');
+  }
+  if (!Number.isInteger(session.version) || session.version < 1) {
+    throw new Error(`Invalid session version "${session.version}"`);
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`Session version ${session.version} is newer than this app supports (${SESSION_VERSION})`);
+  }
+
+  const { state, config, rule, camera } = session;
+  if (!state || !Array.isArray(state.graph?.nodes) || !Array.isArray(state.simulation?.alive)) {
+    throw new Error('Session is missing its graph or simulation state');
+  }
+  if (!config || !rule || !camera) {
+    throw new Error('Session is missing its settings, rule or camera');
+  }
+  return session;
+}
@@ -0,0 +1,200 @@
+// ===== Simulation Client =====
+// Main-thread side of the simulation worker. Keeps a mirror of the worker's
+// graph and simulation state (topology, alive set, positions) for rendering and
+// picking, and forwards control changes to the worker.
+
+import { ForceDirectedGraph } from './graph-layout.js';
+import { GameOfLifeSimulation } from './simulation.js';
+import { applyRecord, applyEdit } from './history.js';
+
+export class SimulationClient {
+  constructor(handlers = {}) {
+    this.handlers = handlers; // onState, onGeneration, onEdits, onPositions, onError
+    this.runId = 0;
+    this.graph = null;
+    this.simulation = null;
+    this.simulationOptions = {};
+    this.historyRange = { first: 0, last: 0 };
+    this.requests = new Map(); // Request id -> { resolve, reject, runId }
+    this.nextRequestId = 0;
+
+    this.worker = new Worker(new URL('./simulation-worker.js', import.meta.url), { type: 'module' });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fail(new Error(event.message || 'The simulation worker failed'));
+    };
+  }
+
+  // Start a new run; messages from earlier runs are ignored from here on.
+  // options.resume (a snapshot from requestSnapshot) continues a saved run instead.
+  init(options) {
+    this.runId++;
+    this.simulationOptions = {
+      maxNodes: options.maxNodes,
+      maxBirthConnections: options.maxBirthConnections,
+      spawnRadius: options.spawnRadius,
+      retireAfterGenerations: options.retireAfterGenerations,
+      fixedTopology: Boolean(options.grid)
+    };
+    this.post({ type: 'init', runId: this.runId, options });
+  }
+
+  setRunning(running) {
+    this.post({ type: 'setRunning', running });
+  }
+
+  // Physics, clock or simulation parameters
+  setParams(params) {
+    Object.entries(params).forEach(([key, value]) => {
+      if (key in this.simulationOptions) {
+        this.simulationOptions[key] = value;
+        if (this.simulation) this.simulation[key] = value;
+      }
+    });
+    this.post({ type: 'setParams', params });
+  }
+
+  setRule(ruleData) {
+    this.post({ type: 'setRule', rule: ruleData });
+  }
+
+  // The rewired edges come back as edits (see edit) with the given origin
+  recalculateConnections(origin = null) {
+    this.post({ type: 'recalculateConnections', origin });
+  }
+
+  step() {
+    this.post({ type: 'step' });
+  }
+
+  restore(generation) {
+    this.post({ type: 'restore', generation });
+  }
+
+  // A label typed on this thread; the mirror changes at once
+  setLabel(id, label) {
+    const node = this.graph && this.graph.getNode(id);
+    if (node) node.label = label;
+    this.post({ type: 'setLabel', id, label });
+  }
+
+  // Kill, revive, pin, add or delete nodes and connect or cut edges (see
+  // applyEdit); the mirror follows once the worker has applied them, in order
+  // with the generations around them. origin comes back with the applied edits.
+  edit(edits, origin = null) {
+    if (edits.length > 0) {
+      this.post({ type: 'edit', edits, origin });
+    }
+  }
+
+  // The worker's full state for a saved session
+  requestSnapshot() {
+    return this.request('snapshot');
+  }
+
+  // Node and edge lifetimes for a dynamic export (see GenerationHistory.timeline)
+  requestTimeline() {
+    return this.request('timeline');
+  }
+
+  // One node's live degree over the recorded generations
+  requestDegreeHistory(id) {
+    return this.request('degreeHistory', { id });
+  }
+
+  // Ask the worker for data; rejects if a new run starts before the reply
+  request(type, data = {}) {
+    const requestId = ++this.nextRequestId;
+    return new Promise((resolve, reject) => {
+      this.requests.set(requestId, { resolve, reject, runId: this.runId });
+      this.post({ ...data, type, requestId });
+    });
+  }
+
+  // Positions set on this thread (dragging), as [{ id, x, y, z }]
+  moveNodes(updates) {
+    if (updates.length > 0) {
+      this.post({ type: 'moveNodes', updates });
+    }
+  }
+
+  post(message) {
+    this.worker.postMessage(message);
+  }
+
+  handleMessage(message) {
+    if (message.type === 'reply') {
+      this.resolveRequest(message);
+      return;
+    }
+    if (message.type === 'error') {
+      this.handlers.onError?.(new Error(message.message));
+      return;
+    }
+    if (message.runId !== this.runId) return;
+
+    switch (message.type) {
+      case 'state':
+        this.graph = new ForceDirectedGraph({ snapshot: message.graph });
+        this.simulation = new GameOfLifeSimulation(this.graph, this.simulationOptions);
+        this.simulation.loadSnapshot(message.simulation);
+        this.simulation.cycle = message.simulation.cycle;
+        this.historyRange = message.history;
+        this.handlers.onState?.();
+        break;
+
+      case 'generation':
+        if (!this.graph) return;
+        applyRecord(message.record, this.graph, this.simulation);
+        this.simulation.cycle = message.cycle;
+        this.historyRange = message.history;
+        this.handlers.onGeneration?.(message.record);
+        break;
+
+      case 'edits':
+        if (!this.graph) return;
+        message.edits.forEach(edit => applyEdit(edit, this.graph, this.simulation));
+        this.historyRange = message.history;
+        this.handlers.onEdits?.(message.edits, message.origin);
+        break;
+
+      case 'positions':
+        if (!this.graph) return;
+        this.applyPositions(message.ids, message.positions);
+        this.handlers.onPositions?.();
+        break;
+    }
+  }
+
+  resolveRequest(message) {
+    const request = this.requests.get(message.requestId);
+    if (!request) return;
+    this.requests.delete(message.requestId);
+    if (message.runId !== request.runId || request.runId !== this.runId) {
+      request.reject(new Error('The run was restarted before the worker replied'));
+    } else if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  // The worker hit an uncaught error: no reply is coming for the open requests
+  fail(error) {
+    this.requests.forEach(request => request.reject(error));
+    this.requests.clear();
+    this.handlers.onError?.(error);
+  }
+
+  applyPositions(ids, positions) {
+    for (let i = 0; i < ids.length; i++) {
+      const node = this.graph.getNode(ids[i]);
+      if (node) {
+        node.x = positions[i * 3];
+        node.y = positions[i * 3 + 1];
+        node.z = positions[i * 3 + 2];
+      }
+    }
+  }
+}
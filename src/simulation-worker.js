@@ -0,0 +1,366 @@
+// ===== Simulation Worker =====
+// Runs the force layout, the Game of Life and its history off the main thread.
+// Physics ticks on a fixed clock that does not depend on the display frame rate,
+// and generations fall on tick boundaries so a seeded run always evolves the same.
+// Positions go back to the renderer as transferable typed arrays; every other
+// change is sent as the generation's history record, or as the user's edits.
+
+import { ForceDirectedGraph } from './graph-layout.js';
+import { GameOfLifeSimulation } from './simulation.js';
+import { GenerationHistory, applyEdit } from './history.js';
+import { createRule } from './rules.js';
+import { setSeed, getRandomState, setRandomState } from './random.js';
+import { placePattern, randomSoup } from './patterns.js';
+
+const PHYSICS_STEP = 1000 / 60;
+const SIMULATION_PARAMS = ['maxNodes', 'maxBirthConnections', 'spawnRadius', 'retireAfterGenerations', 'namingScheme'];
+const LAYOUT_PARAMS = ['theta'];
+
+// ===== State =====
+let graph = null;
+let simulation = null;
+let runId = 0;
+let running = false;
+let labelEdits = new Map(); // Node id -> label typed in the renderer, kept through rewinds
+const history = new GenerationHistory({ keyframeInterval: 10, maxGenerations: 2000, maxKeyframeBytes: 128 * 1024 * 1024 });
+const params = {
+  repulsion: 50,
+  connectionDistance: 120,
+  speed: 2,
+  simulationInterval: 2000
+};
+
+// ===== Fixed-Step Clock =====
+let lastLoopTime = null;
+let physicsAccumulator = 0;
+let ticksSinceGeneration = 0;
+
+function loop() {
+  const now = performance.now();
+  const elapsed = lastLoopTime === null ? 0 : now - lastLoopTime;
+  lastLoopTime = now;
+
+  if (graph && running) {
+    // Capped catch-up after a long stall
+    physicsAccumulator += Math.min(elapsed, 250);
+    const ticksPerGeneration = Math.max(1, Math.round(params.simulationInterval / params.speed / PHYSICS_STEP));
+    let ticked = false;
+
+    while (physicsAccumulator >= PHYSICS_STEP) {
+      physicsAccumulator -= PHYSICS_STEP;
+      graph.update(params.repulsion, params.connectionDistance);
+      ticked = true;
+
+      ticksSinceGeneration++;
+      if (ticksSinceGeneration >= ticksPerGeneration) {
+        ticksSinceGeneration = 0;
+        stepGeneration();
+      }
+    }
+
+    if (ticked) {
+      postPositions();
+    }
+  }
+
+  setTimeout(loop, PHYSICS_STEP);
+}
+
+function stepGeneration() {
+  const changes = simulation.step();
+  applyLabelEdits(changes.births);
+  const record = history.record(graph, simulation, changes);
+  post({ type: 'generation', record, cycle: simulation.cycle, history: historyRange() });
+}
+
+// ===== Messages to the Renderer =====
+function post(message, transfer) {
+  self.postMessage({ ...message, runId }, transfer || []);
+}
+
+function postState() {
+  post({
+    type: 'state',
+    graph: graph.toSnapshot(),
+    simulation: { ...simulation.toSnapshot(), cycle: simulation.cycle },
+    history: historyRange()
+  });
+}
+
+function postPositions() {
+  const ids = new Int32Array(graph.nodes.length);
+  const positions = new Float32Array(graph.nodes.length * 3);
+  graph.nodes.forEach((node, i) => {
+    ids[i] = node.id;
+    positions[i * 3] = node.x;
+    positions[i * 3 + 1] = node.y;
+    positions[i * 3 + 2] = node.z;
+  });
+  post({ type: 'positions', ids, positions }, [ids.buffer, positions.buffer]);
+}
+
+// Answer to a request from the renderer (see SimulationClient.request); a
+// failed request is answered with the error's message instead of a result
+function reply(requestId, result) {
+  post({ type: 'reply', requestId, result });
+}
+
+function replyError(requestId, message) {
+  post({ type: 'reply', requestId, error: message });
+}
+
+function historyRange() {
+  return { first: history.firstGeneration, last: history.lastGeneration };
+}
+
+// History keyframes hold the labels of their time; edits made since win
+function applyLabelEdits(nodes = graph.nodes) {
+  nodes.forEach(node => {
+    if (labelEdits.has(node.id)) {
+      node.label = labelEdits.get(node.id);
+    }
+  });
+}
+
+// The renderer places a new node by position only and deletes one by id; the
+// worker fills in what it alone knows (the new id and birth generation, the
+// node being removed) so the recorded edit replays exactly and can be undone.
+// A node added back by an undo keeps the id and data it had. Ids below zero
+// stand for nodes added earlier in the same batch (pasted copies and their
+// edges); drafts maps them to the ids they were given.
+function resolveEdit(edit, drafts) {
+  const resolve = id => drafts.get(id) ?? id;
+  switch (edit.type) {
+    case 'add': {
+      const draft = edit.node.id < 0 ? edit.node.id : null;
+      const id = draft === null ? edit.node.id ?? graph.nextId : graph.nextId;
+      if (draft !== null) drafts.set(draft, id);
+      return { ...edit, node: { label: null, born: simulation.generation, parents: [], ...edit.node, id } };
+    }
+    case 'delete': {
+      const id = resolve(edit.id);
+      const node = graph.getNode(id);
+      if (!node) return { ...edit, id };
+      const { vx, vy, vz, connections, ...nodeData } = node;
+      return {
+        ...edit,
+        id,
+        connections: [...connections],
+        node: { ...nodeData, parents: [...nodeData.parents] },
+        alive: simulation.isAlive(id)
+      };
+    }
+    case 'connect':
+    case 'disconnect':
+      return { ...edit, a: resolve(edit.a), b: resolve(edit.b) };
+    default:
+      return { ...edit, id: resolve(edit.id) };
+  }
+}
+
+function postEdits(edits, origin) {
+  if (edits.length === 0) return;
+  history.amend(edits, graph, simulation);
+  post({ type: 'edits', edits, origin, history: historyRange() });
+}
+
+// ===== Messages from the Renderer =====
+const handlers = {
+  // options.resume (from a saved session) continues a run instead of starting one
+  init({ options }) {
+    setSeed(options.seed);
+
+    // Grid mode: a fixed Life board instead of a force-directed network
+    const grid = options.grid;
+    const resume = options.resume;
+    graph = new ForceDirectedGraph({
+      nodeCount: grid ? grid.width * grid.height : options.nodeCount,
+      connectionDistance: options.connectionDistance,
+      repulsion: options.repulsion,
+      theta: options.theta,
+      bounds: options.bounds,
+      topology: grid ? { type: 'lifeGrid', ...grid } : options.topology,
+      frozen: Boolean(grid),
+      snapshot: resume ? resume.graph : null
+    });
+    simulation = new GameOfLifeSimulation(graph, {
+      rule: createRule(options.rule),
+      maxNodes: options.maxNodes,
+      maxBirthConnections: options.maxBirthConnections,
+      spawnRadius: options.spawnRadius,
+      retireAfterGenerations: options.retireAfterGenerations,
+      namingScheme: options.namingScheme,
+      fixedTopology: Boolean(grid)
+    });
+    if (resume) {
+      simulation.loadSnapshot(resume.simulation);
+      setRandomState(resume.randomState);
+    } else if (grid) {
+      simulation.setAliveNodes(grid.pattern
+        ? placePattern(grid.pattern, grid.width, grid.height)
+        : randomSoup(grid.width, grid.height, grid.density));
+    }
+    labelEdits = new Map(options.labels || []);
+    applyLabelEdits();
+    history.reset(graph, simulation);
+
+    params.repulsion = options.repulsion;
+    params.connectionDistance = options.connectionDistance;
+    params.speed = options.speed;
+    params.simulationInterval = options.simulationInterval;
+    running = options.running;
+    physicsAccumulator = 0;
+    ticksSinceGeneration = resume ? resume.ticksSinceGeneration : 0;
+
+    postState();
+  },
+
+  // Everything a saved session needs to resume this run exactly
+  snapshot({ requestId }) {
+    if (!graph) {
+      replyError(requestId, 'No run has started yet');
+      return;
+    }
+    reply(requestId, {
+      graph: graph.toSnapshot(),
+      simulation: simulation.toSnapshot(),
+      randomState: getRandomState(),
+      ticksSinceGeneration,
+      labels: Array.from(labelEdits)
+    });
+  },
+
+  // Node and edge lifetimes over the recorded generations, up to the current one
+  timeline({ requestId }) {
+    if (!simulation) {
+      replyError(requestId, 'No run has started yet');
+      return;
+    }
+    const timeline = history.timeline(simulation.generation);
+    applyLabelEdits(timeline.nodes);
+    reply(requestId, timeline);
+  },
+
+  // Live degree of one node over the recorded generations (the node inspector)
+  degreeHistory({ requestId, id }) {
+    if (!simulation) {
+      replyError(requestId, 'No run has started yet');
+      return;
+    }
+    reply(requestId, history.degreeHistory(id, simulation.generation));
+  },
+
+  // User edits (see applyEdit) become part of the current generation; the
+  // renderer applies them to its mirror when they come back, with the origin
+  // it sent them with. Edits that change nothing are dropped.
+  edit({ edits, origin }) {
+    if (!simulation) return;
+    const applied = [];
+    const drafts = new Map();
+    edits.forEach(edit => {
+      const resolved = resolveEdit(edit, drafts);
+      if (applyEdit(resolved, graph, simulation)) applied.push(resolved);
+    });
+    postEdits(applied, origin);
+  },
+
+  setRunning({ running: value }) {
+    running = value;
+  },
+
+  setParams({ params: values }) {
+    Object.entries(values).forEach(([key, value]) => {
+      if (SIMULATION_PARAMS.includes(key)) {
+        if (simulation) simulation[key] = value;
+      } else if (LAYOUT_PARAMS.includes(key)) {
+        if (graph) graph[key] = value;
+      } else {
+        params[key] = value;
+      }
+    });
+  },
+
+  setRule({ rule }) {
+    if (simulation) simulation.setRule(createRule(rule));
+  },
+
+  // Rewire every edge for the current connection distance. The rewiring is
+  // recorded as the edges it connected and cut, like the user's edits.
+  recalculateConnections({ origin }) {
+    if (!graph) return;
+    // Only the proximity clusters are wired by distance; generated topologies keep their edges
+    if (graph.topology.type !== 'clusters') return;
+    const before = graph.getEdgeKeys();
+    graph.connectionDistance = params.connectionDistance;
+    graph.recalculateConnections();
+    const after = graph.getEdgeKeys();
+
+    const edits = [];
+    const edgeEdit = (type, key) => {
+      const [a, b] = key.split('-').map(Number);
+      edits.push({ type, a, b });
+    };
+    before.forEach(key => !after.has(key) && edgeEdit('disconnect', key));
+    after.forEach(key => !before.has(key) && edgeEdit('connect', key));
+    postEdits(edits, origin);
+  },
+
+  // Advance exactly one generation (used while paused)
+  step() {
+    if (!simulation) return;
+    stepGeneration();
+    postPositions();
+  },
+
+  restore({ generation }) {
+    if (!simulation) return;
+    history.restore(generation, graph, simulation);
+    applyLabelEdits();
+    ticksSinceGeneration = 0;
+    postState();
+  },
+
+  setLabel({ id, label }) {
+    labelEdits.set(id, label);
+    const node = graph && graph.getNode(id);
+    if (node) node.label = label;
+  },
+
+  // Positions set by the renderer (dragging) - velocities are cleared
+  moveNodes({ updates }) {
+    if (!graph) return;
+    updates.forEach(({ id, x, y, z }) => {
+      const node = graph.getNode(id);
+      if (node) {
+        node.x = x;
+        node.y = y;
+        node.z = z;
+        node.vx = 0;
+        node.vy = 0;
+        node.vz = 0;
+      }
+    });
+  }
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+  if (message.type === 'init') {
+    runId = message.runId;
+  }
+  const handler = handlers[message.type];
+  if (!handler) return;
+
+  // A request must always be answered, or its promise never settles
+  try {
+    handler(message);
+  } catch (err) {
+    if (message.requestId !== undefined) {
+      replyError(message.requestId, err.message);
+    } else {
+      post({ type: 'error', message: err.message });
+    }
+  }
+};
+
+loop();
@@ -1,85 +1,207 @@
 // ===== Conway's Game of Life for Networks =====
-// Rules adapted for graph connections (relaxed for visual appeal):
-// - Hub nodes (many connections) are stable and survive
-// - Isolated nodes (0-1 connections) slowly fade
-// - New nodes spawn near active clusters
-// - Focus on growth and organic evolution rather than death
+// A node's neighbourhood is its set of graph connections. Each generation the
+// active rule set (see rules.js) decides from a node's count of alive neighbours:
+// - Whether an alive node survives
+// - Whether a dead node is born again in place
+// - Whether a new node spawns near an active cluster
+// All decisions are made against the previous generation, then applied at once.
+// After each generation the alive set and topology are hashed, so a return to an
+// earlier state is detected as a still life (period 1) or an oscillator.
+// Spawned nodes are named from their parents' labels (see naming.js).
+// With fixedTopology (the classic Life grid) nodes are never spawned or retired,
+// so with a B/S rule and no per-step caps a generation is exactly standard Life.
+
+import { createRule } from './rules.js';
+import { random } from './random.js';
+import { SpatialGrid } from './spatial.js';
+import { nameNewborn } from './naming.js';
 
 export class GameOfLifeSimulation {
-  constructor(graph) {
+  constructor(graph, options = {}) {
     this.graph = graph;
-    this.aliveNodes = new Set();
+    this.aliveNodes = new Set(); // Ids of alive nodes
+    this.deathGenerations = new Map(); // Id of each dead node -> generation it died in
     this.generation = 0;
     
     // Initialize all nodes as alive
-    for (let i = 0; i < this.graph.nodes.length; i++) {
-      this.aliveNodes.add(i);
-    }
+    this.graph.nodes.forEach(node => {
+      this.aliveNodes.add(node.id);
+    });
+    
+    // Rule set - defaults to the relaxed rules for a stable visualization
+    this.rule = options.rule || createRule('relaxed');
+    
+    // Configuration shared by every rule set
+    this.maxNodes = options.maxNodes || 250; // Maximum total nodes
+    this.maxBirthConnections = options.maxBirthConnections || 4; // Initial connections of a spawned node
+    this.spawnRadius = options.spawnRadius || 100; // Reach of a spawn site's neighbourhood
+    this.retireAfterGenerations = options.retireAfterGenerations ?? 3; // Dead nodes leave the graph after this long
+    this.fixedTopology = options.fixedTopology ?? false; // No spawning or retiring (grid mode)
+    this.namingScheme = options.namingScheme || 'blend'; // How spawned nodes are named (see naming.js)
     
-    // Configuration - much more relaxed rules for stable visualization
-    this.minConnections = 1;  // Only truly isolated nodes can die
-    this.deathProbability = 0.1; // Low chance of death even when isolated
-    this.birthThreshold = 2;  // Connections needed for birth
-    this.birthProbability = 0.4; // Higher chance of birth
-    this.maxNodes = 250; // Maximum total nodes
-    this.maxDeathsPerStep = 2; // Limit deaths per generation
+    // Steady-state detection
+    this.cycleWindow = options.cycleWindow || 500; // Generations of state hashes kept
+    this.stateHashes = new Map(); // State hash -> last generation it was seen in
+    this.cycle = null; // { period, start } while the run repeats itself
+    this.detectCycle();
+  }
+
+  setRule(rule) {
+    this.rule = rule;
   }
 
   step() {
+    const rule = this.rule;
     const deaths = [];
+    const revivals = [];
     const births = [];
     
-    // Evaluate each alive node - much gentler rules
-    this.aliveNodes.forEach(index => {
-      const node = this.graph.nodes[index];
-      if (!node) return;
-      
-      // Count alive neighbors
-      const aliveNeighbors = this.countAliveNeighbors(index);
-      
-      // Only isolated nodes (0 connections) have a chance to die
-      // Hub nodes with many connections NEVER die
-      if (aliveNeighbors < this.minConnections && Math.random() < this.deathProbability) {
-        deaths.push(index);
+    // Retire nodes that have been dead long enough - they stop taking up space
+    const retired = this.collectRetiredNodes();
+    
+    // Evaluate each alive node against the survival rule
+    this.aliveNodes.forEach(id => {
+      const aliveNeighbors = this.countAliveNeighbors(id);
+      if (!rule.survives(aliveNeighbors)) {
+        deaths.push(id);
       }
-      // Nodes with connections always survive - no overcrowding death
     });
     
-    // Find potential birth locations
-    if (this.graph.nodes.length < this.maxNodes) {
-      const birthCandidates = this.findBirthCandidates();
+    // Dead nodes are born again where they are
+    if (rule.revivesDead) {
+      this.deathGenerations.forEach((generation, id) => {
+        if (rule.born(this.countAliveNeighbors(id))) {
+          revivals.push(id);
+        }
+      });
+    }
+    
+    // Find potential birth locations for brand new nodes
+    if (rule.spawnsNodes && !this.fixedTopology && this.graph.nodes.length < this.maxNodes) {
+      // Limit birth sites per generation to prevent explosion
+      const capacity = Math.min(rule.maxBirthsPerStep, this.maxNodes - this.graph.nodes.length);
+      const birthCandidates = this.findBirthCandidates().slice(0, capacity);
       
       birthCandidates.forEach(candidate => {
-        if (Math.random() < this.birthProbability) {
+        if (rule.born(candidate.neighborCount)) {
           births.push(candidate);
         }
       });
     }
     
     // Limit deaths per step to prevent mass extinction
-    const limitedDeaths = deaths.slice(0, this.maxDeathsPerStep);
+    const limitedDeaths = deaths.slice(0, rule.maxDeathsPerStep);
+    
+    this.generation++;
     
     // Apply changes
-    limitedDeaths.forEach(index => {
-      this.aliveNodes.delete(index);
+    limitedDeaths.forEach(id => {
+      this.killNode(id);
     });
     
-    births.forEach(birthData => {
-      this.aliveNodes.add(this.graph.nodes.length); // Will be added at this index
+    revivals.forEach(id => {
+      this.reviveNode(id);
     });
     
-    this.generation++;
+    // Newborn nodes join the graph with their own ids, named after their parents
+    const bornNodes = births.map(birthData => {
+      const parentLabels = birthData.connections.map(id => this.graph.getNode(id)?.label);
+      const node = this.graph.addNode({ ...birthData, parents: birthData.connections });
+      node.label = nameNewborn(this.namingScheme, parentLabels, node.id);
+      node.born = this.generation;
+      this.aliveNodes.add(node.id);
+      return node;
+    });
+    
+    this.detectCycle();
+    
+    return { deaths: limitedDeaths, revivals, births: bornNodes, retired, cycle: this.cycle };
+  }
+
+  // A state seen before means the run has entered a cycle; period 1 is a fixed point
+  detectCycle() {
+    const hash = this.hashState();
+    const seenAt = this.stateHashes.get(hash);
+    
+    if (seenAt === undefined) {
+      this.cycle = null;
+    } else {
+      const period = this.generation - seenAt;
+      if (!this.cycle || this.cycle.period !== period) {
+        this.cycle = { period, start: seenAt };
+      }
+    }
+    
+    this.stateHashes.set(hash, this.generation);
+    
+    // Forget states older than the window
+    if (this.stateHashes.size > this.cycleWindow) {
+      const oldest = this.generation - this.cycleWindow;
+      this.stateHashes.forEach((generation, key) => {
+        if (generation < oldest) {
+          this.stateHashes.delete(key);
+        }
+      });
+    }
+    
+    return this.cycle;
+  }
+
+  // 64-bit hash (two 32-bit lanes) of the sorted alive ids and edge list
+  hashState() {
+    const alive = Array.from(this.aliveNodes).sort((a, b) => a - b);
+    const edges = [];
+    this.graph.nodes.forEach(node => {
+      node.connections.forEach(otherId => {
+        if (otherId > node.id) edges.push([node.id, otherId]);
+      });
+    });
+    edges.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    
+    let h1 = 0x811C9DC5;
+    let h2 = 0x9E3779B9;
+    const mix = value => {
+      h1 = Math.imul(h1 ^ value, 0x01000193);
+      h2 = Math.imul(h2 ^ value, 0x5BD1E995);
+      h2 ^= h2 >>> 15;
+    };
+    
+    alive.forEach(mix);
+    mix(-1); // Separator between the alive set and the edges
+    edges.forEach(([a, b]) => {
+      mix(a);
+      mix(b);
+    });
     
-    return { deaths: limitedDeaths, births };
+    return `${(h1 >>> 0).toString(16)}${(h2 >>> 0).toString(16)}`;
   }
 
-  countAliveNeighbors(index) {
-    const node = this.graph.nodes[index];
+  // Remove nodes dead for retireAfterGenerations from the graph, returning their ids
+  collectRetiredNodes() {
+    const retired = [];
+    if (this.fixedTopology) return retired;
+    
+    this.deathGenerations.forEach((generation, id) => {
+      if (this.generation - generation >= this.retireAfterGenerations) {
+        retired.push(id);
+      }
+    });
+    
+    retired.forEach(id => {
+      this.deathGenerations.delete(id);
+      this.graph.removeNode(id);
+    });
+    
+    return retired;
+  }
+
+  countAliveNeighbors(id) {
+    const node = this.graph.getNode(id);
     if (!node) return 0;
     
     let count = 0;
-    node.connections.forEach(neighborIndex => {
-      if (this.aliveNodes.has(neighborIndex)) {
+    node.connections.forEach(neighborId => {
+      if (this.aliveNodes.has(neighborId)) {
         count++;
       }
     });
@@ -90,18 +212,21 @@ export class GameOfLifeSimulation {
   findBirthCandidates() {
     const candidates = [];
     const checkedPositions = new Set();
+    const minBirthNeighbors = this.rule.minBirthNeighbors;
+    
+    if (!Number.isFinite(minBirthNeighbors)) return candidates;
+    
+    // Positions don't change while candidates are gathered, so index them once
+    const aliveIndex = this.indexAliveNodes(this.spawnRadius);
     
     // Look for areas with high activity (many alive neighbors)
-    this.aliveNodes.forEach(index => {
-      const node = this.graph.nodes[index];
-      if (!node) return;
-      
-      const aliveNeighbors = this.countAliveNeighbors(index);
+    this.aliveNodes.forEach(id => {
+      const aliveNeighbors = this.countAliveNeighbors(id);
       
       // If this node has many alive neighbors, consider spawning nearby
-      if (aliveNeighbors >= this.birthThreshold - 1) {
+      if (aliveNeighbors >= minBirthNeighbors - 1) {
         // Calculate spawn position
-        const spawnPos = this.calculateSpawnPosition(index);
+        const spawnPos = this.calculateSpawnPosition(id);
         
         if (spawnPos) {
           const posKey = `${Math.round(spawnPos.x/10)},${Math.round(spawnPos.y/10)},${Math.round(spawnPos.z/10)}`;
@@ -110,14 +235,15 @@ export class GameOfLifeSimulation {
             checkedPositions.add(posKey);
             
             // Find potential connections for new node
-            const potentialConnections = this.findNearbyAliveNodes(spawnPos);
+            const potentialConnections = this.findNearbyAliveNodes(spawnPos, this.spawnRadius, aliveIndex);
             
-            if (potentialConnections.length >= this.birthThreshold) {
+            if (this.rule.canBeBorn(potentialConnections.length)) {
               candidates.push({
                 x: spawnPos.x,
                 y: spawnPos.y,
                 z: spawnPos.z,
-                connections: potentialConnections.slice(0, 4) // Limit initial connections
+                neighborCount: potentialConnections.length,
+                connections: potentialConnections.slice(0, this.maxBirthConnections) // Limit initial connections
               });
             }
           }
@@ -125,23 +251,22 @@ export class GameOfLifeSimulation {
       }
     });
     
-    // Limit births per generation to prevent explosion
-    return candidates.slice(0, 3);
+    return candidates;
   }
 
-  calculateSpawnPosition(nearIndex) {
-    const node = this.graph.nodes[nearIndex];
+  calculateSpawnPosition(nearId) {
+    const node = this.graph.getNode(nearId);
     if (!node) return null;
     
     // Get alive neighbors
-    const aliveNeighborIndices = node.connections.filter(i => this.aliveNodes.has(i));
+    const aliveNeighborIds = node.connections.filter(id => this.aliveNodes.has(id));
     
-    if (aliveNeighborIndices.length < 2) return null;
+    if (aliveNeighborIds.length < 2) return null;
     
     // Calculate centroid of alive neighbors
     let cx = 0, cy = 0, cz = 0;
-    aliveNeighborIndices.forEach(i => {
-      const n = this.graph.nodes[i];
+    aliveNeighborIds.forEach(id => {
+      const n = this.graph.getNode(id);
       if (n) {
         cx += n.x;
         cy += n.y;
@@ -149,69 +274,123 @@ export class GameOfLifeSimulation {
       }
     });
     
-    const count = aliveNeighborIndices.length;
+    const count = aliveNeighborIds.length;
     cx /= count;
     cy /= count;
     cz /= count;
     
     // Offset from centroid
-    const offsetAngle = Math.random() * Math.PI * 2;
-    const offsetDist = 30 + Math.random() * 40;
+    const offsetAngle = random() * Math.PI * 2;
+    const offsetDist = 30 + random() * 40;
     
     return {
       x: cx + Math.cos(offsetAngle) * offsetDist,
       y: cy + Math.sin(offsetAngle) * offsetDist,
-      z: cz + (Math.random() - 0.5) * 20
+      z: cz + (random() - 0.5) * 20
     };
   }
 
-  findNearbyAliveNodes(position, maxDist = 100) {
+  // Grid of alive node positions for radius queries
+  indexAliveNodes(cellSize = this.spawnRadius) {
+    const aliveList = [];
+    this.aliveNodes.forEach(id => {
+      const node = this.graph.getNode(id);
+      if (node) aliveList.push(node);
+    });
+    
+    const grid = new SpatialGrid(cellSize);
+    grid.build(aliveList);
+    return grid;
+  }
+
+  findNearbyAliveNodes(position, maxDist = 100, aliveIndex = this.indexAliveNodes(maxDist)) {
     const nearby = [];
     
-    this.aliveNodes.forEach(index => {
-      const node = this.graph.nodes[index];
-      if (!node) return;
-      
-      const dist = Math.sqrt(
-        Math.pow(node.x - position.x, 2) +
-        Math.pow(node.y - position.y, 2) +
-        Math.pow(node.z - position.z, 2)
-      );
-      
-      if (dist < maxDist) {
-        nearby.push({ index, dist });
-      }
+    aliveIndex.queryRadius(position.x, position.y, position.z, maxDist, (index, dist) => {
+      nearby.push({ id: aliveIndex.items[index].id, dist });
     });
     
-    // Sort by distance and return indices
-    nearby.sort((a, b) => a.dist - b.dist);
-    return nearby.map(n => n.index);
+    // Sort by distance (ties by id, independent of grid order) and return ids
+    nearby.sort((a, b) => a.dist - b.dist || a.id - b.id);
+    return nearby.map(n => n.id);
   }
 
-  isAlive(index) {
-    return this.aliveNodes.has(index);
+  isAlive(id) {
+    return this.aliveNodes.has(id);
   }
 
   getAliveCount() {
     return this.aliveNodes.size;
   }
 
-  reviveNode(index) {
-    if (this.graph.nodes[index]) {
-      this.aliveNodes.add(index);
+  reviveNode(id) {
+    if (this.graph.getNode(id)) {
+      this.aliveNodes.add(id);
+      this.deathGenerations.delete(id);
+    }
+  }
+
+  killNode(id) {
+    if (this.aliveNodes.delete(id)) {
+      this.deathGenerations.set(id, this.generation);
     }
   }
 
-  killNode(index) {
-    this.aliveNodes.delete(index);
+  // A node placed by the user (with the id it was given) joins the graph alive
+  placeNode(nodeData) {
+    const node = this.graph.insertNode({ ...nodeData, connections: [] });
+    this.aliveNodes.add(node.id);
+    this.deathGenerations.delete(node.id);
+    return node;
+  }
+
+  // Remove a node and its edges outright, as if it had retired
+  deleteNode(id) {
+    this.graph.removeNode(id);
+    this.aliveNodes.delete(id);
+    this.deathGenerations.delete(id);
+  }
+
+  // Make exactly these nodes alive; every other node becomes a dead cell that can be born
+  setAliveNodes(ids) {
+    this.aliveNodes = new Set(ids.filter(id => this.graph.getNode(id)));
+    this.deathGenerations.clear();
+    this.graph.nodes.forEach(node => {
+      if (!this.aliveNodes.has(node.id)) {
+        this.deathGenerations.set(node.id, this.generation);
+      }
+    });
+    this.resetCycleDetection();
+  }
+
+  toSnapshot() {
+    return {
+      generation: this.generation,
+      alive: Array.from(this.aliveNodes),
+      deathGenerations: Array.from(this.deathGenerations)
+    };
+  }
+
+  loadSnapshot(snapshot) {
+    this.generation = snapshot.generation;
+    this.aliveNodes = new Set(snapshot.alive);
+    this.deathGenerations = new Map(snapshot.deathGenerations);
+    this.resetCycleDetection();
+  }
+
+  resetCycleDetection() {
+    this.stateHashes.clear();
+    this.cycle = null;
+    this.detectCycle();
   }
 
   reset() {
     this.aliveNodes.clear();
-    for (let i = 0; i < this.graph.nodes.length; i++) {
-      this.aliveNodes.add(i);
-    }
+    this.deathGenerations.clear();
+    this.graph.nodes.forEach(node => {
+      this.aliveNodes.add(node.id);
+    });
     this.generation = 0;
+    this.resetCycleDetection();
   }
 }
-
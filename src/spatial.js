@@ -0,0 +1,261 @@
+// ===== Spatial Indexes =====
+// - Octree: Barnes–Hut approximation of all-pairs repulsion in O(n log n)
+// - SpatialGrid: uniform grid hash for "everything within r" queries
+
+// ===== Barnes–Hut Octree =====
+// A cell far enough away (size / distance < theta) acts as a single body at its
+// centre of mass. theta = 0 visits every body exactly; larger is faster and rougher.
+const MAX_LEAF_BODIES = 4;
+const MIN_CELL_SIZE = 0.5;
+
+function createCell(cx, cy, cz, half) {
+  return {
+    cx, cy, cz, half,
+    count: 0,
+    mx: 0, my: 0, mz: 0, // Centre of mass (a sum of positions until finalize)
+    bodies: [],
+    children: null
+  };
+}
+
+export class Octree {
+  constructor(theta = 1) {
+    this.theta = theta;
+    this.root = null;
+    this.stack = [];
+  }
+
+  // Bodies are objects with x, y, z
+  build(bodies) {
+    if (bodies.length === 0) {
+      this.root = null;
+      return;
+    }
+
+    let minX = Infinity, minY = Infinity, minZ = Infinity;
+    let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+    for (let i = 0; i < bodies.length; i++) {
+      const body = bodies[i];
+      if (body.x < minX) minX = body.x;
+      if (body.y < minY) minY = body.y;
+      if (body.z < minZ) minZ = body.z;
+      if (body.x > maxX) maxX = body.x;
+      if (body.y > maxY) maxY = body.y;
+      if (body.z > maxZ) maxZ = body.z;
+    }
+
+    const half = Math.max(maxX - minX, maxY - minY, maxZ - minZ) / 2 + 1;
+    this.root = createCell((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2, half);
+    for (let i = 0; i < bodies.length; i++) {
+      this.insert(this.root, bodies[i]);
+    }
+    this.finalize(this.root);
+  }
+
+  insert(cell, body) {
+    cell.count++;
+    cell.mx += body.x;
+    cell.my += body.y;
+    cell.mz += body.z;
+
+    if (!cell.children) {
+      cell.bodies.push(body);
+      if (cell.bodies.length <= MAX_LEAF_BODIES || cell.half < MIN_CELL_SIZE) return;
+
+      // Split the leaf and push its bodies down
+      const half = cell.half / 2;
+      cell.children = [];
+      for (let i = 0; i < 8; i++) {
+        cell.children.push(createCell(
+          cell.cx + (i & 1 ? half : -half),
+          cell.cy + (i & 2 ? half : -half),
+          cell.cz + (i & 4 ? half : -half),
+          half
+        ));
+      }
+      const bodies = cell.bodies;
+      cell.bodies = [];
+      bodies.forEach(b => this.insert(this.childFor(cell, b), b));
+      return;
+    }
+
+    this.insert(this.childFor(cell, body), body);
+  }
+
+  childFor(cell, body) {
+    const index = (body.x >= cell.cx ? 1 : 0) | (body.y >= cell.cy ? 2 : 0) | (body.z >= cell.cz ? 4 : 0);
+    return cell.children[index];
+  }
+
+  // Turn position sums into centres of mass and drop empty children
+  finalize(cell) {
+    cell.mx /= cell.count;
+    cell.my /= cell.count;
+    cell.mz /= cell.count;
+    if (cell.children) {
+      cell.children = cell.children.filter(child => child.count > 0);
+      cell.children.forEach(child => this.finalize(child));
+    }
+  }
+
+  // Sum of inverse-square pushes on body from every other body, written to out
+  accumulateForce(body, strength, out) {
+    out.x = 0;
+    out.y = 0;
+    out.z = 0;
+    if (!this.root) return out;
+
+    // Iterative walk - recursion is measurably slower with thousands of bodies
+    const stack = this.stack;
+    let top = 0;
+    stack[top++] = this.root;
+
+    while (top > 0) {
+      const cell = stack[--top];
+
+      if (!cell.children) {
+        const bodies = cell.bodies;
+        for (let i = 0; i < bodies.length; i++) {
+          if (bodies[i] !== body) {
+            addPush(body, bodies[i].x, bodies[i].y, bodies[i].z, strength, out);
+          }
+        }
+        continue;
+      }
+
+      const dx = body.x - cell.mx;
+      const dy = body.y - cell.my;
+      const dz = body.z - cell.mz;
+      const size = cell.half * 2;
+
+      // Far away: treat the whole cell as one body (never a cell containing this body)
+      if (size * size < this.theta * this.theta * (dx * dx + dy * dy + dz * dz) && !contains(cell, body)) {
+        addPush(body, cell.mx, cell.my, cell.mz, strength * cell.count, out);
+        continue;
+      }
+
+      const children = cell.children;
+      for (let i = 0; i < children.length; i++) {
+        stack[top++] = children[i];
+      }
+    }
+
+    return out;
+  }
+}
+
+function contains(cell, body) {
+  return Math.abs(body.x - cell.cx) <= cell.half &&
+    Math.abs(body.y - cell.cy) <= cell.half &&
+    Math.abs(body.z - cell.cz) <= cell.half;
+}
+
+// Coulomb's law-like push away from a point
+function addPush(body, x, y, z, strength, out) {
+  const dx = body.x - x;
+  const dy = body.y - y;
+  const dz = body.z - z;
+
+  let dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+  if (dist < 1) dist = 1;
+
+  const force = strength / (dist * dist);
+  out.x += (dx / dist) * force;
+  out.y += (dy / dist) * force;
+  out.z += (dz / dist) * force;
+}
+
+// ===== Uniform Grid =====
+// Items are bucketed by cell; a radius query only looks at the overlapping cells.
+export class SpatialGrid {
+  constructor(cellSize = 100) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+    this.items = [];
+  }
+
+  // Items are objects with x, y, z; queries report their index in this array
+  build(items) {
+    this.items = items;
+    this.cells.clear();
+    items.forEach((item, index) => {
+      const key = this.keyFor(
+        Math.floor(item.x / this.cellSize),
+        Math.floor(item.y / this.cellSize),
+        Math.floor(item.z / this.cellSize)
+      );
+      let cell = this.cells.get(key);
+      if (!cell) {
+        cell = [];
+        this.cells.set(key, cell);
+      }
+      cell.push(index);
+    });
+  }
+
+  keyFor(ix, iy, iz) {
+    return `${ix},${iy},${iz}`;
+  }
+
+  // Calls callback(index, dist) for every item strictly closer than radius
+  queryRadius(x, y, z, radius, callback) {
+    const size = this.cellSize;
+    const minX = Math.floor((x - radius) / size), maxX = Math.floor((x + radius) / size);
+    const minY = Math.floor((y - radius) / size), maxY = Math.floor((y + radius) / size);
+    const minZ = Math.floor((z - radius) / size), maxZ = Math.floor((z + radius) / size);
+
+    for (let ix = minX; ix <= maxX; ix++) {
+      for (let iy = minY; iy <= maxY; iy++) {
+        for (let iz = minZ; iz <= maxZ; iz++) {
+          const cell = this.cells.get(this.keyFor(ix, iy, iz));
+          if (!cell) continue;
+
+          cell.forEach(index => {
+            const item = this.items[index];
+            const dx = item.x - x;
+            const dy = item.y - y;
+            const dz = item.z - z;
+            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+            if (dist < radius) {
+              callback(index, dist);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  // Index of the closest item other than excludeIndex, or -1
+  nearest(x, y, z, excludeIndex = -1) {
+    if (this.items.length < 2) return -1;
+
+    // Grow the search radius until something is found inside it, as long as
+    // the cube of cells it covers is smaller than scanning every item
+    let radius = this.cellSize;
+    while ((2 * Math.ceil(radius / this.cellSize) + 1) ** 3 <= this.items.length) {
+      let best = -1;
+      let bestDist = Infinity;
+      this.queryRadius(x, y, z, radius, (index, dist) => {
+        if (index !== excludeIndex && (dist < bestDist || (dist === bestDist && index < best))) {
+          best = index;
+          bestDist = dist;
+        }
+      });
+      if (best >= 0) return best;
+      radius *= 2;
+    }
+
+    // Fall back to a full scan for far-flung items
+    let best = -1;
+    let bestDist = Infinity;
+    this.items.forEach((item, index) => {
+      if (index === excludeIndex) return;
+      const dist = Math.hypot(item.x - x, item.y - y, item.z - z);
+      if (dist < bestDist) {
+        best = index;
+        bestDist = dist;
+      }
+    });
+    return best;
+  }
+}
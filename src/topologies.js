@@ -0,0 +1,396 @@
+// ===== Seed Topologies =====
+// Generators for the graph a run starts from. Each returns initial positions
+// and an undirected edge list (as pairs of node indices); the force layout
+// then relaxes the positions. All randomness comes from the shared seeded PRNG.
+// - clusters: the original 3-5 proximity clusters (built by ForceDirectedGraph)
+// - wattsStrogatz: ring lattice with randomly rewired edges (small world)
+// - barabasiAlbert: preferential attachment (scale free)
+// - erdosRenyi: every pair linked with the same probability
+// - randomGeometric: random points linked within a radius
+// - ringLattice: each node linked to its nearest neighbours around a ring
+// - lattice: 2D or 3D grid, optionally wrapped around (periodic)
+// - completeBipartite: every node of a small set linked to every other node
+// - lifeGrid: the classic Life board - Moore neighbourhoods, optionally toroidal
+//   (used by grid mode, not offered as a seed network)
+// - outline: an imported mind map (see outlines.js) - one labelled node per topic,
+//   linked to its parent topic
+
+import { random } from './random.js';
+import { SpatialGrid } from './spatial.js';
+
+export const TOPOLOGIES = {
+  clusters: { label: 'Proximity Clusters (original)' },
+  wattsStrogatz: { label: 'Watts–Strogatz Small World', generate: wattsStrogatz },
+  barabasiAlbert: { label: 'Barabási–Albert Scale-Free', generate: barabasiAlbert },
+  erdosRenyi: { label: 'Erdős–Rényi Random', generate: erdosRenyi },
+  randomGeometric: { label: 'Random Geometric', generate: randomGeometric },
+  ringLattice: { label: 'Ring Lattice', generate: ringLattice },
+  lattice: { label: 'Grid Lattice', generate: lattice },
+  completeBipartite: { label: 'Complete Bipartite', generate: completeBipartite },
+  lifeGrid: { label: 'Life Grid', generate: lifeGrid, gridMode: true },
+  outline: { label: 'Imported Outline', generate: outlineTree, imported: true }
+};
+
+// Parameters shared by every topology spec; each generator reads the ones it uses
+export const TOPOLOGY_DEFAULTS = {
+  neighbors: 4, // Ring and small-world: links per node (even)
+  rewire: 0.1, // Small-world: chance each ring link is rewired
+  attach: 2, // Scale-free: links made by each new node
+  meanDegree: 4, // Random: expected links per node
+  radius: 70, // Geometric: link distance
+  dimensions: 2, // Lattice: 2 or 3
+  periodic: false, // Lattice: wrap the edges around
+  leftSize: 4, // Bipartite: nodes in the smaller set
+  pinRoots: false // Outline: pin the top-level topics as anchors
+};
+
+export const LIFE_GRID_SPACING = 30; // Distance between neighbouring Life grid cells
+
+// Build a topology from a spec ({ type, ...parameters })
+// context: { bounds, spacing } - layout extent and the ideal edge length
+// Generators may also return labels and fixed (pinned) flags, one per node
+export function generateTopology(spec, nodeCount, context) {
+  const topology = TOPOLOGIES[spec.type];
+  if (!topology || !topology.generate) {
+    throw new Error(`Unknown topology "${spec.type}"`);
+  }
+  return topology.generate(nodeCount, { ...TOPOLOGY_DEFAULTS, ...spec }, context);
+}
+
+// ===== Generators =====
+function ringLattice(n, params, context) {
+  return { positions: circleLayout(n, context), edges: ringEdges(n, params.neighbors).pairs };
+}
+
+function wattsStrogatz(n, params, context) {
+  const edges = ringEdges(n, params.neighbors);
+
+  // Rewire each ring link's far end to a random node
+  edges.pairs.forEach(([a, b]) => {
+    if (random() >= params.rewire) return;
+    const target = Math.floor(random() * n);
+    if (target === a || edges.has(a, target)) return;
+    edges.remove(a, b);
+    edges.add(a, target);
+  });
+
+  return { positions: circleLayout(n, context), edges: edges.pairs };
+}
+
+function ringEdges(n, neighbors) {
+  const edges = new EdgeList(n);
+  const half = Math.max(1, Math.floor(neighbors / 2));
+  for (let i = 0; i < n; i++) {
+    for (let j = 1; j <= half; j++) {
+      edges.add(i, (i + j) % n);
+    }
+  }
+  return edges;
+}
+
+function barabasiAlbert(n, params, context) {
+  const m = Math.max(1, Math.min(params.attach, n - 1));
+  const edges = new EdgeList(n);
+  const endpoints = []; // Every edge end once, so a pick is proportional to degree
+
+  // Start from a small fully linked core
+  const core = Math.min(n, m + 1);
+  for (let i = 0; i < core; i++) {
+    for (let j = i + 1; j < core; j++) {
+      edges.add(i, j);
+      endpoints.push(i, j);
+    }
+  }
+
+  for (let i = core; i < n; i++) {
+    const targets = new Set();
+    while (targets.size < m) {
+      targets.add(endpoints[Math.floor(random() * endpoints.length)]);
+    }
+    targets.forEach(target => {
+      edges.add(i, target);
+      endpoints.push(i, target);
+    });
+  }
+
+  return { positions: ballLayout(n, context), edges: edges.pairs };
+}
+
+function erdosRenyi(n, params, context) {
+  const edges = new EdgeList(n);
+  const p = Math.min(1, params.meanDegree / Math.max(1, n - 1));
+
+  // Geometric skipping (Batagelj & Brandes) - O(n + edges) instead of O(n²)
+  if (p > 0) {
+    const logQ = Math.log(1 - p);
+    let v = 1;
+    let w = -1;
+    while (v < n) {
+      w += 1 + (p === 1 ? 0 : Math.floor(Math.log(1 - random()) / logQ));
+      while (w >= v && v < n) {
+        w -= v;
+        v++;
+      }
+      if (v < n) edges.add(v, w);
+    }
+  }
+
+  return { positions: ballLayout(n, context), edges: edges.pairs };
+}
+
+function randomGeometric(n, params, context) {
+  const extent = context.bounds * 0.8;
+  const positions = [];
+  for (let i = 0; i < n; i++) {
+    positions.push({
+      x: (random() - 0.5) * 2 * extent,
+      y: (random() - 0.5) * 2 * extent,
+      z: (random() - 0.5) * extent
+    });
+  }
+
+  const edges = new EdgeList(n);
+  const grid = new SpatialGrid(params.radius);
+  grid.build(positions);
+  positions.forEach((position, i) => {
+    grid.queryRadius(position.x, position.y, position.z, params.radius, j => {
+      if (j > i) edges.add(i, j);
+    });
+  });
+
+  return { positions, edges: edges.pairs };
+}
+
+// A wrapped lattice is filled out to whole rows and layers, so that every cell
+// has the same number of neighbours; an open one stops after n cells
+function lattice(n, params, context) {
+  const dimensions = params.dimensions === 3 ? 3 : 2;
+  const side = Math.ceil(Math.pow(n, 1 / dimensions) - 1e-9);
+  const rows = dimensions === 3 ? side : Math.ceil(n / side);
+  const layers = dimensions === 3 ? Math.ceil(n / (side * side)) : 1;
+  const count = params.periodic ? side * rows * layers : n;
+  const spacing = context.spacing;
+  const indexOf = (x, y, z) => (z * side + y) * side + x;
+
+  const positions = [];
+  for (let i = 0; i < count; i++) {
+    const x = i % side;
+    const y = Math.floor(i / side) % side;
+    const z = Math.floor(i / (side * side));
+    positions.push({
+      x: (x - (side - 1) / 2) * spacing,
+      y: (y - (side - 1) / 2) * spacing,
+      z: (z - (layers - 1) / 2) * spacing
+    });
+  }
+
+  // Link each cell to its next neighbour along every axis
+  const edges = new EdgeList(count);
+  const sizes = [side, rows, layers];
+  for (let i = 0; i < count; i++) {
+    const coords = [i % side, Math.floor(i / side) % side, Math.floor(i / (side * side))];
+    for (let axis = 0; axis < dimensions; axis++) {
+      const next = [...coords];
+      next[axis]++;
+      if (next[axis] >= sizes[axis]) {
+        if (!params.periodic || sizes[axis] < 3) continue;
+        next[axis] = 0;
+      }
+      const j = indexOf(next[0], next[1], next[2]);
+      if (j < count) edges.add(i, j);
+    }
+  }
+
+  return { positions, edges: edges.pairs };
+}
+
+function completeBipartite(n, params, context) {
+  const left = Math.max(1, Math.min(params.leftSize, Math.floor(n / 2)));
+  const edges = new EdgeList(n);
+  for (let i = 0; i < left; i++) {
+    for (let j = left; j < n; j++) {
+      edges.add(i, j);
+    }
+  }
+
+  // The two sets face each other across the centre
+  const positions = [];
+  for (let i = 0; i < n; i++) {
+    const inLeft = i < left;
+    const count = inLeft ? left : n - left;
+    const index = inLeft ? i : i - left;
+    const angle = (index / count) * Math.PI * 2;
+    const spread = context.bounds * 0.4 * Math.sqrt(count / n);
+    positions.push({
+      x: (inLeft ? -1 : 1) * context.bounds * 0.4,
+      y: Math.cos(angle) * spread,
+      z: Math.sin(angle) * spread * 0.5
+    });
+  }
+
+  return { positions, edges: edges.pairs };
+}
+
+// Node id y * width + x; a cell's 8 surrounding cells are its neighbours.
+// Without wrapping, cells past the border are simply missing (always dead).
+function lifeGrid(n, params) {
+  const { width, height, toroidal } = params;
+  const positions = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      positions.push({
+        x: (x - (width - 1) / 2) * LIFE_GRID_SPACING,
+        y: (y - (height - 1) / 2) * LIFE_GRID_SPACING,
+        z: 0
+      });
+    }
+  }
+
+  const edges = new EdgeList(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          let nx = x + dx;
+          let ny = y + dy;
+          if (toroidal) {
+            nx = (nx + width) % width;
+            ny = (ny + height) % height;
+          } else if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
+            continue;
+          }
+          edges.add(y * width + x, ny * width + nx);
+        }
+      }
+    }
+  }
+
+  return { positions, edges: edges.pairs };
+}
+
+// Radial tree: the central topic in the middle, each subtree in a wedge sized by
+// its leaf count, one ring per level. Topics list parents before their children.
+function outlineTree(n, params, context) {
+  const topics = params.topics;
+  const children = topics.map(() => []);
+  const roots = [];
+  topics.forEach((topic, i) => {
+    if (topic.parent >= 0) {
+      children[topic.parent].push(i);
+    } else {
+      roots.push(i);
+    }
+  });
+
+  // Leaves under each topic, children first
+  const leaves = new Array(topics.length).fill(0);
+  for (let i = topics.length - 1; i >= 0; i--) {
+    leaves[i] = Math.max(1, children[i].reduce((sum, child) => sum + leaves[child], 0));
+  }
+
+  const positions = new Array(topics.length);
+  const edges = [];
+  const spacing = context.spacing * 1.5;
+  const pending = [];
+  const rootLeaves = roots.reduce((sum, root) => sum + leaves[root], 0);
+  let angle = 0;
+  roots.forEach(root => {
+    const sweep = (leaves[root] / rootLeaves) * Math.PI * 2;
+    pending.push({ index: root, depth: roots.length > 1 ? 1 : 0, start: angle, sweep });
+    angle += sweep;
+  });
+
+  while (pending.length > 0) {
+    const { index, depth, start, sweep } = pending.pop();
+    const middle = start + sweep / 2;
+    positions[index] = {
+      x: Math.cos(middle) * depth * spacing,
+      y: Math.sin(middle) * depth * spacing,
+      z: (random() - 0.5) * spacing * 0.5
+    };
+
+    let childStart = start;
+    children[index].forEach(child => {
+      const childSweep = (leaves[child] / leaves[index]) * sweep;
+      pending.push({ index: child, depth: depth + 1, start: childStart, sweep: childSweep });
+      childStart += childSweep;
+      edges.push([index, child]);
+    });
+  }
+
+  const fixed = topics.map(topic => params.pinRoots && topic.parent < 0);
+  return { positions, edges, labels: topics.map(topic => topic.label), fixed };
+}
+
+// ===== Layouts =====
+function circleLayout(n, context) {
+  const radius = Math.max(context.bounds * 0.6, (n * context.spacing) / (Math.PI * 2));
+  const positions = [];
+  for (let i = 0; i < n; i++) {
+    const angle = (i / n) * Math.PI * 2;
+    positions.push({
+      x: Math.cos(angle) * radius,
+      y: Math.sin(angle) * radius,
+      z: (random() - 0.5) * 20
+    });
+  }
+  return positions;
+}
+
+function ballLayout(n, context) {
+  const radius = context.bounds * 0.6;
+  const positions = [];
+  for (let i = 0; i < n; i++) {
+    // Uniform in a sphere, flattened in z like the rest of the layout
+    const u = random() * 2 - 1;
+    const angle = random() * Math.PI * 2;
+    const r = radius * Math.cbrt(random());
+    const ring = Math.sqrt(1 - u * u);
+    positions.push({
+      x: r * ring * Math.cos(angle),
+      y: r * ring * Math.sin(angle),
+      z: r * u * 0.5
+    });
+  }
+  return positions;
+}
+
+// ===== Helper: Undirected Edge List =====
+// Keeps insertion order (so a seed always yields the same graph) and no duplicates
+class EdgeList {
+  constructor(n) {
+    this.n = n;
+    this.keys = new Set();
+    this.list = [];
+  }
+
+  key(a, b) {
+    return a < b ? a * this.n + b : b * this.n + a;
+  }
+
+  has(a, b) {
+    return this.keys.has(this.key(a, b));
+  }
+
+  add(a, b) {
+    if (a === b || this.has(a, b)) return;
+    this.keys.add(this.key(a, b));
+    this.list.push([a, b]);
+  }
+
+  remove(a, b) {
+    this.keys.delete(this.key(a, b));
+  }
+
+  // Pairs still present, in insertion order (a pair removed and re-added counts once)
+  get pairs() {
+    const seen = new Set();
+    return this.list.filter(([a, b]) => {
+      const key = this.key(a, b);
+      if (!this.keys.has(key) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+}
@@ -0,0 +1,57 @@
+// ===== Undo Stack =====
+// The user's changes as commands: { label, undo(), redo() }. Commands before
+// index are done, the rest have been undone and can be redone until a new
+// command replaces them. The renderer builds the commands (see its Undo section);
+// this only keeps their order.
+
+export class UndoStack {
+  constructor(limit = 100) {
+    this.limit = limit; // Oldest commands are forgotten beyond this many
+    this.commands = [];
+    this.index = 0; // Number of commands currently done
+  }
+
+  get canUndo() {
+    return this.index > 0;
+  }
+
+  get canRedo() {
+    return this.index < this.commands.length;
+  }
+
+  // A command that has just been carried out
+  push(command) {
+    this.commands.length = this.index;
+    this.commands.push(command);
+    if (this.commands.length > this.limit) {
+      this.commands.shift();
+    }
+    this.index = this.commands.length;
+  }
+
+  undo() {
+    if (!this.canUndo) return null;
+    const command = this.commands[--this.index];
+    command.undo();
+    return command;
+  }
+
+  redo() {
+    if (!this.canRedo) return null;
+    const command = this.commands[this.index++];
+    command.redo();
+    return command;
+  }
+
+  // Undo or redo until exactly count commands are done
+  jump(count) {
+    const target = Math.max(0, Math.min(count, this.commands.length));
+    while (this.index > target) this.undo();
+    while (this.index < target) this.redo();
+  }
+
+  clear() {
+    this.commands = [];
+    this.index = 0;
+  }
+}
@@ -0,0 +1,57 @@
+// ===== Community Detection Tests =====
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectCommunities, colorCommunities } from '../src/communities.js';
+
+// Just enough of the graph and simulation for detectCommunities
+function createNetwork(nodeCount, edges, alive = null) {
+  const neighbors = new Map();
+  for (let id = 0; id < nodeCount; id++) neighbors.set(id, []);
+  edges.forEach(([a, b]) => {
+    neighbors.get(a).push(b);
+    neighbors.get(b).push(a);
+  });
+  return {
+    graph: { getNeighbors: id => neighbors.get(id) || [] },
+    simulation: { aliveNodes: new Set(alive || neighbors.keys()) }
+  };
+}
+
+function clique(ids) {
+  const edges = [];
+  ids.forEach((a, i) => ids.slice(i + 1).forEach(b => edges.push([a, b])));
+  return edges;
+}
+
+test('two cliques joined by one edge are two communities, the larger first', () => {
+  const edges = [...clique([0, 1, 2, 3, 4]), ...clique([5, 6, 7, 8, 9, 10]), [4, 5]];
+  const { graph, simulation } = createNetwork(11, edges);
+  const communities = detectCommunities(graph, simulation);
+
+  [5, 6, 7, 8, 9, 10].forEach(id => assert.equal(communities.get(id), 0));
+  [0, 1, 2, 3, 4].forEach(id => assert.equal(communities.get(id), 1));
+});
+
+test('only alive nodes are assigned a community', () => {
+  const { graph, simulation } = createNetwork(6, clique([0, 1, 2, 3, 4, 5]), [0, 1, 2]);
+  const communities = detectCommunities(graph, simulation);
+
+  assert.deepEqual([...communities.keys()], [0, 1, 2]);
+  assert.ok([...communities.values()].every(c => c === 0));
+});
+
+test('very large alive sets do not overflow the call stack', () => {
+  const { graph, simulation } = createNetwork(300000, []);
+  const communities = detectCommunities(graph, simulation);
+  assert.equal(communities.size, 300000);
+});
+
+test('communities keep the colour most of their nodes had', () => {
+  const communities = new Map([[0, 0], [1, 0], [2, 0], [3, 1], [4, 1]]);
+  const previous = new Map([[0, 2], [1, 2], [2, 1], [3, 1], [4, 1]]);
+  const colors = colorCommunities(communities, previous, 4);
+
+  assert.deepEqual([0, 1, 2].map(id => colors.get(id)), [2, 2, 2]);
+  assert.deepEqual([3, 4].map(id => colors.get(id)), [1, 1]);
+});
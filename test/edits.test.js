@@ -0,0 +1,73 @@
+// ===== User Edit Tests =====
+// applyEdit as the worker, the renderer's mirror and history replays use it
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ForceDirectedGraph } from '../src/graph-layout.js';
+import { GameOfLifeSimulation } from '../src/simulation.js';
+import { applyEdit } from '../src/history.js';
+
+// A path 0 - 1 - 2 with node 3 on its own
+function createPath() {
+  const node = (id, connections) => ({ id, x: id * 10, y: 0, z: 0, connections, label: `n${id}`, born: 0, parents: [] });
+  const graph = new ForceDirectedGraph({
+    snapshot: { nextId: 4, nodes: [node(0, [1]), node(1, [0, 2]), node(2, [1]), node(3, [])] }
+  });
+  const simulation = new GameOfLifeSimulation(graph);
+  return { graph, simulation };
+}
+
+test('kill and revive change the alive set once', () => {
+  const { graph, simulation } = createPath();
+  assert.equal(applyEdit({ type: 'kill', id: 1 }, graph, simulation), true);
+  assert.ok(!simulation.isAlive(1));
+  assert.equal(applyEdit({ type: 'kill', id: 1 }, graph, simulation), false);
+  assert.equal(applyEdit({ type: 'revive', id: 1 }, graph, simulation), true);
+  assert.ok(simulation.isAlive(1));
+  assert.equal(applyEdit({ type: 'revive', id: 9 }, graph, simulation), false);
+});
+
+test('pin sets whether the layout may move a node', () => {
+  const { graph, simulation } = createPath();
+  assert.equal(applyEdit({ type: 'pin', id: 2, fixed: true }, graph, simulation), true);
+  assert.equal(graph.getNode(2).fixed, true);
+  assert.equal(applyEdit({ type: 'pin', id: 2, fixed: true }, graph, simulation), false);
+});
+
+test('add places an alive, unconnected node with its id', () => {
+  const { graph, simulation } = createPath();
+  const node = { id: 7, x: 1, y: 2, z: 3, label: 'New', born: 4, parents: [] };
+  assert.equal(applyEdit({ type: 'add', node }, graph, simulation), true);
+  assert.equal(graph.getNode(7).label, 'New');
+  assert.deepEqual(graph.getNeighbors(7), []);
+  assert.ok(simulation.isAlive(7));
+  assert.equal(graph.nextId, 8);
+  assert.equal(applyEdit({ type: 'add', node }, graph, simulation), false);
+});
+
+test('delete removes a node with its edges', () => {
+  const { graph, simulation } = createPath();
+  assert.equal(applyEdit({ type: 'delete', id: 1 }, graph, simulation), true);
+  assert.equal(graph.getNode(1), undefined);
+  assert.deepEqual(graph.getNeighbors(0), []);
+  assert.deepEqual(graph.getNeighbors(2), []);
+  assert.ok(!simulation.isAlive(1));
+  assert.equal(applyEdit({ type: 'delete', id: 1 }, graph, simulation), false);
+});
+
+test('connect and disconnect change one undirected edge', () => {
+  const { graph, simulation } = createPath();
+  assert.equal(applyEdit({ type: 'connect', a: 3, b: 0 }, graph, simulation), true);
+  assert.ok(graph.getNeighbors(0).includes(3));
+  assert.equal(applyEdit({ type: 'connect', a: 0, b: 3 }, graph, simulation), false);
+  assert.equal(applyEdit({ type: 'disconnect', a: 0, b: 3 }, graph, simulation), true);
+  assert.ok(!graph.getNeighbors(3).includes(0));
+  assert.equal(applyEdit({ type: 'disconnect', a: 0, b: 3 }, graph, simulation), false);
+  assert.equal(applyEdit({ type: 'connect', a: 0, b: 0 }, graph, simulation), false);
+  assert.equal(applyEdit({ type: 'connect', a: 0, b: 9 }, graph, simulation), false);
+});
+
+test('unknown edits change nothing', () => {
+  const { graph, simulation } = createPath();
+  assert.equal(applyEdit({ type: 'recolour', id: 0 }, graph, simulation), false);
+});
@@ -0,0 +1,87 @@
+// ===== Network Export Tests =====
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXPORT_FORMATS, exportGraphML, exportGEXF, exportDynamicGEXF, exportDOT } from '../src/graph-export.js';
+
+function createNetwork(timeline = undefined) {
+  return {
+    title: 'Ideas & "Plans"',
+    generation: 7,
+    nodes: [
+      { id: 0, label: 'Root <main>', alive: true, born: 0, degree: 2, palette: 'coral', color: '#E07A5F', x: 1.23456, y: -2, z: 0 },
+      { id: 1, label: null, alive: false, born: 3, degree: 1, palette: 'teal', color: '#5B9A8B', x: 0, y: 0, z: 10 },
+      { id: 4, label: 'Leaf', alive: true, born: 5, degree: 1, palette: 'sage', color: 'nope', x: 5, y: 5, z: 5 }
+    ],
+    edges: [[0, 1], [0, 4]],
+    timeline
+  };
+}
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+test('GraphML has a key per attribute and escapes text', () => {
+  const text = exportGraphML(createNetwork());
+  assert.ok(text.startsWith('<?xml version="1.0" encoding="UTF-8"?>'));
+  assert.equal(count(text, /<key id="[a-zA-Z]+" for="node"/g), 9);
+  assert.equal(count(text, /<node id="n\d+">/g), 3);
+  assert.equal(count(text, /<edge id="e\d+" source="n0" target="n\d"\/>/g), 2);
+  assert.ok(text.includes('<graph id="Ideas &amp; &quot;Plans&quot;" edgedefault="undirected">'));
+  assert.ok(text.includes('<data key="label">Root &lt;main&gt;</data>'));
+  assert.ok(text.includes('<data key="x">1.235</data>'));
+  // A missing label is left out rather than written as "null"
+  assert.ok(!text.includes('null'));
+});
+
+test('static GEXF writes labels, colours and positions', () => {
+  const text = exportGEXF(createNetwork());
+  assert.ok(text.includes('<graph mode="static" defaultedgetype="undirected">'));
+  assert.ok(text.includes('<node id="0" label="Root &lt;main&gt;">'));
+  assert.ok(text.includes('<node id="1">'));
+  assert.ok(text.includes('<viz:color r="224" g="122" b="95"/>'));
+  assert.equal(count(text, /<viz:color /g), 2); // Not for an unreadable colour
+  assert.ok(text.includes('<viz:position x="0" y="0" z="10"/>'));
+  assert.ok(text.includes('<attvalue for="alive" value="false"/>'));
+  assert.equal(count(text, /<edge id="\d+" source="0" target="\d"\/>/g), 2);
+  assert.ok(!text.includes('<spells>'));
+});
+
+test('dynamic GEXF writes spells and a dynamic alive attribute', () => {
+  const timeline = {
+    first: 0,
+    last: 7,
+    nodes: [
+      { id: 0, spells: [[0, null]], alive: [[0, 2], [4, null]] },
+      { id: 1, spells: [[3, null]], alive: [[3, 5]] },
+      { id: 4, spells: [[5, null]], alive: [[5, null]] }
+    ],
+    edges: [{ source: 0, target: 1, spells: [[3, 6]] }, { source: 0, target: 4, spells: [[5, null]] }]
+  };
+  const text = exportDynamicGEXF(createNetwork(timeline));
+  assert.ok(text.includes('<graph mode="dynamic" defaultedgetype="undirected" timeformat="integer" start="0" end="7">'));
+  assert.ok(text.includes('<attributes class="node" mode="dynamic">'));
+  assert.ok(text.includes('<attvalue for="alive" value="true" start="0" end="2"/>'));
+  assert.ok(text.includes('<attvalue for="alive" value="true" start="4"/>'));
+  assert.ok(!text.includes('<attvalue for="alive" value="false"/>'));
+  assert.ok(text.includes('<spell start="3" end="6"/>'));
+  assert.equal(count(text, /<spells>/g), 5);
+  assert.throws(() => exportDynamicGEXF(createNetwork()), /needs the generation timeline/);
+});
+
+test('DOT quotes strings and writes undirected edges', () => {
+  const text = exportDOT(createNetwork());
+  assert.ok(text.startsWith('graph "Ideas & \\"Plans\\"" {'));
+  assert.ok(text.includes('  graph [generation=7];'));
+  assert.ok(text.includes('0 [label="Root <main>", alive=true, birthGeneration=0, degree=2, palette="coral", color="#E07A5F", x=1.235, y=-2, z=0, fillcolor="#E07A5F", pos="1.235,-2,0"];'));
+  assert.ok(text.includes('  0 -- 1;'));
+  assert.ok(text.includes('  0 -- 4;'));
+  assert.ok(text.trimEnd().endsWith('}'));
+});
+
+test('every export format has a writer and a file extension', () => {
+  Object.values(EXPORT_FORMATS).forEach(format => {
+    assert.equal(typeof format.write, 'function');
+    assert.ok(format.extension);
+  });
+  assert.ok(EXPORT_FORMATS.gexfDynamic.dynamic);
+});
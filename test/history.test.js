@@ -0,0 +1,142 @@
+// ===== Generation History Tests =====
+// Rewinding, branching and trimming of GenerationHistory on a seeded run
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSeed } from '../src/random.js';
+import { ForceDirectedGraph } from '../src/graph-layout.js';
+import { GameOfLifeSimulation } from '../src/simulation.js';
+import { createRule } from '../src/rules.js';
+import { GenerationHistory } from '../src/history.js';
+
+function createRun(historyOptions = {}) {
+  setSeed('history-test');
+  const graph = new ForceDirectedGraph({ nodeCount: 60, connectionDistance: 120, bounds: 300 });
+  const simulation = new GameOfLifeSimulation(graph, { rule: createRule('stochastic'), maxNodes: 200 });
+  const history = new GenerationHistory(historyOptions);
+  history.reset(graph, simulation);
+  const step = () => {
+    const changes = simulation.step();
+    history.record(graph, simulation, changes);
+  };
+  return { graph, simulation, history, step };
+}
+
+// Everything a generation is made of, in a comparable form
+function describe(graph, simulation) {
+  return {
+    generation: simulation.generation,
+    alive: [...simulation.aliveNodes].sort((a, b) => a - b),
+    edges: [...graph.getEdgeKeys()].sort(),
+    nodes: graph.nodes.map(node => [node.id, node.label, node.born, node.fixed]).sort((a, b) => a[0] - b[0])
+  };
+}
+
+test('restoring a generation rebuilds its graph and alive set', () => {
+  const { graph, simulation, history, step } = createRun({ keyframeInterval: 5 });
+  const states = [describe(graph, simulation)];
+  for (let i = 0; i < 23; i++) {
+    step();
+    states.push(describe(graph, simulation));
+  }
+
+  [0, 4, 5, 12, 23].forEach(generation => {
+    assert.equal(history.restore(generation, graph, simulation), generation);
+    assert.deepEqual(describe(graph, simulation), states[generation]);
+  });
+});
+
+test('a restored keyframe keeps exact positions and velocities', () => {
+  const { graph, simulation, history, step } = createRun({ keyframeInterval: 5 });
+  for (let i = 0; i < 10; i++) {
+    graph.update();
+    step();
+  }
+  const positions = graph.nodes.map(node => [node.id, node.x, node.y, node.z, node.vx, node.vy, node.vz]);
+  for (let i = 0; i < 3; i++) {
+    graph.update();
+    step();
+  }
+
+  history.restore(10, graph, simulation);
+  assert.deepEqual(graph.nodes.map(node => [node.id, node.x, node.y, node.z, node.vx, node.vy, node.vz]), positions);
+});
+
+test('stepping from a rewound generation replays the same run and drops the old branch', () => {
+  const { graph, simulation, history, step } = createRun({ keyframeInterval: 4 });
+  for (let i = 0; i < 8; i++) step();
+  const later = [];
+  for (let i = 0; i < 6; i++) {
+    step();
+    later.push(describe(graph, simulation));
+  }
+
+  history.restore(8, graph, simulation);
+  assert.equal(history.lastGeneration, 14);
+  const replayed = [];
+  for (let i = 0; i < 6; i++) {
+    step();
+    replayed.push(describe(graph, simulation));
+    assert.equal(history.lastGeneration, simulation.generation);
+  }
+  assert.deepEqual(replayed, later);
+});
+
+test('edits amend the current generation and replay on restore', () => {
+  const { graph, simulation, history, step } = createRun({ keyframeInterval: 5 });
+  for (let i = 0; i < 7; i++) step();
+  const victim = [...simulation.aliveNodes][0];
+  simulation.killNode(victim);
+  history.amend([{ type: 'kill', id: victim }], graph, simulation);
+  for (let i = 0; i < 3; i++) step();
+
+  history.restore(6, graph, simulation);
+  assert.ok(simulation.isAlive(victim));
+  history.restore(7, graph, simulation);
+  assert.ok(!simulation.isAlive(victim));
+  assert.deepEqual(history.getRecord(7).edits, [{ type: 'kill', id: victim }]);
+});
+
+test('trimming keeps at most maxGenerations and starts on a keyframe', () => {
+  const { history, step } = createRun({ keyframeInterval: 5, maxGenerations: 20 });
+  for (let i = 0; i < 60; i++) step();
+
+  assert.ok(history.records.length <= 20);
+  assert.ok(history.records[0].keyframe);
+  assert.equal(history.lastGeneration, 60);
+  assert.equal(history.firstGeneration % 5, 0);
+});
+
+test('keyframes are trimmed to the byte budget', () => {
+  const { history, step } = createRun({ keyframeInterval: 5 });
+  const keyframeBytes = history.records[0].keyframe.bytes;
+  history.maxKeyframeBytes = keyframeBytes * 3;
+  for (let i = 0; i < 60; i++) step();
+
+  const keyframes = history.records.filter(record => record.keyframe);
+  const total = keyframes.reduce((sum, record) => sum + record.keyframe.bytes, 0);
+  assert.equal(history.keyframeBytes, total);
+  assert.ok(total <= history.maxKeyframeBytes);
+  assert.ok(history.firstGeneration > 0);
+  assert.ok(history.records[0].keyframe);
+  assert.equal(history.lastGeneration, 60);
+
+  history.truncate(history.firstGeneration + 2);
+  assert.equal(history.keyframeBytes, history.records[0].keyframe.bytes);
+});
+
+test('the timeline has a spell for every node and edge of the first keyframe', () => {
+  const { graph, simulation, history, step } = createRun();
+  const first = describe(graph, simulation);
+  for (let i = 0; i < 12; i++) step();
+
+  const timeline = history.timeline();
+  assert.equal(timeline.first, 0);
+  assert.equal(timeline.last, 12);
+  first.nodes.forEach(([id]) => {
+    const node = timeline.nodes.find(item => item.id === id);
+    assert.ok(node, `node ${id}`);
+    assert.equal(node.spells[0][0], 0);
+  });
+  assert.equal(timeline.edges.filter(edge => edge.spells[0][0] === 0).length, first.edges.length);
+});
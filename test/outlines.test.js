@@ -0,0 +1,97 @@
+// ===== Mind Map Outline Tests =====
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseOutline, parseOPML, parseFreeMind, parseMarkdownOutline } from '../src/outlines.js';
+
+test('OPML outlines nest by element', () => {
+  const outline = parseOPML(`<?xml version="1.0"?>
+<opml version="2.0">
+  <head><title>Plans &amp; Ideas</title></head>
+  <body>
+    <outline text="Garden">
+      <outline text="Beans"/>
+      <!-- <outline text="Hidden"/> -->
+      <outline title="Herbs">
+        <outline text="Basil &#x26; mint"/>
+      </outline>
+    </outline>
+  </body>
+</opml>`);
+  assert.equal(outline.title, 'Plans & Ideas');
+  assert.deepEqual(outline.topics, [
+    { label: 'Garden', parent: -1 },
+    { label: 'Beans', parent: 0 },
+    { label: 'Herbs', parent: 0 },
+    { label: 'Basil & mint', parent: 2 }
+  ]);
+});
+
+test('FreeMind maps read TEXT attributes and Freeplane rich text', () => {
+  const outline = parseFreeMind(`<map version="1.0.1">
+<node TEXT="Centre">
+  <node TEXT="Left"/>
+  <node>
+    <richcontent TYPE="NODE"><html><body><p>Rich <b>topic</b></p></body></html></richcontent>
+    <node TEXT="Leaf"></node>
+  </node>
+</node>
+</map>`);
+  assert.equal(outline.title, 'Centre');
+  assert.deepEqual(outline.topics, [
+    { label: 'Centre', parent: -1 },
+    { label: 'Left', parent: 0 },
+    { label: 'Rich topic', parent: 0 },
+    { label: 'Leaf', parent: 2 }
+  ]);
+});
+
+test('Markdown headings nest by level and lists by indentation', () => {
+  const outline = parseMarkdownOutline(`# Project
+Some prose is ignored.
+
+## Tasks
+- [x] Write **docs**
+  - See [the guide](https://example.com)
+- Ship it
+\`\`\`
+- not a topic
+\`\`\`
+## Notes
+1. First
+`);
+  assert.equal(outline.title, 'Project');
+  assert.deepEqual(outline.topics, [
+    { label: 'Project', parent: -1 },
+    { label: 'Tasks', parent: 0 },
+    { label: 'Write docs', parent: 1 },
+    { label: 'See the guide', parent: 2 },
+    { label: 'Ship it', parent: 1 },
+    { label: 'Notes', parent: 0 },
+    { label: 'First', parent: 5 }
+  ]);
+});
+
+test('several top-level topics hang off the title as one root', () => {
+  const outline = parseOutline('- One\n- Two\n  - Three', null, 'list.md');
+  assert.equal(outline.title, 'list');
+  assert.deepEqual(outline.topics, [
+    { label: 'list', parent: -1 },
+    { label: 'One', parent: 0 },
+    { label: 'Two', parent: 0 },
+    { label: 'Three', parent: 2 }
+  ]);
+});
+
+test('the format comes from the argument, then the extension, then the content', () => {
+  const opml = '<opml><body><outline text="A"/></body></opml>';
+  assert.deepEqual(parseOutline(opml).topics, [{ label: 'A', parent: -1 }]);
+  assert.deepEqual(parseOutline('<map><node TEXT="B"/></map>', null, 'map.mm').topics, [{ label: 'B', parent: -1 }]);
+  assert.deepEqual(parseOutline('<map><node TEXT="B"/></map>', 'freemind').topics, [{ label: 'B', parent: -1 }]);
+  assert.throws(() => parseOutline('# A', 'docx'), /Unknown outline format "docx"/);
+});
+
+test('empty outlines are rejected and blank topics get a label', () => {
+  assert.throws(() => parseOutline('Just prose.', null, 'notes.md'), /Outline has no topics/);
+  assert.equal(parseOutline('<opml><body><outline text=""/></body></opml>').topics[0].label, 'Untitled');
+});
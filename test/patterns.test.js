@@ -0,0 +1,90 @@
+// ===== Life Pattern Tests =====
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSeed } from '../src/random.js';
+import { getBuiltinPattern, parsePattern, parseRLE, parseLife106, parseLife105, parsePlaintext, placePattern, randomSoup } from '../src/patterns.js';
+
+const GLIDER = [[1, 0], [2, 1], [0, 2], [1, 2], [2, 2]];
+
+const sorted = (cells) => [...cells].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+test('RLE reads the name, rule, size and runs', () => {
+  const pattern = parseRLE('#N Glider\n#C A comment\nx = 3, y = 3, rule = B3/S23\nbob$2bo$3o!');
+  assert.equal(pattern.name, 'Glider');
+  assert.equal(pattern.rule, 'B3/S23');
+  assert.equal(pattern.width, 3);
+  assert.equal(pattern.height, 3);
+  assert.deepEqual(sorted(pattern.cells), GLIDER);
+});
+
+test('RLE runs can span lines and skip several rows at once', () => {
+  const pattern = parseRLE('x = 2, y = 3\n2o\n2$\n2o!');
+  assert.deepEqual(sorted(pattern.cells), [[0, 0], [1, 0], [0, 2], [1, 2]]);
+  assert.equal(pattern.height, 3);
+  assert.ok(!('rule' in pattern));
+});
+
+test('RLE without a header is rejected', () => {
+  assert.throws(() => parseRLE('bob$2bo$3o!'), /missing its "x = .., y = .." header/);
+});
+
+test('Life 1.06 coordinates are shifted to start at 0', () => {
+  const pattern = parseLife106('#Life 1.06\n0 -1\n1 0\n-1 1\n0 1\n1 1');
+  assert.deepEqual(sorted(pattern.cells), GLIDER);
+  assert.throws(() => parseLife106('#Life 1.06\n1 x'), /Invalid Life 1.06 line "1 x"/);
+});
+
+test('Life 1.05 blocks are placed at their #P offsets', () => {
+  const pattern = parseLife105('#Life 1.05\n#D Two blocks\n#P -2 0\n**\n#P 2 0\n**');
+  assert.equal(pattern.name, 'Two blocks');
+  assert.deepEqual(sorted(pattern.cells), [[0, 0], [1, 0], [4, 0], [5, 0]]);
+  assert.equal(pattern.width, 6);
+});
+
+test('plaintext reads O cells and the !Name line', () => {
+  const pattern = parsePlaintext('!Name: Glider\n!\n.O.\n..O\nOOO');
+  assert.equal(pattern.name, 'Glider');
+  assert.deepEqual(sorted(pattern.cells), GLIDER);
+});
+
+test('the format comes from the argument, then the extension, then the content', () => {
+  const rle = 'x = 3, y = 3\nbob$2bo$3o!';
+  assert.deepEqual(sorted(parsePattern(rle).cells), GLIDER);
+  assert.deepEqual(sorted(parsePattern('.O.\n..O\nOOO', null, 'glider.cells').cells), GLIDER);
+  assert.equal(parsePattern('.O.\n..O\nOOO', null, 'glider.cells').name, 'glider');
+  assert.deepEqual(sorted(parsePattern('0 -1\n1 0\n-1 1\n0 1\n1 1', 'life106').cells), GLIDER);
+  assert.throws(() => parsePattern(rle, 'png'), /Unknown pattern format "png"/);
+  assert.throws(() => parsePattern('...\n...'), /Pattern has no alive cells/);
+});
+
+test('every built-in pattern parses', () => {
+  assert.equal(getBuiltinPattern('glider').cells.length, 5);
+  assert.equal(getBuiltinPattern('gosperGun').cells.length, 36);
+  assert.equal(getBuiltinPattern('pulsar').cells.length, 48);
+  assert.throws(() => getBuiltinPattern('nope'), /Unknown pattern "nope"/);
+});
+
+test('patterns far too large to spread into Math.min still parse', () => {
+  const row = '600o';
+  const pattern = parseRLE(`x = 600, y = 600\n${new Array(600).fill(row).join('$')}!`);
+  assert.equal(pattern.cells.length, 360000);
+  assert.equal(pattern.width, 600);
+  assert.equal(pattern.height, 600);
+});
+
+test('a placed pattern is centred and clipped to the grid', () => {
+  const glider = getBuiltinPattern('glider');
+  // 5 x 5 grid: the glider starts at (1, 1); pattern rows run down, grid rows up
+  assert.deepEqual(placePattern(glider, 5, 5).sort((a, b) => a - b), [6, 7, 8, 13, 17]);
+  assert.ok(placePattern(getBuiltinPattern('gosperGun'), 10, 10).length < 36);
+});
+
+test('a random soup follows the seed and density', () => {
+  setSeed('soup');
+  const first = randomSoup(20, 20, 0.3);
+  setSeed('soup');
+  assert.deepEqual(randomSoup(20, 20, 0.3), first);
+  assert.ok(first.length > 60 && first.length < 180);
+  assert.deepEqual(randomSoup(4, 4, 0), []);
+});
@@ -0,0 +1,80 @@
+// ===== Rule Set Tests =====
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSeed } from '../src/random.js';
+import { parseRuleString, formatRuleString, createRule, RULE_PRESETS } from '../src/rules.js';
+
+test('B/S notation is read in every accepted form', () => {
+  const conway = { birth: new Set([3]), survival: new Set([2, 3]) };
+  assert.deepEqual(parseRuleString('B3/S23'), conway);
+  assert.deepEqual(parseRuleString(' b3 / s23 '), conway);
+  assert.deepEqual(parseRuleString('S23/B3'), conway);
+  assert.deepEqual(parseRuleString('23/3'), conway);
+  assert.deepEqual(parseRuleString('B2/S'), { birth: new Set([2]), survival: new Set() });
+});
+
+test('malformed notation is rejected', () => {
+  ['', 'B3S23', 'X3/Y23', 'B3/S2a'].forEach(notation => {
+    assert.throws(() => parseRuleString(notation), /Invalid rule notation/, notation);
+  });
+});
+
+test('notation is written with sorted digits', () => {
+  assert.equal(formatRuleString(new Set([6, 3]), new Set([3, 2])), 'B36/S23');
+  assert.equal(createRule({ type: 'life-like', notation: 's32/b63' }).notation, 'B36/S23');
+});
+
+test('a life-like rule follows its birth and survival sets', () => {
+  const rule = createRule('conway');
+  assert.deepEqual([0, 1, 2, 3, 4].map(n => rule.survives(n)), [false, false, true, true, false]);
+  assert.deepEqual([2, 3, 4].map(n => rule.born(n)), [false, true, false]);
+  assert.equal(rule.minBirthNeighbors, 3);
+  assert.equal(createRule('seeds').survives(2), false);
+  assert.equal(createRule({ type: 'life-like', notation: 'B/S23' }).minBirthNeighbors, Infinity);
+});
+
+test('a probabilistic rule is certain at probability 0 and 1', () => {
+  const never = createRule({ type: 'probabilistic', notation: 'B3/S23', birthProbability: 0, deathProbability: 0 });
+  const always = createRule({ type: 'probabilistic', notation: 'B3/S23', birthProbability: 1, deathProbability: 1 });
+  assert.equal(never.born(3), false);
+  assert.equal(never.survives(0), true);
+  assert.equal(always.born(3), true);
+  assert.equal(always.born(2), false);
+  assert.equal(always.survives(0), false);
+  assert.equal(always.survives(2), true);
+});
+
+test('random outcomes follow the seed', () => {
+  const outcomes = () => {
+    setSeed('rules-test');
+    const rule = createRule('stochastic');
+    return Array.from({ length: 40 }, (_, i) => [rule.survives(i % 5), rule.born(3)]);
+  };
+  assert.deepEqual(outcomes(), outcomes());
+});
+
+test('the relaxed rule never kills well connected nodes', () => {
+  const rule = createRule('relaxed');
+  assert.ok(Array.from({ length: 50 }, () => rule.survives(1)).every(Boolean));
+  assert.equal(rule.born(1), false);
+  assert.equal(rule.minBirthNeighbors, 2);
+  assert.equal(rule.revivesDead, false);
+});
+
+test('every preset builds, and a serialized rule builds the same rule', () => {
+  Object.keys(RULE_PRESETS).forEach(key => {
+    const rule = createRule(key);
+    assert.equal(rule.preset, key);
+    const copy = createRule(JSON.parse(JSON.stringify(rule.toJSON())));
+    // No cap (Infinity) goes through JSON as null
+    assert.deepEqual(copy.toJSON(), rule.toJSON());
+  });
+  assert.equal(createRule('life').maxDeathsPerStep, Infinity);
+  assert.equal(createRule('life').spawnsNodes, false);
+});
+
+test('unknown presets and rule types are rejected', () => {
+  assert.throws(() => createRule('nope'), /Unknown rule preset "nope"/);
+  assert.throws(() => createRule({ type: 'nope' }), /Unknown rule type "nope"/);
+});
@@ -0,0 +1,52 @@
+// ===== Session File Tests =====
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { serializeSession, parseSession, SESSION_FORMAT, SESSION_VERSION } from '../src/session.js';
+
+function createContents() {
+  return {
+    config: { seed: 'abc', nodeCount: 3 },
+    rule: { type: 'life-like', notation: 'B3/S23', maxDeathsPerStep: Infinity, maxBirthsPerStep: 6 },
+    camera: { position: [0, 0, 500], target: [0, 0, 0] },
+    state: {
+      graph: { nextId: 2, nodes: [{ id: 0, x: 1.5, connections: [1] }, { id: 1, x: -2, connections: [0] }] },
+      simulation: { generation: 12, alive: [0], deathGenerations: [[1, 11]] },
+      randomState: 123456789,
+      labels: [[0, 'Root']]
+    }
+  };
+}
+
+test('a saved session reads back the same, Infinity included', () => {
+  const contents = createContents();
+  const session = parseSession(serializeSession(contents));
+
+  assert.equal(session.format, SESSION_FORMAT);
+  assert.equal(session.version, SESSION_VERSION);
+  assert.ok(!Number.isNaN(Date.parse(session.savedAt)));
+  assert.deepEqual(session.state, contents.state);
+  assert.deepEqual(session.rule, contents.rule);
+  assert.equal(session.rule.maxDeathsPerStep, Infinity);
+});
+
+test('files that are not sessions are refused', () => {
+  assert.throws(() => parseSession('{'), /Session is not valid JSON/);
+  assert.throws(() => parseSession('null'), /Not a Game of Life session file/);
+  assert.throws(() => parseSession('{"format":"other"}'), /Not a Game of Life session file/);
+});
+
+test('sessions from a newer version are refused rather than half-loaded', () => {
+  const text = serializeSession(createContents());
+  const newer = JSON.stringify({ ...JSON.parse(text), version: SESSION_VERSION + 1 });
+  assert.throws(() => parseSession(newer), /newer than this app supports/);
+  const broken = JSON.stringify({ ...JSON.parse(text), version: 'one' });
+  assert.throws(() => parseSession(broken), /Invalid session version "one"/);
+});
+
+test('sessions missing their state or settings are refused', () => {
+  const { state, ...withoutState } = createContents();
+  assert.throws(() => parseSession(serializeSession(withoutState)), /missing its graph or simulation state/);
+  const { camera, ...withoutCamera } = createContents();
+  assert.throws(() => parseSession(serializeSession(withoutCamera)), /missing its settings, rule or camera/);
+});
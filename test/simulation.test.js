@@ -0,0 +1,69 @@
+// ===== Simulation Tests =====
+// Classic Life on a toroidal grid, and steady-state (cycle) detection
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSeed } from '../src/random.js';
+import { ForceDirectedGraph } from '../src/graph-layout.js';
+import { GameOfLifeSimulation } from '../src/simulation.js';
+import { createRule } from '../src/rules.js';
+import { parsePattern, placePattern } from '../src/patterns.js';
+
+function createGrid(size, cells) {
+  setSeed('simulation-test');
+  const graph = new ForceDirectedGraph({ topology: { type: 'lifeGrid', width: size, height: size, toroidal: true } });
+  const simulation = new GameOfLifeSimulation(graph, { rule: createRule('life'), fixedTopology: true });
+  simulation.setAliveNodes(placePattern(parsePattern(cells, 'cells'), size, size));
+  simulation.resetCycleDetection();
+  return simulation;
+}
+
+// Step until a cycle is found, at most limit generations
+function runUntilCycle(simulation, limit) {
+  for (let i = 0; i < limit && !simulation.cycle; i++) {
+    simulation.step();
+  }
+  return simulation.cycle;
+}
+
+test('a blinker flips between its two phases', () => {
+  const simulation = createGrid(5, 'O\nO\nO');
+  const vertical = [...simulation.aliveNodes].sort((a, b) => a - b);
+  simulation.step();
+  const horizontal = [...simulation.aliveNodes].sort((a, b) => a - b);
+
+  assert.equal(horizontal.length, 3);
+  assert.notDeepEqual(horizontal, vertical);
+  simulation.step();
+  assert.deepEqual([...simulation.aliveNodes].sort((a, b) => a - b), vertical);
+});
+
+test('a block is a still life from the start', () => {
+  const simulation = createGrid(6, 'OO\nOO');
+  assert.deepEqual(runUntilCycle(simulation, 5), { period: 1, start: 0 });
+  assert.equal(simulation.getAliveCount(), 4);
+});
+
+test('a blinker is detected as period 2', () => {
+  const simulation = createGrid(5, 'O\nO\nO');
+  assert.deepEqual(runUntilCycle(simulation, 10), { period: 2, start: 0 });
+});
+
+test('a glider on a torus comes back after four steps per cell of the board', () => {
+  const simulation = createGrid(8, '.O.\n..O\nOOO');
+  assert.deepEqual(runUntilCycle(simulation, 100), { period: 32, start: 0 });
+  assert.equal(simulation.generation, 32);
+});
+
+test('a run that dies out settles as an empty still life', () => {
+  const simulation = createGrid(6, 'O');
+  const cycle = runUntilCycle(simulation, 5);
+  assert.equal(simulation.getAliveCount(), 0);
+  assert.deepEqual(cycle, { period: 1, start: 1 });
+});
+
+test('states older than the cycle window are forgotten', () => {
+  const simulation = createGrid(8, '.O.\n..O\nOOO');
+  simulation.cycleWindow = 16;
+  assert.equal(runUntilCycle(simulation, 40), null);
+});
@@ -0,0 +1,114 @@
+// ===== Spatial Index Tests =====
+// The octree against exact all-pairs repulsion and the grid against brute force
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSeed, random } from '../src/random.js';
+import { Octree, SpatialGrid } from '../src/spatial.js';
+
+function randomPoints(count, extent) {
+  setSeed('spatial-test');
+  return Array.from({ length: count }, () => ({
+    x: (random() - 0.5) * extent,
+    y: (random() - 0.5) * extent,
+    z: (random() - 0.5) * extent
+  }));
+}
+
+function exactForce(bodies, body, strength) {
+  const out = { x: 0, y: 0, z: 0 };
+  bodies.forEach(other => {
+    if (other === body) return;
+    const dx = body.x - other.x;
+    const dy = body.y - other.y;
+    const dz = body.z - other.z;
+    const dist = Math.max(1, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    const force = strength / (dist * dist);
+    out.x += (dx / dist) * force;
+    out.y += (dy / dist) * force;
+    out.z += (dz / dist) * force;
+  });
+  return out;
+}
+
+function bruteNearest(items, x, y, z, excludeIndex) {
+  let best = -1;
+  let bestDist = Infinity;
+  items.forEach((item, index) => {
+    const dist = Math.hypot(item.x - x, item.y - y, item.z - z);
+    if (index !== excludeIndex && dist < bestDist) {
+      best = index;
+      bestDist = dist;
+    }
+  });
+  return best;
+}
+
+test('an octree with theta 0 matches exact repulsion', () => {
+  const bodies = randomPoints(200, 800);
+  const octree = new Octree(0);
+  octree.build(bodies);
+  const out = { x: 0, y: 0, z: 0 };
+
+  bodies.slice(0, 20).forEach(body => {
+    const expected = exactForce(bodies, body, 5000);
+    octree.accumulateForce(body, 5000, out);
+    assert.ok(Math.abs(out.x - expected.x) < 1e-9);
+    assert.ok(Math.abs(out.y - expected.y) < 1e-9);
+    assert.ok(Math.abs(out.z - expected.z) < 1e-9);
+  });
+});
+
+test('an approximate octree stays close to exact repulsion', () => {
+  const bodies = randomPoints(500, 800);
+  const octree = new Octree(0.5);
+  octree.build(bodies);
+  const out = { x: 0, y: 0, z: 0 };
+
+  bodies.slice(0, 20).forEach(body => {
+    const expected = exactForce(bodies, body, 5000);
+    octree.accumulateForce(body, 5000, out);
+    const error = Math.hypot(out.x - expected.x, out.y - expected.y, out.z - expected.z);
+    assert.ok(error <= 0.1 * Math.hypot(expected.x, expected.y, expected.z) + 1e-6);
+  });
+});
+
+test('a radius query reports exactly the items inside the radius', () => {
+  const items = randomPoints(400, 1000);
+  const grid = new SpatialGrid(60);
+  grid.build(items);
+
+  const found = [];
+  grid.queryRadius(0, 0, 0, 150, (index, dist) => found.push([index, dist]));
+  const expected = items
+    .map((item, index) => [index, Math.hypot(item.x, item.y, item.z)])
+    .filter(([, dist]) => dist < 150);
+  assert.deepEqual(found.map(([index]) => index).sort((a, b) => a - b), expected.map(([index]) => index));
+});
+
+test('nearest matches a brute-force search', () => {
+  const items = randomPoints(300, 1000);
+  const grid = new SpatialGrid(50);
+  grid.build(items);
+
+  items.slice(0, 50).forEach((item, index) => {
+    assert.equal(grid.nearest(item.x, item.y, item.z, index), bruteNearest(items, item.x, item.y, item.z, index));
+  });
+  assert.equal(grid.nearest(5000, 0, 0), bruteNearest(items, 5000, 0, 0, -1));
+});
+
+test('nearest to a far-away point does not walk an empty cube of cells', () => {
+  const items = randomPoints(6, 100);
+  const grid = new SpatialGrid(10);
+  grid.build(items);
+
+  let lookups = 0;
+  const get = grid.cells.get.bind(grid.cells);
+  grid.cells.get = (key) => {
+    lookups++;
+    return get(key);
+  };
+
+  assert.equal(grid.nearest(1e6, 1e6, 1e6), bruteNearest(items, 1e6, 1e6, 1e6, -1));
+  assert.ok(lookups <= items.length, `${lookups} cell lookups`);
+});
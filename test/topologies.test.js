@@ -0,0 +1,93 @@
+// ===== Seed Topology Tests =====
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setSeed } from '../src/random.js';
+import { generateTopology } from '../src/topologies.js';
+
+const CONTEXT = { bounds: 300, spacing: 72 };
+
+function generate(spec, nodeCount) {
+  setSeed('topology-test');
+  return generateTopology(spec, nodeCount, CONTEXT);
+}
+
+function degrees(topology) {
+  const result = new Array(topology.positions.length).fill(0);
+  topology.edges.forEach(([a, b]) => {
+    result[a]++;
+    result[b]++;
+  });
+  return result;
+}
+
+// Edges join two different existing nodes, at most once per pair
+function assertSimpleGraph(topology) {
+  const n = topology.positions.length;
+  const seen = new Set();
+  topology.edges.forEach(([a, b]) => {
+    assert.ok(a !== b && a >= 0 && b >= 0 && a < n && b < n, `edge ${a}-${b}`);
+    const key = Math.min(a, b) * n + Math.max(a, b);
+    assert.ok(!seen.has(key), `duplicate edge ${a}-${b}`);
+    seen.add(key);
+  });
+}
+
+test('every generator builds a simple graph of the requested size', () => {
+  ['wattsStrogatz', 'barabasiAlbert', 'erdosRenyi', 'randomGeometric', 'ringLattice', 'lattice', 'completeBipartite'].forEach(type => {
+    const topology = generate({ type }, 50);
+    assert.equal(topology.positions.length, 50, type);
+    assertSimpleGraph(topology);
+  });
+});
+
+test('the same seed builds the same topology', () => {
+  assert.deepEqual(generate({ type: 'wattsStrogatz', rewire: 0.3 }, 80), generate({ type: 'wattsStrogatz', rewire: 0.3 }, 80));
+  assert.deepEqual(generate({ type: 'barabasiAlbert' }, 80), generate({ type: 'barabasiAlbert' }, 80));
+});
+
+test('unknown topologies are rejected', () => {
+  assert.throws(() => generate({ type: 'nope' }, 10), /Unknown topology "nope"/);
+});
+
+test('a ring lattice links every node to its nearest neighbours', () => {
+  const topology = generate({ type: 'ringLattice', neighbors: 6 }, 30);
+  assert.ok(degrees(topology).every(degree => degree === 6));
+});
+
+test('scale-free nodes each add the attachment count of edges', () => {
+  const topology = generate({ type: 'barabasiAlbert', attach: 3 }, 100);
+  // A fully linked core of attach + 1 nodes, then attach edges per node
+  assert.equal(topology.edges.length, 6 + (100 - 4) * 3);
+});
+
+test('a complete bipartite graph links every pair across the sets', () => {
+  const topology = generate({ type: 'completeBipartite', leftSize: 3 }, 20);
+  assert.equal(topology.edges.length, 3 * 17);
+  topology.edges.forEach(([a, b]) => assert.ok((a < 3) !== (b < 3)));
+});
+
+test('an open lattice stops at n cells with fewer neighbours on the rim', () => {
+  const topology = generate({ type: 'lattice' }, 10);
+  assert.equal(topology.positions.length, 10);
+  assertSimpleGraph(topology);
+  assert.deepEqual(degrees(topology), [2, 3, 3, 2, 3, 4, 3, 2, 2, 2]);
+});
+
+test('a periodic lattice gives every node the same degree, whatever n', () => {
+  [[10, 2, 12, 4], [17, 2, 20, 4], [16, 2, 16, 4], [30, 3, 32, 5], [20, 3, 27, 6], [9, 3, 9, 4]].forEach(([n, dimensions, count, degree]) => {
+    const topology = generate({ type: 'lattice', dimensions, periodic: true }, n);
+    assert.equal(topology.positions.length, count, `n = ${n}, ${dimensions}D`);
+    assertSimpleGraph(topology);
+    assert.ok(degrees(topology).every(d => d === degree), `n = ${n}, ${dimensions}D: ${degrees(topology)}`);
+  });
+});
+
+test('a toroidal Life grid gives every cell eight neighbours', () => {
+  const open = generate({ type: 'lifeGrid', width: 6, height: 5, toroidal: false }, 0);
+  const torus = generate({ type: 'lifeGrid', width: 6, height: 5, toroidal: true }, 0);
+  assert.equal(torus.positions.length, 30);
+  assert.ok(degrees(torus).every(degree => degree === 8));
+  assert.equal(degrees(open)[0], 3);
+  assert.equal(degrees(open)[7], 8);
+});
@@ -0,0 +1,132 @@
+// ===== Undo Tests =====
+// The command stack, and inverted edits taking a batch back exactly
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ForceDirectedGraph } from '../src/graph-layout.js';
+import { GameOfLifeSimulation } from '../src/simulation.js';
+import { applyEdit, invertEdits } from '../src/history.js';
+import { UndoStack } from '../src/undo-stack.js';
+
+// Commands that log what they do to a shared list
+function createCommands(log, count) {
+  return Array.from({ length: count }, (_, i) => ({
+    label: `C${i}`,
+    undo: () => log.push(`undo ${i}`),
+    redo: () => log.push(`redo ${i}`)
+  }));
+}
+
+test('undo and redo walk the commands in order', () => {
+  const log = [];
+  const stack = new UndoStack();
+  const [a, b] = createCommands(log, 2);
+  assert.equal(stack.undo(), null);
+  stack.push(a);
+  stack.push(b);
+
+  assert.equal(stack.undo(), b);
+  assert.equal(stack.undo(), a);
+  assert.equal(stack.canUndo, false);
+  assert.equal(stack.redo(), a);
+  assert.equal(stack.canRedo, true);
+  assert.deepEqual(log, ['undo 1', 'undo 0', 'redo 0']);
+});
+
+test('a new command replaces the undone ones', () => {
+  const stack = new UndoStack();
+  const [a, b, c] = createCommands([], 3);
+  stack.push(a);
+  stack.push(b);
+  stack.undo();
+  stack.push(c);
+
+  assert.deepEqual(stack.commands, [a, c]);
+  assert.equal(stack.canRedo, false);
+});
+
+test('jump undoes or redoes up to a number of done commands', () => {
+  const log = [];
+  const stack = new UndoStack();
+  createCommands(log, 4).forEach(command => stack.push(command));
+
+  stack.jump(1);
+  assert.equal(stack.index, 1);
+  stack.jump(3);
+  assert.equal(stack.index, 3);
+  stack.jump(99);
+  assert.equal(stack.index, 4);
+  assert.deepEqual(log, ['undo 3', 'undo 2', 'undo 1', 'redo 1', 'redo 2', 'redo 3']);
+});
+
+test('the oldest commands are forgotten past the limit', () => {
+  const stack = new UndoStack(3);
+  const commands = createCommands([], 5);
+  commands.forEach(command => stack.push(command));
+
+  assert.deepEqual(stack.commands, commands.slice(2));
+  assert.equal(stack.index, 3);
+  stack.clear();
+  assert.equal(stack.canUndo, false);
+});
+
+// ===== Inverted Edits =====
+function createNetwork() {
+  const node = (id, connections) => ({ id, x: id * 10, y: 0, z: 0, connections, label: `n${id}`, born: 0, parents: [], fixed: false });
+  const graph = new ForceDirectedGraph({
+    snapshot: { nextId: 5, nodes: [node(0, [1, 2]), node(1, [0, 2]), node(2, [0, 1, 3]), node(3, [2]), node(4, [])] }
+  });
+  const simulation = new GameOfLifeSimulation(graph);
+  simulation.killNode(3);
+  return { graph, simulation };
+}
+
+function describe(graph, simulation) {
+  return {
+    alive: [...simulation.aliveNodes].sort((a, b) => a - b),
+    nodes: graph.nodes
+      .map(node => [node.id, node.label, node.fixed, [...node.connections].sort((a, b) => a - b)])
+      .sort((a, b) => a[0] - b[0])
+  };
+}
+
+test('inverted edits take a mixed batch back exactly', () => {
+  const { graph, simulation } = createNetwork();
+  const before = describe(graph, simulation);
+  const deleted = graph.getNode(2);
+  const edits = [
+    { type: 'kill', id: 0 },
+    { type: 'revive', id: 3 },
+    { type: 'pin', id: 1, fixed: true },
+    { type: 'add', node: { id: 5, x: 0, y: 0, z: 0, label: 'new', born: 1, parents: [] } },
+    { type: 'connect', a: 5, b: 4 },
+    { type: 'disconnect', a: 0, b: 1 },
+    { type: 'delete', id: 2, node: { ...deleted, connections: [] }, connections: [...deleted.connections], alive: true }
+  ];
+  edits.forEach(edit => assert.ok(applyEdit(edit, graph, simulation), edit.type));
+  assert.notDeepEqual(describe(graph, simulation), before);
+
+  invertEdits(edits).forEach(edit => applyEdit(edit, graph, simulation));
+  assert.deepEqual(describe(graph, simulation), before);
+});
+
+test('an undone deletion of a dead node brings it back dead with its edges', () => {
+  const { graph, simulation } = createNetwork();
+  const before = describe(graph, simulation);
+  const node = graph.getNode(3);
+  const edit = { type: 'delete', id: 3, node: { ...node, connections: [] }, connections: [2], alive: false };
+  applyEdit(edit, graph, simulation);
+
+  assert.deepEqual(invertEdits([edit]), [
+    { type: 'add', node: edit.node },
+    { type: 'connect', a: 3, b: 2 },
+    { type: 'kill', id: 3 }
+  ]);
+  invertEdits([edit]).forEach(inverse => applyEdit(inverse, graph, simulation));
+  assert.deepEqual(describe(graph, simulation), before);
+});
+
+test('inverting twice gives back the same changes', () => {
+  const edits = [{ type: 'kill', id: 1 }, { type: 'connect', a: 1, b: 4 }, { type: 'pin', id: 4, fixed: false }];
+  assert.deepEqual(invertEdits(invertEdits(edits)), edits);
+});